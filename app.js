@@ -4,19 +4,42 @@
 const express = require('express');
 const morgan = require('morgan');
 const mydb = require('./myDatabase/mydb');
+const Story = require('./models/story');
 const storyRoutes = require('./routes/storyRouts');
 
 let port = 3000;
+// How often the stories that stayed in the trash longer than their retention period are purged:
+const purgeIntervalMs = 60 * 60 * 1000;  // Every hour.
+// Set BACKUP_DIR to take a snapshot of the database periodically (check /myDatabase/backup.js):
+const backupDir = process.env.BACKUP_DIR || null;
+const backupIntervalMs = 60 * 60 * 1000;  // Every hour.
 
 //express app:
 const app = express();
 
-// Connet to mydb:
-const dbURI = './data/Stories.json';
+// Connet to mydb (each model is stored in its own file in the data directory, i.e: ./data/Stories.ndjson).
+// Set MYDB_URI to use another storage, i.e: MYDB_URI=memory:// for a preview server that doesn't touch the disk:
+const dbURI = process.env.MYDB_URI || './data';
 mydb.connect(dbURI)
     .then((result) => {
+        // Collections in the older format (i.e: ./data/Stories.json) are converted on the way:
+        result.converted.forEach(conversion => console.log(`Converted ${conversion.from} to ${conversion.to} ` +
+            `(${conversion.documents} documents). The old file is kept as ${conversion.backup}.`));
+
         // Listen to requests:
         app.listen(port);  // if no hostname is given, it automatically listens to localhost. Also returns a server object, but it's not needed here.
+
+        // Purge the trash now and then periodically (the timer doesn't keep the process alive by itself):
+        const purge_trash = () => Story.purge_deleted().catch(err => console.error(err));
+        purge_trash();
+        setInterval(purge_trash, purgeIntervalMs).unref();
+
+        // Take a snapshot now and then periodically, if backups are enabled (old snapshots are rotated):
+        if (backupDir) {
+            const take_backup = () => mydb.backup(backupDir).catch(err => console.error(err));
+            take_backup();
+            setInterval(take_backup, backupIntervalMs).unref();
+        }
     })
     .catch(err => console.error(err));
 
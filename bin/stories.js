@@ -0,0 +1,140 @@
+/**
+ * A command line tool for importing and exporting the stories (check /utils/storyTransfer.js). Usage:
+ *   node bin/stories.js <command> [<file>] [--data <uri>] [--<option> ...]
+ * Commands:
+ *   export [--format json|csv|md] [--out <file>]: Writes all the stories to the given file (by
+ *   default, to the standard output). The format is 'json' by default, or by the extension of
+ *   the file. 'md' is a ZIP of Markdown files.
+ *   import <file> [--format json|csv|md] [--dry-run] [--upsert]: Imports the stories in the
+ *   given file, and prints a report of each record. The format is by the extension of the file
+ *   by default. With --dry-run, nothing is saved. With --upsert, records with the ID of an
+ *   existing story update it. Exits with code 1 if any record failed.
+ * The database is "./data" by default (or MYDB_URI). Exits with code 1 on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mydb = require('../myDatabase/mydb');
+const storyTransfer = require('../utils/storyTransfer');
+
+const defaultDataURI = process.env.MYDB_URI || './data';
+// The options that don't take a value:
+const flags = ['dry-run', 'upsert'];
+
+const usage = 'Usage: node bin/stories.js <command> [<file>] [--data <uri>] [--<option> ...]\n' +
+    'Commands:\n' +
+    '  export [--format json|csv|md] [--out <file>]   Export all the stories (to the standard output by default).\n' +
+    '  import <file> [--format json|csv|md] [--dry-run] [--upsert]   Import the stories in a file.\n' +
+    '  (md is a ZIP of Markdown files. The format is by the extension of the file by default)';
+
+
+/**
+ * Splits the command line arguments into the positional ones and the options.
+ * Returns { positional: [...], options: { <name>: <value> } }.
+ * @param {Array} args - The arguments, without "node" and the script, i.e: ['import', 'a.csv', '--upsert'].
+ */
+function parse_args(args) {
+    let positional = [];
+    let options = {};
+    for (let i = 0; i < args.length; ++i) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const hasValue = !flags.includes(name) && i + 1 < args.length && !args[i + 1].startsWith('--');
+            options[name] = hasValue ? args[++i] : true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional: positional, options: options };
+}
+
+/**
+ * Runs the "export" command.
+ * Returns a Promise.
+ * @param {object} options - The parsed options.
+ */
+async function run_export(options) {
+    const out = typeof (options.out) === 'string' ? options.out : null;
+    let format = options.format;
+    if (format === undefined)
+        format = out !== null && path.extname(out) === '.csv' ? 'csv' : out !== null && path.extname(out) === '.zip' ? 'md' : 'json';
+    if (!Object.hasOwn(storyTransfer.formats, format))
+        throw new Error(`Error: Unknown format \"${format}\". Expecting one of: ${Object.keys(storyTransfer.formats).join(', ')}.\n` + usage);
+
+    const output = out !== null ? fs.createWriteStream(out) : process.stdout;
+    try {
+        const count = await storyTransfer.export_stories(format, output);
+        if (out !== null)
+            console.log(`Exported ${count} stories to ${out}.`);
+    } finally {
+        if (out !== null)
+            await new Promise((resolve) => output.end(resolve));
+    }
+}
+
+/**
+ * Runs the "import" command, and prints the report.
+ * Returns a Promise.
+ * @param {string} file - The path of the file to import.
+ * @param {object} options - The parsed options.
+ */
+async function run_import(file, options) {
+    if (file === undefined)
+        throw new Error('Error: The file to import is missing.\n' + usage);
+    const report = await storyTransfer.import_stories(await fs.promises.readFile(file), {
+        fileName: path.basename(file),
+        format: typeof (options.format) === 'string' ? options.format : undefined,
+        dryRun: options['dry-run'] === true,
+        upsert: options.upsert === true
+    });
+
+    for (let row of report.rows) {
+        const name = `${row.source}${row.title ? ` (${row.title})` : ''}`;
+        if (row.errors.length > 0) {
+            console.log(`${name}: failed`);
+            row.errors.forEach(error => console.log(`  ${error}`));
+        } else {
+            console.log(`${name}: ${row.action}${row.id ? ' ' + row.id : ''}`);
+        }
+    }
+    console.log(`${report.dryRun ? 'Dry run (nothing was saved): ' : ''}${report.total} records: ${report.created} created, ` +
+        `${report.updated} updated, ${report.unchanged} unchanged, ${report.failed} failed.`);
+    if (report.failed > 0)
+        process.exitCode = 1;
+}
+
+/**
+ * Runs the command of the given command line arguments.
+ * Returns a Promise.
+ * @param {Array} args - The arguments, without "node" and the script.
+ */
+async function main(args) {
+    const { positional, options } = parse_args(args);
+    const [command, file] = positional;
+    if (command === undefined || command === 'help') {
+        console.log(usage);
+        return;
+    }
+    if (command !== 'export' && command !== 'import')
+        throw new Error(`Error: Unknown command \"${command}\".\n` + usage);
+
+    const { converted } = await mydb.connect(typeof (options.data) === 'string' ? options.data : defaultDataURI);
+    // To the standard error, since an export may be written to the standard output:
+    converted.forEach(conversion => console.error(`Converted ${conversion.from} to ${conversion.to} ` +
+        `(${conversion.documents} documents). The old file is kept as ${conversion.backup}.`));
+    try {
+        if (command === 'export')
+            await run_export(options);
+        else
+            await run_import(file, options);
+    } finally {
+        mydb.disconnect();
+    }
+}
+
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
\ No newline at end of file
@@ -1,22 +1,22 @@
 /* A controller for the app, which contains the functions that should be 
  * executed after different requests are made. */
 
+const mydb = require('../myDatabase/mydb');
 const Story = require('../models/story');
+const Revision = require('../models/revision');
+const { diff_words, diff_lines } = require('../utils/diff');
+const storyTransfer = require('../utils/storyTransfer');
+const { parse_multipart } = require('../utils/multipart');
 
 /**
  * Renders the stories/index.ejs page, with all the stories, sorted from the 
  * newest (ontop) to the oldest, by their creation time.
  */
 const story_index = (req, res) => {
-    Story.find()
+    Story.find({}, null, { sort: { createdAt: -1 }, virtuals: true })
         .then((result) => {
             // express sets the header and status code automatically, so no need for: res.setHeader('content-Type', 'text/html'); or res.statusCode = 200;
-            res.render('stories/index', {
-                title: 'All Stories',
-                stories: result.sort(function (d1, d2) {
-                    return (new Date(d2.createdAt) - new Date(d1.createdAt));
-                })
-            });
+            res.render('stories/index', { title: 'All Stories', stories: result });
         })
         .catch((err) => {
             console.error(err);
@@ -37,9 +37,12 @@ const story_create_get = (req, res) => {
 const story_post = (req, res) => {
     let formData = req.body;  // req.body only exists thanks to express.urlencoded().
     const id = formData._id;
+    // The version of the story that the edit form was based on (check stories/edit.ejs):
+    const version = /^\d+$/.test(formData.__v || '') ? Number(formData.__v) : undefined;
 
-    // Filter out hidden fields, and remain only with the form's content:
-    const allowed = Object.keys(formData).filter(key => !key.startsWith('_'));
+    // Remain only with the form's content: The fields of the schema (so the hidden fields, and 
+    // fields such as "createdAt" or "deletedAt", can't be set by the form):
+    const allowed = Object.keys(Story.schema.definition).filter(key => Object.hasOwn(formData, key));
     const content = allowed.reduce((obj, key) => {
         obj[key] = formData[key];
         return obj;
@@ -51,7 +54,7 @@ const story_post = (req, res) => {
             story_create_post(content, res);
             break;
         case 'PUT':
-            story_edit_post(content, id, res);
+            story_edit_post(content, id, version, res);
             break;
         default:
             break;
@@ -64,32 +67,118 @@ const story_post = (req, res) => {
  * @param {object} res - An "express" response object for handling the result.
  */
 const story_create_post = (content, res) => {
-    const story = Story.new_document(content);
+    let story;
+    try {
+        story = Story.new_document(content);
+    } catch (err) {
+        if (!render_invalid_form(res, 'stories/create', 'Create a Story', content, err))
+            console.error(err);
+        return;
+    }
     story.save()
         .then((result) => { res.redirect('/stories'); })
-        .catch((err) => { console.error(err); });
+        .catch((err) => {
+            if (!render_invalid_form(res, 'stories/create', 'Create a Story', content, err))
+                console.error(err);
+        });
 }
 
 /**
- * Loads an existing Story object from the database, with the given "id", and 
- * updates it with the given new content.
+ * Updates an existing story in the database, with the given "id", with the given 
+ * new content (in a single atomic operation). The previous version is kept in the history.
+ * If someone else saved the story since the given "version", nothing is saved and the 
+ * conflict page is rendered instead.
  * @param {object} newContent - The new content of the story.
- * @param {any} id - String or Array of strings of the ID(s).
+ * @param {string} id - The ID of the story.
+ * @param {number} version - The version ("__v") the edit was based on, or undefined to skip the check.
  * @param {object} res - An "express" response object for handling the result.
  */
-const story_edit_post = (newContent, id, res) => {
-    Story.findById(id, { asDocument: true })  // Find and load the story with the matching id:
+const story_edit_post = (newContent, id, version, res) => {
+    update_story(id, newContent, version)
         .then((result) => {
-            if (result.length === 0)
+            if (result === null)
                 res.status(404).render('404', { title: 'Story not found' });
-            else {
-                let story = result[0];
-                story.edit(newContent);  // Edit the story with the new content.
-                story.save()  // Update the database with the new version of the story.
-                    .then((result) => { res.redirect('/stories'); });
+            else
+                res.redirect('/stories');
+        })
+        .catch((err) => {
+            if (err instanceof mydb.Error.VersionError)
+                render_conflict(res, id, newContent);
+            else if (!render_invalid_form(res, 'stories/edit', 'Edit a Story', { _id: id, __v: version, ...newContent }, err))
+                console.error(err);
+        });
+}
+
+/**
+ * Renders the stories/conflict.ejs page (status 409), for an edit that was based on an older 
+ * version of the story, since someone else saved it in between. The page shows the current 
+ * version, the differences from it to the user's edit, and a form for saving a merge of them 
+ * (based on the current version).
+ * @param {object} res - An "express" response object for handling the result.
+ * @param {string} id - The ID of the story.
+ * @param {object} yours - The story's content, as the user submitted it.
+ */
+const render_conflict = (res, id, yours) => {
+    Story.findById(id, { virtuals: true })
+        .then((result) => {
+            if (result.length === 0) {
+                res.status(404).render('404', { title: 'Story not found' });
+                return;
             }
+
+            const current = result[0];
+            const text = (value) => value === undefined || value === null ? '' : String(value);
+            const diff = {
+                title: diff_words(current.title, text(yours.title)),
+                snippet: diff_words(current.snippet, text(yours.snippet)),
+                body: diff_lines(current.body, text(yours.body))
+            };
+            res.status(409).render('stories/conflict', { title: 'Edit Conflict', story: current, yours: yours, diff: diff });
         })
-        .catch((err) => { console.error(err); });
+        .catch((err) => {
+            console.error(err);
+        });
+}
+
+/**
+ * Updates the story with the given "id" with the given content, and keeps its previous 
+ * version as a revision (only if something has changed), both in a single transaction.
+ * Returns a Promise, which resolves with the previous version of the story, or null if 
+ * it's not found. Rejected with a mydb.Error.VersionError if the story isn't at "version".
+ * @param {string} id - The ID of the story.
+ * @param {object} content - The new content of the story.
+ * @param {number} version - The version ("__v") the update is based on, or undefined to skip the check.
+ */
+const update_story = async (id, content, version) => {
+    const session = await mydb.startSession();
+    try {
+        let previous = null;
+        await session.withTransaction(async () => {
+            previous = await Story.update_with_revision(id, content, { session, version });
+        });
+        return previous;
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * If "err" is a ValidationError, renders the given form page again, with the user's 
+ * input and a list of all the problems found in it (status 400), and returns true. 
+ * Otherwise does nothing and returns false.
+ * @param {object} res - An "express" response object for handling the result.
+ * @param {string} view - The form page to render ('stories/create' or 'stories/edit').
+ * @param {string} title - The title of the page.
+ * @param {object} story - The story's content, as the user submitted it.
+ * @param {Error} err - The error that occured while saving the story.
+ */
+const render_invalid_form = (res, view, title, story, err) => {
+    if (!(err instanceof mydb.Error.ValidationError))
+        return false;
+
+    const errors = Object.values(err.errors).map(validatorError => validatorError.message);
+    res.status(400).render(view, { title: title, story: story, errors: errors });
+    return true;
 }
 
 /**
@@ -97,7 +186,7 @@ const story_edit_post = (newContent, id, res) => {
  */
 const story_details = (req, res) => {
     const id = req.params.id;  // The id of the requested story.
-    Story.findById(id)
+    Story.findById(id, { virtuals: true })
         .then((result) => {
             if (result.length === 0)
                 res.status(404).render('404', { title: 'Story not found' });
@@ -110,7 +199,7 @@ const story_details = (req, res) => {
 }
 
 /**
- * Deletes the requested story from the database.
+ * Moves the requested story to the trash (it can be restored from /stories/trash).
  */
 const story_delete = (req, res) => {
     const id = req.params.id;  // The id of the requested story.
@@ -121,6 +210,117 @@ const story_delete = (req, res) => {
         .catch((err) => { console.error(err); });
 }
 
+/**
+ * Renders the stories/trash.ejs page, with the deleted stories, sorted from the most 
+ * recently deleted (ontop).
+ */
+const story_trash = (req, res) => {
+    Story.find({}, null, { sort: { deletedAt: -1 }, deleted: 'only' })
+        .then((result) => {
+            res.render('stories/trash', { title: 'Trash', stories: result, retentionDays: Story.schema.options.trashRetentionDays });
+        })
+        .catch((err) => {
+            console.error(err);
+        });
+}
+
+/**
+ * Brings the requested story back from the trash, and redirects to the trash page.
+ */
+const story_restore = (req, res) => {
+    const id = req.params.id;  // The id of the requested story.
+    Story.restore(id)
+        .then((result) => {
+            if (result.length === 0)
+                res.status(404).render('404', { title: 'Story not found' });
+            else
+                res.redirect('/stories/trash');
+        })
+        .catch((err) => { console.error(err); });
+}
+
+/**
+ * Deletes the requested story from the trash for good. Answers with status 404 if it isn't 
+ * in the trash (the client is redirected back to the trash page either way).
+ */
+const story_purge = (req, res) => {
+    const id = req.params.id;  // The id of the requested story.
+    // Only stories in the trash can be deleted for good (checked along with the deletion, so 
+    // a story that is restored meanwhile isn't deleted):
+    Story.findByIdAndDelete(id, { permanent: true, deleted: 'only' })
+        .then((result) => {
+            if (result.length === 0)
+                res.status(404).json({ error: 'Story not found in the trash', redirect: '/stories/trash' });
+            else
+                res.json({ redirect: '/stories/trash' });
+        })
+        .catch((err) => { console.error(err); });
+}
+
+/**
+ * Renders the stories/history.ejs page, with all the versions of the requested story (its 
+ * revisions and the current one), and the differences between two of them. The versions 
+ * to compare are given by the "from" and "to" query parameters (their numbers). By default, 
+ * the current version is compared with the one before it.
+ */
+const story_history = (req, res) => {
+    const id = req.params.id;  // The id of the requested story.
+    Promise.all([Story.findById(id, { virtuals: true }), Revision.history(id)])
+        .then(([result, revisions]) => {
+            if (result.length === 0) {
+                res.status(404).render('404', { title: 'Story not found' });
+                return;
+            }
+
+            // All the versions, from the oldest to the current one:
+            const story = result[0];
+            let versions = revisions.map(revision => ({
+                number: revision.revision, title: revision.title, snippet: revision.snippet,
+                body: revision.body, savedAt: revision.savedAt, current: false
+            }));
+            versions.push({
+                number: versions.length + 1, title: story.title, snippet: story.snippet,
+                body: story.body, savedAt: story.updatedAt, current: true
+            });
+
+            const find_version = (number, fallback) => versions.find(version => version.number === Number(number)) || fallback;
+            const to = find_version(req.query.to, versions[versions.length - 1]);
+            const from = find_version(req.query.from, versions[Math.max(0, versions.indexOf(to) - 1)]);
+            const diff = {
+                title: diff_words(from.title, to.title),
+                snippet: diff_words(from.snippet, to.snippet),
+                body: diff_lines(from.body, to.body)
+            };
+            res.render('stories/history', { title: 'Story History', story: story, versions: versions.reverse(), from: from, to: to, diff: diff });
+        })
+        .catch((err) => {
+            console.error(err);
+        });
+}
+
+/**
+ * Reverts the requested story to one of its revisions (given by its number). The reverted 
+ * content is saved as a new version, so the current one is kept in the history too.
+ */
+const story_revert = (req, res) => {
+    const id = req.params.id;  // The id of the requested story.
+    Revision.findOne({ story: id, revision: Number(req.params.revision) })
+        .then((revision) => {
+            if (revision === null)
+                return null;
+            return update_story(id, { title: revision.title, snippet: revision.snippet, body: revision.body });
+        })
+        .then((result) => {
+            if (result === null)
+                res.status(404).render('404', { title: 'Revision not found' });
+            else
+                res.redirect(`/stories/${id}/history`);
+        })
+        .catch((err) => {
+            console.error(err);
+        });
+}
+
 /**
  * Renders the stories/edit.ejs page with the form for editing an existing story.
  */
@@ -139,6 +339,72 @@ const story_edit_get = (req, res) => {
         });
 }
 
+/**
+ * Sends all the stories as a file to download, in the format given by the "format" query 
+ * parameter: 'json' (the default), 'csv' or 'md' (a ZIP of Markdown files). The stories 
+ * are streamed, so the response starts before they're all read.
+ */
+const story_export = (req, res) => {
+    const format = req.query.format || 'json';
+    if (!Object.hasOwn(storyTransfer.formats, format)) {
+        res.status(400).send(`Unknown format "${format}". Expecting one of: ${Object.keys(storyTransfer.formats).join(', ')}.`);
+        return;
+    }
+
+    res.setHeader('Content-Type', storyTransfer.export_content_type(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${storyTransfer.export_file_name(format)}"`);
+    storyTransfer.export_stories(format, res)
+        .then((count) => { res.end(); })
+        .catch((err) => {
+            console.error(err);
+            // The headers were sent already, so only cut the response (the file is incomplete):
+            res.destroy(err);
+        });
+}
+
+/**
+ * Renders the stories/import.ejs page, with the form for uploading a file of stories.
+ */
+const story_import_get = (req, res) => {
+    res.render('stories/import', { title: 'Import Stories', report: null, errors: [] });
+}
+
+/**
+ * Imports the stories in an uploaded file (a "multipart/form-data" form, check 
+ * stories/import.ejs), and renders the import page again with a report of each record.
+ */
+const story_import_post = (req, res) => {
+    const render = (status, report, errors) => {
+        res.status(status).render('stories/import', { title: 'Import Stories', report: report, errors: errors });
+    };
+
+    let form;
+    try {
+        form = parse_multipart(req.body, req.headers['content-type']);
+    } catch (err) {
+        render(400, null, [err.message]);
+        return;
+    }
+    const file = form.files.file;
+    if (!file || file.data.length === 0) {
+        render(400, null, ['Choose a file to import.']);
+        return;
+    }
+
+    const options = {
+        fileName: file.filename,
+        format: form.fields.format && form.fields.format !== 'auto' ? form.fields.format : undefined,
+        dryRun: form.fields.dryRun === 'on',
+        upsert: form.fields.upsert === 'on'
+    };
+    storyTransfer.import_stories(file.data, options)
+        .then((report) => { render(report.failed > 0 ? 400 : 200, report, []); })
+        .catch((err) => {
+            console.error(err);
+            render(400, null, [err.message]);
+        });
+}
+
 // Export the controller functions:
 module.exports = {
     story_index,
@@ -146,5 +412,13 @@ module.exports = {
     story_post,
     story_details,
     story_delete,
-    story_edit_get
+    story_edit_get,
+    story_trash,
+    story_restore,
+    story_purge,
+    story_history,
+    story_revert,
+    story_export,
+    story_import_get,
+    story_import_post
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/* A model of a story's revision: A previous version of a story, which was kept when
+ * the story was edited. */
+
+const mydb = require('../myDatabase/mydb');
+const Schema = mydb.Schema;
+
+const revisionSchema = new Schema({
+    story: {
+        type: Schema.Types.ObjectId,
+        ref: 'Story',
+        required: true,
+        index: true
+    },
+    revision: {  // The number of the version, from 1 (the story as it was first posted).
+        type: Number,
+        required: true,
+        min: 1
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    snippet: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    savedAt: {  // When this version was saved (the story's "updatedAt" at the time).
+        type: Date,
+        required: true
+    },
+}, { timestamps: true });
+
+revisionSchema.index({ story: 1, revision: 1 }, { unique: true });
+
+/**
+ * Keeps the given version of a story as its next revision.
+ * Returns a Promise.
+ * @param {object} story - The story (JSON) as it was before it was changed.
+ * @param {object} options - Additional options, i.e: { session }.
+ */
+revisionSchema.statics.record = function (story, options = {}) {
+    return this.countDocuments({ story: story._id }, options)
+        .then((count) => {
+            const revision = this.new_document({
+                story: story._id,
+                revision: count + 1,
+                title: story.title,
+                snippet: story.snippet,
+                body: story.body,
+                savedAt: story.updatedAt
+            });
+            return revision.save(options);
+        });
+}
+
+/**
+ * Returns the revisions of the given story, from the oldest to the newest.
+ * Returns a Promise.
+ * @param {string} storyId - The ID of the story.
+ */
+revisionSchema.statics.history = function (storyId) {
+    return this.find({ story: storyId }, null, { sort: { revision: 1 } });
+}
+
+// Creates a model object based on the given Scheme above:
+const Revision = mydb.model('Revision', revisionSchema);
+module.exports = Revision;
\ No newline at end of file
@@ -1,22 +1,80 @@
 /* A model of a story for my database object. */
 
 const mydb = require('../myDatabase/mydb');
+const Revision = require('./revision');
 const Schema = mydb.Schema;
 
+// Deleted stories are kept in the trash for this number of days (0 for ever), before they're purged:
+const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
 const storySchema = new Schema({
     title: {
         type: String,
-        required: true
+        required: true,
+        trim: true,
+        maxlength: [100, 'The title must be at most 100 characters long.']
     },
     snippet: {
         type: String,
-        required: true
+        required: true,
+        trim: true,
+        maxlength: [200, 'The snippet must be at most 200 characters long.']
     },
     body: {
         type: String,
-        required: true
+        required: true,
+        trim: true
     },
-}, { timestamps: true });
+}, { timestamps: true, softDelete: true, trashRetentionDays: trashRetentionDays, versionKey: true });
+
+// Derived values for the story pages (not stored in the database):
+const wordsPerMinute = 200;  // An average reading speed.
+const count_words = (text) => text.split(/\s+/).filter(word => word !== '').length;
+
+storySchema.virtual('wordCount').get(function () {
+    return count_words(this.body);
+});
+storySchema.virtual('readingTime').get(function () {
+    return Math.max(1, Math.ceil(count_words(this.body) / wordsPerMinute));  // In minutes.
+});
+storySchema.virtual('url').get(function () {
+    return `/stories/${this._id}`;
+});
+
+/**
+ * Updates the story with the given "id" with the given content (only its fields that are in 
+ * the schema), and keeps its previous version as a revision (only if something has 
+ * changed). Run it in a transaction (check "options.session"), so the story and its 
+ * revision are saved together.
+ * Returns a Promise, which resolves with the previous version of the story, or null if 
+ * it's not found. Rejected with a mydb.Error.VersionError if "options.version" is given and 
+ * the story was saved by someone else since that version (its "__v").
+ * @param {string} id - The ID of the story.
+ * @param {object} content - The new content of the story.
+ * @param {object} options - Additional options, i.e: { session, version }.
+ */
+storySchema.statics.update_with_revision = async function (id, content, options = {}) {
+    const [previous = null] = await this.findById(id, { session: options.session });
+    if (previous === null)
+        return null;
+    // Only the fields of the schema, so the times (i.e: "createdAt", "deletedAt") can't be changed:
+    const fields = Object.keys(this.schema.definition).filter(key => Object.hasOwn(content, key));
+    const update = { $set: Object.fromEntries(fields.map(key => [key, content[key]])) };
+    const updated = await this.findByIdAndUpdate(id, update, { session: options.session, version: options.version, new: true });
+    if (updated.updatedAt !== previous.updatedAt)
+        await Revision.record(previous, { session: options.session });
+    return previous;
+}
+
+// Deleting stories for good deletes their revisions too (moving them to the trash keeps them):
+storySchema.post('delete', function (deletedStories, context) {
+    if (context.soft)
+        return;
+    if (deletedStories === undefined)  // All the stories were deleted.
+        return Revision.delete_all();
+    return Revision.find({ story: { $in: deletedStories.map(story => story._id) } }, { _id: 1 })
+        .then(revisions => revisions.length > 0 ? Revision.findByIdAndDelete(revisions.map(revision => revision._id)) : []);
+});
 
 // Creates a model object based on the given Scheme above:
 const Story = mydb.model('Story', storySchema);
@@ -0,0 +1,392 @@
+/**
+ * Snapshot backups and point-in-time restore for the "mydb" library.
+ * A backup is a consistent snapshot of the collections: The read locks of all their databases
+ * are held together while the documents are copied (taken in the same order as the write locks
+ * of a commit, check "session.js"), so no write and no transaction of this process falls in the
+ * middle of it. The locks are in the memory of the process, so writes of another process aren't
+ * held back: Take the backups by the process that writes to the collections (i.e: the website,
+ * with its BACKUP_DIR), or by another one only while nothing else writes to them.
+ * Each snapshot is a directory in the backups directory, named after the time it was taken
+ * (i.e: "./backups/20261019T184028456Z"), with:
+ *   - <collection>.ndjson: The documents of the collection, a JSON per line.
+ *   - manifest.json: { id, createdAt, collections: [{ name, file, documents, sha256 }] }, where
+ *     "sha256" is the checksum of the collection's file.
+ * A snapshot is written into a hidden directory first, and renamed into place only when it's
+ * complete, so a crash never leaves half a snapshot.
+ * After each backup the older snapshots are rotated: Only the newest snapshot of each of the
+ * last "keep.hourly" hours and of each of the last "keep.daily" days (in UTC, that have
+ * snapshots) are kept. The newest snapshot is always kept.
+ * A restore checks the snapshot first (the checksums, and the documents against the schemas),
+ * and only then replaces the collections, in a single transaction (all of them or none).
+ * Use it from code by "mydb.backup()" and "mydb.restore()", or from a terminal by
+ * "node myDatabase/cli.js backup" and "node myDatabase/cli.js restore" (check "cli.js").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+const Validation = require('./validation');
+const { Session } = require('./session');
+
+const manifestFileName = 'manifest.json';
+// The file of a collection in a snapshot: <collection>.ndjson
+const collectionFileExt = '.ndjson';
+// The IDs (and directory names) of the snapshots, by the time they were taken, i.e: "20261019T184028456Z":
+const snapshotIdRegex = /^\d{8}T\d{9}Z$/;
+// The default rotation:
+const defaultKeep = { hourly: 24, daily: 7 };
+// The number of problems listed in the error of an invalid snapshot:
+const maxReportedProblems = 10;
+
+const idField = '_id';
+
+
+/**
+ * Takes a snapshot of the given collections into the backups directory, and rotates the
+ * older snapshots (check the top of this file).
+ * Returns a Promise, which resolves with:
+ * { id, path, createdAt, collections: [{ name, documents }], removed: [<IDs of the rotated snapshots>] }.
+ * @param {Array} collections - The collections: [{ name: 'Stories', handler: <DBHandler> }, ...].
+ * @param {object} options - Additional options:
+ * options.destDir: The backups directory (required). Created if it doesn't exist.
+ * options.keep: The rotation: { hourly: <number>, daily: <number> }. By default, { hourly: 24, daily: 7 }.
+ */
+async function backup(collections, options = {}) {
+    check_dir(options.destDir, 'backup');
+    const keep = check_keep(options.keep);
+    if (!Array.isArray(collections) || collections.length === 0)
+        throw new Error('Error in backup(): There are no collections to back up (create the models first).');
+
+    const snapshot = await read_collections(collections);
+    const createdAt = new Date();
+    const id = createdAt.toISOString().replace(/[-:.]/g, '');
+    const snapshotDir = path.join(options.destDir, id);
+    const tmpDir = path.join(options.destDir, `.${id}-${process.pid}.tmp`);
+
+    let manifest = { id: id, createdAt: createdAt.toISOString(), collections: [] };
+    try {
+        await fs.promises.mkdir(tmpDir, { recursive: true });
+        for (let { name, docArray } of snapshot) {
+            const data = docArray.map(doc => JSON.stringify(doc) + '\n').join('');
+            const file = name + collectionFileExt;
+            await storage.write_file_atomic(path.join(tmpDir, file), data);
+            manifest.collections.push({ name: name, file: file, documents: docArray.length, sha256: checksum(data) });
+        }
+        await storage.write_file_atomic(path.join(tmpDir, manifestFileName), JSON.stringify(manifest, null, 2));
+        await fs.promises.rename(tmpDir, snapshotDir);
+        await storage.fsync_dir(options.destDir);
+    } catch (err) {
+        await fs.promises.rm(tmpDir, { recursive: true, force: true }).catch(() => { });
+        err.message += '\n\tError occured in backup()';
+        throw err;
+    }
+
+    const removed = await rotate(options.destDir, keep);
+    return {
+        id: id,
+        path: snapshotDir,
+        createdAt: manifest.createdAt,
+        collections: manifest.collections.map(({ name, documents }) => ({ name: name, documents: documents })),
+        removed: removed
+    };
+}
+
+/**
+ * Restores collections from the snapshot in "snapshotDir": Checks the snapshot first (check
+ * read_snapshot()), and then replaces the documents of each given collection that's in the
+ * snapshot with the snapshot's documents, in a single transaction. Collections that aren't in
+ * the snapshot are left as they are.
+ * Returns a Promise, which resolves with:
+ * { id, createdAt, collections: [{ name, documents }], skipped: [<collections of the snapshot that weren't given>] }.
+ * @param {string} snapshotDir - The path to the snapshot, i.e: "./backups/20261019T184028456Z".
+ * @param {Array} collections - The collections: [{ name: 'Stories', handler: <DBHandler>, schema: <Schema> }, ...].
+ * @param {object} options - Additional options:
+ * options.collections: An array of collection names, to restore only them.
+ */
+async function restore(snapshotDir, collections, options = {}) {
+    check_dir(snapshotDir, 'restore');
+    if (options.collections !== undefined && !Array.isArray(options.collections))
+        throw new Error('Error in restore(): \"options.collections\" must be an array of collection names.');
+    let targets = new Map();  // The collections to restore by their names: { handler, schema }.
+    for (let collection of collections || []) {
+        if (!options.collections || options.collections.includes(collection.name))
+            targets.set(collection.name, collection);
+    }
+
+    let schemas = {};
+    targets.forEach((collection, name) => { schemas[name] = collection.schema; });
+    const { manifest, snapshot } = await read_snapshot(snapshotDir, schemas);
+    const restored = snapshot.filter(({ name }) => targets.has(name));
+    for (let { name } of restored) {
+        if (!await targets.get(name).handler.ready())
+            throw new Error(`Error in restore(): The collection \"${name}\" isn't connected.`);
+    }
+
+    const session = new Session();
+    try {
+        await session.withTransaction(async () => {
+            for (let { name, docArray } of restored)
+                await session.handler_for(targets.get(name).handler).overwrite(docArray.map(doc => JSON.stringify(doc)));
+        });
+    } catch (err) {
+        err.message += '\n\tError occured in restore()';
+        throw err;
+    } finally {
+        session.endSession();
+    }
+
+    return {
+        id: manifest.id,
+        createdAt: manifest.createdAt,
+        collections: restored.map(({ name, docArray }) => ({ name: name, documents: docArray.length })),
+        skipped: snapshot.filter(({ name }) => !targets.has(name)).map(({ name }) => name)
+    };
+}
+
+/**
+ * Returns the snapshots in the backups directory, from the oldest to the newest. Directories
+ * without a valid manifest aren't snapshots, so they're skipped.
+ * Returns a Promise, which resolves with [{ id, path, createdAt, collections: [{ name, file, documents, sha256 }] }, ...].
+ * @param {string} destDir - The backups directory.
+ */
+async function list_backups(destDir) {
+    check_dir(destDir, 'list_backups');
+    let entries;
+    try {
+        entries = await fs.promises.readdir(destDir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return [];
+        throw err;
+    }
+
+    let snapshots = [];
+    for (let entry of entries.filter(entry => entry.isDirectory() && snapshotIdRegex.test(entry.name))) {
+        const snapshotDir = path.join(destDir, entry.name);
+        try {
+            const manifest = await read_manifest(snapshotDir);
+            snapshots.push({ id: manifest.id, path: snapshotDir, createdAt: manifest.createdAt, collections: manifest.collections });
+        } catch (err) {
+            // Not a snapshot.
+        }
+    }
+    return snapshots.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Returns the newest snapshot in the backups directory that was taken at (or before) the
+ * given time, for a point-in-time restore. Without a time, returns the newest snapshot.
+ * Returns a Promise, which resolves with the snapshot (check list_backups()), or null if there's none.
+ * @param {string} destDir - The backups directory.
+ * @param {any} at - The time: A Date, or a string that Date can parse (i.e: "2026-10-19T18:00").
+ */
+async function find_backup(destDir, at = null) {
+    let time = null;
+    if (at !== null && at !== undefined) {
+        time = new Date(at);
+        if (isNaN(time.getTime()))
+            throw new Error(`Error in find_backup(): Invalid time \"${at}\".`);
+    }
+    const snapshots = (await list_backups(destDir)).filter(snapshot => time === null || new Date(snapshot.createdAt) <= time);
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+}
+
+/**
+ * Reads the documents of all the given collections at the same moment (for the writes of this
+ * process): Holds the read locks of all their databases together, taken in a fixed order (like
+ * the commits of transactions).
+ * Returns a Promise, which resolves with [{ name, docArray }, ...], sorted by the names.
+ * @param {Array} collections - [{ name, handler }, ...].
+ */
+async function read_collections(collections) {
+    for (let { name, handler } of collections) {
+        if (!await handler.ready())
+            throw new Error(`Error in backup(): The collection \"${name}\" isn't connected.`);
+    }
+
+    const ordered = collections.slice().sort((a, b) => a.handler.dbFilePath.localeCompare(b.handler.dbFilePath));
+    let releases = [];
+    try {
+        for (let { handler } of ordered)
+            releases.push(await handler.acquire_read_lock());
+        let snapshot = [];
+        for (let { name, handler } of ordered)
+            snapshot.push({ name: name, docArray: (await handler.snapshot_locked()).docArray });
+        return snapshot.sort((a, b) => a.name.localeCompare(b.name));
+    } finally {
+        releases.reverse().forEach(release => release());
+    }
+}
+
+/**
+ * Reads the snapshot in the given directory and checks it: The checksum and the number of
+ * documents of each collection file, and that each document is a JSON object with a unique
+ * "_id", which follows the schema of its collection (if it's given). Throws an error that
+ * lists the problems if the snapshot isn't valid.
+ * Returns a Promise, which resolves with { manifest, snapshot: [{ name, docArray }, ...] }.
+ * @param {string} snapshotDir - The path to the snapshot.
+ * @param {object} schemas - The schemas of the collections by their names: { Stories: <Schema>, ... }.
+ */
+async function read_snapshot(snapshotDir, schemas = {}) {
+    const manifest = await read_manifest(snapshotDir);
+    let problems = [];
+    let snapshot = [];
+    for (let { name, file, documents, sha256 } of manifest.collections) {
+        let data;
+        try {
+            data = await fs.promises.readFile(path.join(snapshotDir, file), 'utf8');
+        } catch (err) {
+            problems.push(`${file}: The file can't be read: ${err.message}`);
+            continue;
+        }
+        if (checksum(data) !== sha256) {
+            problems.push(`${file}: The checksum doesn't match (the file was changed or corrupted).`);
+            continue;
+        }
+
+        let docArray = [];
+        let ids = new Set();
+        let lines = 0;
+        data.split('\n').forEach((line, i) => {
+            if (line === '')
+                return;
+            ++lines;
+            const where = `${file} line ${i + 1}`;
+            let doc;
+            try {
+                doc = JSON.parse(line);
+            } catch (err) {
+                problems.push(`${where}: Not a valid JSON.`);
+                return;
+            }
+            if (!doc || typeof (doc) !== 'object' || Array.isArray(doc) || typeof (doc[idField]) !== 'string' || doc[idField] === '') {
+                problems.push(`${where}: Not a document with an \"${idField}\".`);
+                return;
+            }
+            if (ids.has(doc[idField])) {
+                problems.push(`${where}: The \"${idField}\" \"${doc[idField]}\" already appeared in an earlier line.`);
+                return;
+            }
+            ids.add(doc[idField]);
+            if (schemas[name]) {
+                const { errors } = Validation.validate_content(doc, schemas[name]);
+                if (Object.keys(errors).length > 0)
+                    problems.push(`${where} (${doc[idField]}): ` + Object.values(errors).map(error => error.message).join(' '));
+            }
+            docArray.push(doc);
+        });
+        if (lines !== documents)
+            problems.push(`${file}: The manifest lists ${documents} documents, but the file has ${lines}.`);
+        snapshot.push({ name: name, docArray: docArray });
+    }
+
+    if (problems.length > 0) {
+        const more = problems.length > maxReportedProblems ? `\n\t...and ${problems.length - maxReportedProblems} more.` : '';
+        throw new Error(`Error in restore(): The snapshot ${snapshotDir} isn't valid, so nothing was restored:\n\t` +
+            problems.slice(0, maxReportedProblems).join('\n\t') + more);
+    }
+    return { manifest: manifest, snapshot: snapshot };
+}
+
+/**
+ * Reads the manifest of the snapshot in the given directory, and checks its format.
+ * Returns a Promise, which resolves with the manifest (check the top of this file).
+ * @param {string} snapshotDir - The path to the snapshot.
+ */
+async function read_manifest(snapshotDir) {
+    const manifestPath = path.join(snapshotDir, manifestFileName);
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error: ${snapshotDir} isn't a snapshot: Its manifest can't be read (${err.message}).`);
+    }
+    const valid = manifest && typeof (manifest.id) === 'string' && typeof (manifest.createdAt) === 'string' &&
+        !isNaN(new Date(manifest.createdAt).getTime()) && Array.isArray(manifest.collections) &&
+        manifest.collections.every(collection => collection && typeof (collection.name) === 'string' &&
+            typeof (collection.file) === 'string' && path.basename(collection.file) === collection.file &&
+            Number.isInteger(collection.documents) && typeof (collection.sha256) === 'string');
+    if (!valid)
+        throw new Error(`Error: The manifest of the snapshot isn't valid: ${manifestPath}.`);
+    return manifest;
+}
+
+/**
+ * Removes the snapshots that the rotation doesn't keep (check the top of this file). Each one
+ * is renamed to a hidden directory before it's removed, so a crash never leaves half a snapshot.
+ * Returns a Promise, which resolves with the IDs of the removed snapshots.
+ * @param {string} destDir - The backups directory.
+ * @param {object} keep - The rotation: { hourly, daily }.
+ */
+async function rotate(destDir, keep) {
+    const snapshots = (await list_backups(destDir)).reverse();  // The newest first.
+    let kept = new Set(snapshots.slice(0, 1).map(snapshot => snapshot.id));
+    const keep_newest_of = (count, period) => {
+        let periods = new Set();
+        for (let snapshot of snapshots) {
+            const current = period(snapshot.createdAt);
+            if (periods.has(current))
+                continue;
+            if (periods.size === count)
+                break;
+            periods.add(current);
+            kept.add(snapshot.id);
+        }
+    };
+    keep_newest_of(keep.hourly, createdAt => createdAt.slice(0, 13));  // i.e: "2026-10-19T18".
+    keep_newest_of(keep.daily, createdAt => createdAt.slice(0, 10));  // i.e: "2026-10-19".
+
+    let removed = [];
+    for (let snapshot of snapshots.filter(snapshot => !kept.has(snapshot.id))) {
+        const removedDir = path.join(destDir, `.${snapshot.id}.removed`);
+        await fs.promises.rename(snapshot.path, removedDir);
+        await fs.promises.rm(removedDir, { recursive: true, force: true });
+        removed.push(snapshot.id);
+    }
+    if (removed.length > 0)
+        await storage.fsync_dir(destDir);
+    return removed;
+}
+
+/**
+ * Returns the rotation of the given "keep" option, with the default values.
+ * Throws an error if it isn't valid.
+ * @param {object} keep - { hourly: <number>, daily: <number> }, or undefined.
+ */
+function check_keep(keep) {
+    if (keep !== undefined && (!keep || typeof (keep) !== 'object'))
+        throw new Error('Error in backup(): \"options.keep\" must be an object: { hourly, daily }.');
+    const rotation = { ...defaultKeep, ...keep };
+    for (let period of ['hourly', 'daily']) {
+        if (!Number.isInteger(rotation[period]) || rotation[period] < 0)
+            throw new Error(`Error in backup(): \"options.keep.${period}\" must be a non-negative integer.`);
+    }
+    return rotation;
+}
+
+/**
+ * Throws an error if the given directory isn't a non-empty string.
+ * @param {string} dir - The path of the directory.
+ * @param {string} funcName - The name of the calling function, for the error message.
+ */
+function check_dir(dir, funcName) {
+    if (typeof (dir) !== 'string' || dir === '')
+        throw new Error(`Error in ${funcName}(): Expecting a non-empty string (the path to a directory), but received: ` + dir);
+}
+
+/**
+ * Returns the checksum (SHA-256, in hex) of the given data.
+ * @param {string} data - The content of a file.
+ */
+function checksum(data) {
+    return crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+}
+
+
+module.exports = {
+    backup,
+    restore,
+    list_backups,
+    find_backup
+};
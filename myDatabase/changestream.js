@@ -0,0 +1,94 @@
+/**
+ * Change streams for the "mydb" library, following mostly the API of mongoose:
+ *   const changeStream = Story.watch();
+ *   changeStream.on('change', change => console.log(change.operationType, change.documentKey));
+ *   changeStream.on('delete', change => searchIndex.remove(change.documentKey._id));
+ *   ...
+ *   changeStream.close();
+ * A change stream reports every change of its model's documents: Document.save(), the updates
+ * (updateOne(), updateMany(), findByIdAndUpdate()) and the deletions (findByIdAndDelete(),
+ * delete_all(), pop_all()). Each change is emitted as a 'change' event and as an event named
+ * by its type: 'insert', 'update', 'delete' or 'drop' (delete_all() and pop_all()).
+ * The changes are emitted after they're durable, and the ones of a transaction only after it's
+ * committed (a transaction that erases a whole collection reports each document as a 'delete').
+ * The format of the changes is described in DBHandler's "changes" getter, with the additional
+ * field "modelName".
+ */
+
+const { EventEmitter } = require('events');
+
+// The types of the changes, which are emitted as events of their own too:
+const operationTypes = ['insert', 'update', 'delete', 'drop'];
+
+
+/**
+ * A stream of the changes of a single model. Created by Model.watch().
+ */
+class ChangeStream extends EventEmitter {
+    #source = null;  // The EventEmitter of the changes it listens to (DBHandler's "changes").
+    #closed = false;  // True after close().
+    #modelName = null;  // The name of the watched model (string), or null.
+    #onClose = null;  // A function that is called once the stream is closed.
+    #listener;  // The listener of the source's 'change' events.
+
+    /**
+     * Creates a change stream, which listens to the changes of the given source.
+     * @param {EventEmitter} source - The emitter of the changes (DBHandler's "changes").
+     * @param {string} modelName - The name of the watched model (added to each change).
+     * @param {function} onClose - A function that is called once the stream is closed.
+     */
+    constructor(source, modelName = null, onClose = null) {
+        super();
+        this.#modelName = modelName;
+        this.#onClose = onClose;
+        this.#listener = (change) => {
+            const event = { ...change, modelName: this.#modelName };
+            this.emit('change', event);
+            if (operationTypes.includes(change.operationType))
+                this.emit(change.operationType, event);
+        };
+        this.attach(source);
+    }
+
+    /**
+     * Returns true if the stream was closed.
+     */
+    get closed() {
+        return this.#closed;
+    }
+
+    /**
+     * Moves the stream to another source of changes, i.e: when its model gets a new database
+     * handler. Does nothing if the stream was closed.
+     * @param {EventEmitter} source - The emitter of the changes (DBHandler's "changes").
+     */
+    attach(source) {
+        if (!(source instanceof EventEmitter))
+            throw new Error('Error in ChangeStream.attach(): \"source\" must be an EventEmitter.');
+        if (this.#closed || this.#source === source)
+            return;
+
+        if (this.#source !== null)
+            this.#source.removeListener('change', this.#listener);
+        this.#source = source;
+        this.#source.on('change', this.#listener);
+    }
+
+    /**
+     * Stops the stream: No more changes are emitted, and a 'close' event is emitted.
+     */
+    close() {
+        if (this.#closed)
+            return;
+
+        this.#source.removeListener('change', this.#listener);
+        this.#source = null;
+        this.#closed = true;
+        if (this.#onClose)
+            this.#onClose(this);
+        this.emit('close');
+    }
+}
+
+
+module.exports = ChangeStream;
@@ -0,0 +1,288 @@
+/**
+ * A command line tool for the maintenance of a "mydb" data directory. Usage:
+ *   node myDatabase/cli.js <command> [<subcommand>] [--data <dir>] [--<option> <value> ...]
+ * Commands:
+ *   migrate [up] [--to <version>]: Applies the pending migrations (up to the given version).
+ *   migrate down [--to <version>]: Reverts the last applied migration (or down to the given version).
+ *   migrate status: Lists the migrations and whether they were applied.
+ *   (migrate options: --migrations <dir>, by default "./migrations". Check "migration.js").
+ *   fsck [--repair] [--strict] [--models <dir>]: Checks the collection files for corruption, and
+ *   repairs them (check "fsck.js"). With --models, the models in the directory (i.e: "./models")
+ *   are loaded, so the documents are checked against their schemas too. Exits with code 1 if
+ *   problems remain.
+ *   backup [--hourly <n>] [--daily <n>]: Takes a snapshot of the collections of the models, and
+ *   rotates the older snapshots (keeps the newest of each of the last n hours and days). The
+ *   snapshot is consistent only if no other process writes meanwhile, so take it while the
+ *   website is stopped (or let the website take them, by its BACKUP_DIR).
+ *   backup list: Lists the snapshots.
+ *   restore [<snapshot>] [--at <time>]: Restores the collections from the given snapshot (its ID
+ *   or its path), or from the newest snapshot that was taken at (or before) the given time. By
+ *   default, from the newest snapshot. Better to restore while the website is stopped.
+ *   (backup and restore options: --models <dir>, required: The models whose collections are
+ *   backed up and restored. --backups <dir>, by default "./backups". Check "backup.js").
+ * The data directory is "./data" by default. Exits with code 1 on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const migration = require('./migration');
+const backupTool = require('./backup');
+const mydb = require('./mydb');
+
+const defaultDataDir = './data';
+const defaultBackupsDir = './backups';
+
+const usage = 'Usage: node myDatabase/cli.js <command> [<subcommand>] [--data <dir>] [--<option> <value> ...]\n' +
+    'Commands:\n' +
+    '  migrate [up] [--to <version>]   Apply the pending migrations (up to the given version).\n' +
+    '  migrate down [--to <version>]   Revert the last migration (or down to the given version).\n' +
+    '  migrate status                  List the migrations and whether they were applied.\n' +
+    '  (migrate options: --migrations <dir>, by default "./migrations")\n' +
+    '  fsck [--repair] [--strict]      Check the collections for corruption (and repair them).\n' +
+    '  (fsck options: --models <dir> to check the documents against the schemas of the models in it)\n' +
+    '  backup [--hourly <n>] [--daily <n>]  Take a snapshot of the collections (and rotate the old ones).\n' +
+    '  backup list                     List the snapshots.\n' +
+    '  (a snapshot is consistent only if no other process writes meanwhile: stop the website first,\n' +
+    '  or let it take the snapshots by its BACKUP_DIR)\n' +
+    '  restore [<snapshot>] [--at <time>]   Restore the collections from a snapshot (by default, the newest).\n' +
+    '  (backup and restore options: --models <dir>, required, and --backups <dir>, by default "./backups")';
+
+
+/**
+ * Splits the command line arguments into the positional ones and the options.
+ * Returns { positional: [...], options: { <name>: <value> } }.
+ * @param {Array} args - The arguments, without "node" and the script, i.e: ['migrate', '--to', '2'].
+ */
+function parse_args(args) {
+    let positional = [];
+    let options = {};
+    for (let i = 0; i < args.length; ++i) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const hasValue = i + 1 < args.length && !args[i + 1].startsWith('--');
+            options[name] = hasValue ? args[++i] : true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional: positional, options: options };
+}
+
+/**
+ * Returns the value of the option "name" as a non-negative integer, or undefined if it's
+ * missing. Throws an error if it isn't a valid one.
+ * @param {object} options - The parsed options.
+ * @param {string} name - The name of the option.
+ */
+function int_option(options, name) {
+    if (options[name] === undefined)
+        return undefined;
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 0)
+        throw new Error(`Error: The option \"--${name}\" must be a non-negative integer.`);
+    return value;
+}
+
+/**
+ * Runs the "migrate" command.
+ * Returns a Promise.
+ * @param {string} subcommand - 'up' (or undefined), 'down' or 'status'.
+ * @param {object} options - The parsed options.
+ */
+async function run_migrate(subcommand, options) {
+    const dirs = { dataDir: options.data || defaultDataDir, migrationsDir: options.migrations };
+    const print = (done) => {
+        if (done.length === 0)
+            console.log('Nothing to migrate.');
+        done.forEach(step => console.log(`${step.direction === 'up' ? 'Applied' : 'Reverted'} ` +
+            `${step.version}-${step.name} (${step.collection})`));
+    };
+
+    switch (subcommand || 'up') {
+        case 'up':
+            print(await migration.migrate({ ...dirs, to: int_option(options, 'to') }));
+            break;
+        case 'down': {
+            let to = int_option(options, 'to');
+            if (to === undefined) {
+                // Revert only the last applied migration:
+                const applied = (await migration.migration_status(dirs)).filter(state => state.applied);
+                if (applied.length === 0) {
+                    print([]);
+                    break;
+                }
+                to = applied.length > 1 ? applied[applied.length - 2].version : 0;
+            }
+            print(await migration.migrate({ ...dirs, to: to }));
+            break;
+        }
+        case 'status': {
+            const status = await migration.migration_status(dirs);
+            if (status.length === 0)
+                console.log('No migrations were found.');
+            status.forEach(state => console.log(`${state.applied ? '[x]' : '[ ]'} ${state.version}-${state.name} ` +
+                `(${state.collection})${state.applied ? ' applied at ' + state.appliedAt : ''}`));
+            break;
+        }
+        default:
+            throw new Error(`Error: Unknown subcommand \"migrate ${subcommand}\".\n` + usage);
+    }
+}
+
+/**
+ * Loads (requires) the models in the directory of the option "--models", so they're created.
+ * Returns a Promise.
+ * @param {object} options - The parsed options.
+ */
+async function load_models(options) {
+    if (typeof (options.models) !== 'string')
+        throw new Error('Error: The option \"--models\" must be followed by a directory.');
+    const modelFiles = (await fs.promises.readdir(options.models)).filter(fileName => path.extname(fileName) === '.js');
+    modelFiles.forEach(fileName => require(path.resolve(options.models, fileName)));
+}
+
+/**
+ * Runs the "fsck" command: Checks (or repairs) the collections and prints the reports.
+ * Returns a Promise.
+ * @param {object} options - The parsed options.
+ */
+async function run_fsck(options) {
+    // Load the models, so their schemas are known:
+    if (options.models)
+        await load_models(options);
+
+    const reports = await mydb.fsck({ dataDir: options.data || defaultDataDir, repair: options.repair === true, strict: options.strict === true });
+    if (reports.length === 0)
+        console.log('No collections were found.');
+    for (let report of reports) {
+        console.log(`${report.file}: ${report.ok ? 'OK' : report.issues.length + ' problem(s)'} (${report.documents} valid documents)`);
+        report.issues.forEach(issue => console.log(`  line ${issue.line}: [${issue.type}] ${issue.message}`));
+        if (report.repaired)
+            console.log(`  Repaired.${report.quarantined > 0 ? ` ${report.quarantined} line(s) were moved to ${report.quarantineFile}` : ''}`);
+    }
+    // Schema violations are kept by a repair that isn't strict:
+    const remaining = (report) => report.repaired ? (options.strict !== true && report.issues.some(issue => issue.type === 'schema')) : !report.ok;
+    if (reports.some(remaining))
+        process.exitCode = 1;
+}
+
+/**
+ * Runs the "backup" command: Takes a snapshot (or lists the snapshots).
+ * Returns a Promise.
+ * @param {string} subcommand - undefined, or 'list'.
+ * @param {object} options - The parsed options.
+ */
+async function run_backup(subcommand, options) {
+    const backupsDir = options.backups || defaultBackupsDir;
+    switch (subcommand) {
+        case undefined: {
+            const keep = { hourly: int_option(options, 'hourly'), daily: int_option(options, 'daily') };
+            Object.keys(keep).forEach(period => { if (keep[period] === undefined) delete keep[period]; });
+            const snapshot = await with_models(options, () => mydb.backup(backupsDir, { keep: keep }));
+            console.log(`Created the snapshot ${snapshot.id} in ${snapshot.path}: ` +
+                snapshot.collections.map(collection => `${collection.name} (${collection.documents} documents)`).join(', '));
+            if (snapshot.removed.length > 0)
+                console.log(`Removed ${snapshot.removed.length} older snapshot(s): ${snapshot.removed.join(', ')}`);
+            break;
+        }
+        case 'list': {
+            const snapshots = await backupTool.list_backups(backupsDir);
+            if (snapshots.length === 0)
+                console.log('No snapshots were found.');
+            snapshots.forEach(snapshot => console.log(`${snapshot.id}  ${snapshot.createdAt}  ` +
+                snapshot.collections.map(collection => `${collection.name} (${collection.documents})`).join(', ')));
+            break;
+        }
+        default:
+            throw new Error(`Error: Unknown subcommand \"backup ${subcommand}\".\n` + usage);
+    }
+}
+
+/**
+ * Runs the "restore" command: Restores the collections from a snapshot.
+ * Returns a Promise.
+ * @param {string} snapshotArg - The ID or the path of the snapshot, or undefined (check the option "--at").
+ * @param {object} options - The parsed options.
+ */
+async function run_restore(snapshotArg, options) {
+    const backupsDir = options.backups || defaultBackupsDir;
+    let snapshotDir;
+    if (snapshotArg !== undefined) {
+        if (options.at !== undefined)
+            throw new Error('Error: Give either a snapshot or the option \"--at\", not both.');
+        // An ID of a snapshot in the backups directory, or a path:
+        snapshotDir = (await backupTool.list_backups(backupsDir)).some(snapshot => snapshot.id === snapshotArg) ?
+            path.join(backupsDir, snapshotArg) : snapshotArg;
+    } else {
+        if (options.at === true)
+            throw new Error('Error: The option \"--at\" must be followed by a time, i.e: 2026-10-19T18:00.');
+        const snapshot = await backupTool.find_backup(backupsDir, options.at);
+        if (snapshot === null)
+            throw new Error(`Error: No snapshot was found in ${backupsDir}${options.at !== undefined ? ' at or before ' + options.at : ''}.`);
+        snapshotDir = snapshot.path;
+    }
+
+    const result = await with_models(options, () => mydb.restore(snapshotDir));
+    console.log(`Restored the snapshot ${result.id} (taken at ${result.createdAt}): ` +
+        result.collections.map(collection => `${collection.name} (${collection.documents} documents)`).join(', '));
+    if (result.skipped.length > 0)
+        console.log(`Skipped the collections without a model: ${result.skipped.join(', ')}`);
+}
+
+/**
+ * Loads the models (check load_models()), connects them to the data directory, runs the 
+ * given "task" and disconnects them.
+ * Returns a Promise, which resolves with the result of "task".
+ * @param {object} options - The parsed options.
+ * @param {function} task - An async function.
+ */
+async function with_models(options, task) {
+    if (options.models === undefined)
+        throw new Error('Error: The option \"--models <dir>\" is required, i.e: --models models.');
+    await load_models(options);
+    const { converted } = await mydb.connect(options.data || defaultDataDir);
+    converted.forEach(conversion => console.log(`Converted ${conversion.from} to ${conversion.to} ` +
+        `(${conversion.documents} documents). The old file is kept as ${conversion.backup}.`));
+    try {
+        return await task();
+    } finally {
+        mydb.disconnect();
+    }
+}
+
+/**
+ * Runs the command of the given command line arguments.
+ * Returns a Promise.
+ * @param {Array} args - The arguments, without "node" and the script.
+ */
+async function main(args) {
+    const { positional, options } = parse_args(args);
+    const [command, subcommand] = positional;
+    switch (command) {
+        case 'migrate':
+            await run_migrate(subcommand, options);
+            break;
+        case 'fsck':
+            await run_fsck(options);
+            break;
+        case 'backup':
+            await run_backup(subcommand, options);
+            break;
+        case 'restore':
+            await run_restore(subcommand, options);
+            break;
+        case undefined:
+        case 'help':
+            console.log(usage);
+            break;
+        default:
+            throw new Error(`Error: Unknown command \"${command}\".\n` + usage);
+    }
+}
+
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
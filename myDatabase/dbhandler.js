@@ -1,29 +1,40 @@
 /**
  * A handler class to deal with I/O opperations with the database, for the Document and Model classes.
+ * The documents are read and written through a storage adapter, which is chosen by the URI of 
+ * the database: An .ndjson append log (the default), a .json file or the memory (check "storage.js").
+ * Every change of the documents that is written through a handler is reported by its "changes" 
+ * emitter (used by Model.watch()).
  */
 
-const fs = require('fs');
-const path = require('path');
+const { EventEmitter } = require('events');
 const ReadWriteLock = require('rwlock');
+const Query = require('./query');
+const storage = require('./storage');
+const { DuplicateKeyError, WriteConflictError } = require('./errors');
 
-// The allowed db file type:
-const dbFileExt = '.json';
 // An error message for I/O opperations without connection to any database:
 const notConnectedErrMsg = 'Error: The database Handler isn\'t connected to any database! ' +
     'Please connect by calling \"connect_dbFilePath(dbFilePath)\"'
 
-// Formating the data:
-const SEP = '\r\n';  // USed to mark the separation of elements (docs) in the database file.
-const newLine = '\r\n';  // Replace any newLine_encoded string with this after loading.
-const newLine_encoded = '<|NEW-LINE|>';  // Replace any newLine string with this before saving.
+// The name of the ID field of each document in the database:
+const idField = '_id';
 
 
 /**
  * The db-handler class.
  */
 class DBHandler {
-    #dbFilePath = null;  // Private path for the database file (string).
-    #dbRWLock;  // ReadWriteLock. Protect the DB file from race conditions.
+    #dbFilePath = null;  // Private path for the database file (string), or its "memory://" URI.
+    #storage = null;  // The storage adapter of the database (check "storage.js").
+    #dbRWLock;  // ReadWriteLock. Protect the DB file from race conditions. Provided by the storage adapter.
+    #docs = null;  // In-memory cache: Array of all the documents (JSONs) in the database, by their order in the file.
+    #idIndex = new Map();  // Maps each document's ID to its position in #docs.
+    #fileStamp = null;  // The stamp of the storage (i.e: the size, modification time and inode of the db-file), when #docs was last synced with it.
+    #indexSpecs = [];  // The secondary indexes to maintain: [{ name, fields: [...], unique: T/F }, ...] (see Schema.get_indexes()).
+    #indexes = [];  // The secondary indexes over #docs: [{ spec, map: Map(key -> Set(IDs)), multikey: T/F }, ...].
+    #connecting = null;  // The Promise of a connection in progress (by connect_dbFilePath()), or null.
+    #version = 0;  // Incremented on every change of the cache, so transactions can detect concurrent writes.
+    #changes = new EventEmitter();  // Emits a 'change' event for each document written through this handler.
 
     /**
      * Constructor: Creates a disconnected db-handler instance.
@@ -40,20 +51,106 @@ class DBHandler {
         return this.#dbFilePath;
     }
 
+    /**
+     * Returns true if the documents of the connected database survive the end of the process 
+     * (i.e: they're stored in a file and not in the memory).
+     */
+    get durable() {
+        return this.#storage !== null && this.#storage.durable;
+    }
+
+    /**
+     * Returns the EventEmitter of the changes. After every durable write, it emits a 'change' 
+     * event for each inserted, updated or deleted document:
+     *   { operationType: 'insert'/'update'/'delete', documentKey: { _id }, fullDocument, 
+     *     fullDocumentBeforeChange, ns: <the database's path/URI>, wallTime: <Date> }
+     * "fullDocument" is null for a delete, and "fullDocumentBeforeChange" is null for an insert.
+     * erase_db() emits a single 'drop' event instead, with the erased documents:
+     *   { operationType: 'drop', documents: [...], ns, wallTime }
+     * The events are emitted asynchronously (after the write's Promise resolves), and only for 
+     * the writes of this handler (or of a transaction committed to it), not for changes made 
+     * directly in the storage by others (i.e: another process or a migration).
+     */
+    get changes() {
+        return this.#changes;
+    }
+
+    /**
+     * Returns a copy of the secondary indexes that the handler maintains.
+     */
+    get indexes() {
+        return structuredClone(this.#indexSpecs);
+    }
+
+    /**
+     * Sets the secondary indexes that the handler maintains over the documents, usually 
+     * from "Schema.get_indexes()". Queries that filter the indexed fields by equality use 
+     * them, and writes that break a unique index are rejected with a DuplicateKeyError.
+     * @param {Array} indexSpecs - [{ name: 'title_1', fields: ['title'], unique: <T/F> }, ...]
+     */
+    set_indexes(indexSpecs) {
+        if (!Array.isArray(indexSpecs) || !indexSpecs.every(spec => spec && typeof (spec.name) === 'string' &&
+            Array.isArray(spec.fields) && spec.fields.length > 0 && typeof (spec.unique) === 'boolean'))
+            throw new Error('Error in DBHandler.set_indexes(): Invalid format of \"indexSpecs\".');
+
+        this.#indexSpecs = structuredClone(indexSpecs);
+        if (this.#docs !== null)
+            this.#set_cache(this.#docs, this.#fileStamp);  // Rebuild the indexes.
+    }
+
     /**
      * Establishes a connection to the given dbFilePath. If the file doesn't exist, create it.
-     * Returns a Promise.
-     * @param {string} dbFilePath - The path to the database file. Should be a valid R+W .json file.
+     * Returns a Promise, which resolves with the conversion of a collection of the older format 
+     * if one was done on the way, or null (check convert_legacy_file() in "storage.js").
+     * @param {string} dbFilePath - The path to the database file. Should be a valid R+W .ndjson or 
+     * .json file, or another URI of a storage (i.e: "ndjson://data/Stories", "data/Stories.json", 
+     * "memory://Stories"). Check create_adapter() in "storage.js".
      */
     async connect_dbFilePath(dbFilePath) {
-        this.#dbFilePath = null;
+        const connecting = this.#connect(dbFilePath);
+        this.#connecting = connecting;
         try {
-            const valid = await DBHandler.check_db_file(dbFilePath);
-            if (valid) {
-                this.#dbFilePath = dbFilePath;
+            return await connecting;
+        } finally {
+            if (this.#connecting === connecting)
+                this.#connecting = null;
+        }
+    }
+
+    /**
+     * Waits for a connection in progress (if there's one), and returns whether the handler 
+     * is connected. Allows using a handler whose connection was started but not finished.
+     * Returns a Promise, which resolves with true if connected, false otherwise.
+     */
+    async ready() {
+        if (this.#connecting !== null) {
+            try {
+                await this.#connecting;
+            } catch (err) {
+                return false;
             }
         }
+        return this.is_connected();
+    }
+
+    /**
+     * Connects the handler to the given dbFilePath (check connect_dbFilePath()).
+     * @param {string} dbFilePath - The path to the database file.
+     */
+    async #connect(dbFilePath) {
+        this.disconnect();
+        try {
+            const adapter = storage.create_adapter(dbFilePath);
+            const converted = await adapter.open();
+            this.#storage = adapter;
+            this.#dbFilePath = adapter.location;
+            this.#dbRWLock = adapter.lock;
+            // Load the documents into the in-memory cache:
+            await this.#with_read_lock(() => this.#refresh_cache());
+            return converted || null;
+        }
         catch (err) {
+            this.disconnect();
             throw err;
         }
     }
@@ -64,6 +161,8 @@ class DBHandler {
     disconnect() {
         if (this.#dbFilePath !== null)
             this.#dbFilePath = null
+        this.#storage = null;
+        this.#set_cache(null);
     }
 
     /**
@@ -88,53 +187,38 @@ class DBHandler {
         // Check input validity:
         if (typeof (dataStr) !== 'string')
             throw new Error('Error: \"dataStr\" must be a string!');
-
-        // Choose the function that performs the actual reading:
-        let writeFunc = {
-            'writeFile': (data, startIdx) => this.#save_with_writeFile(data, startIdx),
-            'writeStream': (data, startIdx) => this.#save_with_writeStream(data, startIdx)
-        }['writeStream'];
+        let newDoc;
+        try {
+            newDoc = JSON.parse(dataStr);
+        } catch (err) {
+            throw new Error('Error: \"dataStr\" must be a JSON string of a document! ' + err.message);
+        }
 
         // Invokes and returns its Promise, while aquiring a write lock:
-        return new Promise((resolve, reject) => {
-            // Aquire a write-lock:
-            this.#dbRWLock.writeLock((release) => {
-                    fs.stat(this.#dbFilePath, (err, stats) => {
-                        if (err) {
-                            // Coudn't access the file. Either it doesn't exist or another reason.
-                            if (err.code === 'ENOENT')
-                                err.message = 'File does not exist: ' + err.message;
-                            // Reject with a proper message:
-                            err.message = 'Error writing to file: ' + err.message;
-                            reject(err);
-                        }
-                        else {
-                            // If we need to truncate the end of the file, prepare the starting 
-                            // index and the data to be saved:
-                            const [docStr, truncateIdx] = this.#prepare_data_and_truncate(stats, dataStr);
-                            const startIdx = stats.size - truncateIdx;
-
-                            // write to the file:
-                            writeFunc(docStr, startIdx)
-                                .then(() => {
-                                    setTimeout(() => {
-                                        // For some reason it takes some time for the OS to write the 
-                                        // data into the disk, even after all my Promises are resolved. 
-                                        // I couldn't find a way to prob the OS or the file to check 
-                                        // when it's all finished, except using a small timeout.
-                                        resolve(dataStr);
-                                    }, 10);
-                                })
-                                .catch((err) => {
-                                    // Error writing. Reject with a proper message:
-                                    err.message = 'Error writing to file: ' + err.message;
-                                    reject(err);
-                                })
-                                .finally(function () { release(); });
-                        }  // else
-                    });  // stat
-            });  // writeLock
-        });  // Promise
+        return this.#with_write_lock(async () => {
+            await this.#refresh_cache();  // In case the file was changed by someone else.
+            // Don't allow a duplicated ID or a duplicated value of a unique index:
+            const duplicate = this.#find_duplicate(newDoc, this.#idIndex, this.#indexes);
+            if (duplicate)
+                throw duplicate;
+
+            // Add the document to the storage, and wait until it's durable:
+            let stamp;
+            try {
+                stamp = await this.#storage.append(newDoc);
+            } catch (err) {
+                this.#set_cache(null);  // The storage's state is unknown. Reload it next time.
+                throw err;
+            }
+
+            // Keep the cache and its indexes in sync with the storage:
+            this.#version++;
+            this.#docs.push(newDoc);
+            this.#add_to_indexes(newDoc, this.#docs.length - 1, this.#idIndex, this.#indexes);
+            this.#fileStamp = stamp;
+            this.#emit_changes([], [newDoc]);
+            return dataStr;
+        });  // write lock
     }  // save
 
     /**
@@ -145,94 +229,298 @@ class DBHandler {
      */
     overwrite(strArray) {
         if (!this.is_connected())
-            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.erase_db()');
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.overwrite()'));
 
         // Check input validity:
         if (!Array.isArray(strArray) || !(strArray.every(item => typeof item === 'string')))
-            throw new Error('Error: \"strArray\" must be an array of strings!');
+            return Promise.reject(new Error('Error: \"strArray\" must be an array of strings!'));
+        let docArray;
+        try {
+            docArray = strArray.map(str => JSON.parse(str));
+        } catch (err) {
+            return Promise.reject(new Error('Error: \"strArray\" must be an array of JSON strings of documents! ' + err.message));
+        }
 
-        // Convert the array of strings into a single string in the right format:
-        const dataStr = DBHandler.#prepare_doc_arr_to_str(strArray);
+        // Overwrite the entire database, while aquiring a write lock:
+        return this.#with_write_lock(async () => {
+            this.#build_indexes(docArray, true);  // Throws if a unique index is broken.
+            await this.#rewrite(docArray);
+        });
+    }  // overwrite
 
+    /**
+     * Reads all the documents from the database, passes them to "modifier" and overwrites 
+     * the database with the documents it returns. Everything is done under a single write 
+     * lock, so no other I/O operation can interfere in between the reading and the writing.
+     * Returns a Promise, which resolves with the "result" returned by "modifier".
+     * @param {function} modifier - A function that gets an array of documents (JSONs) and 
+     * returns { docArray: <array of JSONs or null>, result: <any> }. If "docArray" is null, 
+     * nothing is written. If "modifier" throws, the database remains unchanged and the 
+     * Promise is rejected.
+     */
+    modify(modifier) {
         return new Promise((resolve, reject) => {
-            // Aquire a write-lock:
-            this.#dbRWLock.writeLock((release) => {
-                // Overwrite the entire database file:
-                this.#save_with_writeStream(dataStr, 0, 'w')
-                    .then(() => {
-                        setTimeout(() => {
-                            // For some reason it takes some time for the OS to write the 
-                            // data into the disk, even after all my Promises are resolved. 
-                            // I couldn't find a way to prob the OS or the file to check 
-                            // when it's all finished, except using a small timeout.
-                            resolve();
-                        }, 10);
-                    })
-                    .catch(err => { reject(err) })
-                    .finally(() => { release(); });
-            });  // writeLock
+            if (!this.is_connected()) {
+                reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.modify()'));
+                return;
+            }
+            if (typeof (modifier) !== 'function') {
+                reject(new Error('Error in DBHandler.modify(): \"modifier\" must be a function.'));
+                return;
+            }
+
+            // Aquire a write-lock for both the reading and the writing:
+            this.#with_write_lock(async () => {
+                await this.#refresh_cache();  // In case the file was changed by someone else.
+                // Pass a shallow copy, so the cache isn't affected unless the writing succeeds:
+                const { docArray, result } = modifier(this.#docs.slice());
+                if (docArray) {
+                    this.#build_indexes(docArray, true);  // Throws if a unique index is broken.
+                    // Cache a copy, as "docArray" and its documents may be shared with the caller:
+                    await this.#rewrite(structuredClone(docArray));
+                }
+                return result;
+            })
+                .then(result => { resolve(result); })
+                .catch(err => {
+                    err.message += '\n\tError occured in DBHandler.modify().';
+                    reject(err);
+                });
         });  // Promise
-    }  // overwrite
+    }  // modify
+
+    /**
+     * Replaces the document whose "_id" field equals the given "id" with the given "dataStr", 
+     * in place (it keeps its position in the database). Done under a single write lock. 
+     * If no such document exists, nothing is written and the Promise is rejected.
+     * Returns a Promise, which resolves with "dataStr".
+     * @param {string} id - The ID of the document to be replaced.
+     * @param {string} dataStr - The new document (a JSON string), with the same ID.
+     */
+    replace_by_id(id, dataStr) {
+        // Check input validity:
+        if (typeof (id) !== 'string' || id === '')
+            return Promise.reject(new Error('Error in DBHandler.replace_by_id(): \"id\" must be a non-empty string.'));
+        if (typeof (dataStr) !== 'string')
+            return Promise.reject(new Error('Error in DBHandler.replace_by_id(): \"dataStr\" must be a string!'));
+
+        return this.modify(docArray => {
+            const newDoc = JSON.parse(dataStr);
+            if (newDoc[idField] !== id)
+                throw new Error(`Error in DBHandler.replace_by_id(): The new document's ID doesn't match \"${id}\".`);
+            const index = docArray.findIndex(doc => doc[idField] === id);
+            if (index === -1)
+                throw new Error(`Error in DBHandler.replace_by_id(): No document with the ID \"${id}\" was found.`);
+
+            docArray[index] = newDoc;
+            return { docArray: docArray, result: dataStr };
+        });
+    }
+
+    /**
+     * Returns a copy of all the documents (JSONs) in the database, and the version of the 
+     * data (which changes on every write). Used by transactions (check "session.js") to 
+     * stage their writes, and to detect at the commit if someone else wrote in between.
+     * Returns a Promise, which resolves with { docArray, version }.
+     */
+    snapshot() {
+        if (!this.is_connected())
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.snapshot()'));
+
+        return this.#with_read_lock(async () => {
+            await this.#refresh_cache();
+            return { docArray: structuredClone(this.#docs), version: this.#version };
+        });
+    }
+
+    /**
+     * Acquires the write lock of the database and keeps it, until the returned "release" 
+     * function is called. Used by transactions, to commit the writes to several databases 
+     * at once. In between, only the "_locked" methods may be called.
+     * Returns a Promise, which resolves with the "release" function.
+     */
+    acquire_write_lock() {
+        return new Promise(resolve => {
+            this.#dbRWLock.writeLock(release => { resolve(release); });
+        });
+    }
+
+    /**
+     * Acquires a read lock of the database and keeps it, until the returned "release" 
+     * function is called. Used by backups, to read several databases at the same moment 
+     * (check "backup.js"). In between, only snapshot_locked() may be called.
+     * Returns a Promise, which resolves with the "release" function.
+     */
+    acquire_read_lock() {
+        return new Promise(resolve => {
+            this.#dbRWLock.readLock(release => { resolve(release); });
+        });
+    }
+
+    /**
+     * Returns a copy of all the documents (JSONs) in the database. Check snapshot().
+     * Must be called while holding a lock (check acquire_read_lock()).
+     * Returns a Promise, which resolves with { docArray, version }.
+     */
+    async snapshot_locked() {
+        if (!this.is_connected())
+            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.snapshot_locked()');
+
+        await this.#refresh_cache();
+        return { docArray: structuredClone(this.#docs), version: this.#version };
+    }
+
+    /**
+     * Checks that the given documents can replace the database: That the database wasn't 
+     * changed since the given "version" (check snapshot()), and that no unique index is 
+     * broken. Throws a WriteConflictError or a DuplicateKeyError if not.
+     * Must be called while holding the write lock (check acquire_write_lock()).
+     * Returns a Promise.
+     * @param {number} version - The version of the snapshot the documents are based on.
+     * @param {Array} docArray - The new documents (JSONs).
+     */
+    async prepare_replace_locked(version, docArray) {
+        if (!this.is_connected())
+            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.prepare_replace_locked()');
+
+        await this.#refresh_cache();  // In case the file was changed by someone else.
+        if (this.#version !== version)
+            throw new WriteConflictError(this.#dbFilePath);
+        this.#build_indexes(docArray, true);  // Throws if a unique index is broken.
+    }
+
+    /**
+     * Overwrites the database with the given documents, in a crash-safe way (check 
+     * prepare_replace_locked() first).
+     * Must be called while holding the write lock (check acquire_write_lock()).
+     * Returns a Promise.
+     * @param {Array} docArray - The new documents (JSONs).
+     */
+    async replace_locked(docArray) {
+        if (!this.is_connected())
+            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.replace_locked()');
+
+        await this.#rewrite(structuredClone(docArray));
+    }
 
     /**
      * Reads and returns all the data from the database (as a string). If the database isn't 
      * connected or other error occured, throws an error.
+     * The data is read from the in-memory cache, which is reloaded only if the database file 
+     * was changed by someone else.
      * Returns a Promise.
      */
     load() {
-        return new Promise((resolve, reject) => {
-            if (!this.is_connected())
-                throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.load()');
+        if (!this.is_connected())
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.load()'));
 
-            // Choose the function that performs the actual reading:
-            let readFunc = {
-                'readFile': () => this.#load_with_readFile(),
-                'readStream': () => this.#load_with_readStream()
-            }['readStream'];
+        // Invokes and returns its Promise, while acquiring a read lock:
+        return this.#with_read_lock(async () => {
+            await this.#refresh_cache();
+            return JSON.stringify(this.#docs);
+        });
+    }
 
-            // Invokes and returns its Promise, while acquiring a read lock:
-            //let readResult;
-            this.#dbRWLock.readLock((release) => {
-                //readResult = readFunc()
-                readFunc()
-                    .then(dataRead => resolve(DBHandler.#decode_str(dataRead)))
-                    .catch(err => reject(err))
-                    .finally(function () {
-                        release();
-                        //readResult = readResult.replaceAll(SEP, '\r\n');
-                    });
-            });
+    /**
+     * Returns copies of the documents (JSONs) in the database for which "predicate" returns 
+     * true, by their order in the database. Without a "predicate", returns all of them.
+     * The documents are read from the in-memory cache, which is reloaded only if the database 
+     * file was changed by someone else.
+     * Returns a Promise.
+     * @param {function} predicate - An optional function that gets a document and returns T/F.
+     */
+    get_docs(predicate = null) {
+        if (!this.is_connected())
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.get_docs()'));
+
+        return this.#with_read_lock(async () => {
+            await this.#refresh_cache();
+            let docArray = predicate ? this.#docs.filter(doc => predicate(doc)) : this.#docs;
+            return docArray.map(doc => structuredClone(doc));
+        });
+    }
+
+    /**
+     * Returns copies of the documents (JSONs) in the database that match the given query 
+     * "filter" (see "query.js"), by their order in the database. If the filter selects 
+     * indexed fields (or "_id") by equality, only the documents found by the best index 
+     * are checked. Otherwise all the documents are scanned.
+     * Returns a Promise.
+     * @param {object} filter - A query filter, i.e: { title: 'Today', createdAt: { $gt: date } }.
+     */
+    query_docs(filter) {
+        if (!this.is_connected())
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.query_docs()'));
+
+        return this.#with_read_lock(async () => {
+            await this.#refresh_cache();
+            const candidateIds = this.#plan_candidates(filter);
+            let candidates = this.#docs;
+            if (candidateIds !== null) {
+                candidates = [...candidateIds].map(id => this.#idIndex.get(id))
+                    .filter(pos => pos !== undefined)
+                    .sort((a, b) => a - b)
+                    .map(pos => this.#docs[pos]);
+            }
+            return candidates.filter(doc => Query.match_filter(doc, filter)).map(doc => structuredClone(doc));
+        });
+    }
+
+    /**
+     * Yields the documents (JSONs) in the database that match the given query "filter" (see 
+     * "query.js"), one at a time, by their order in the database. Unlike query_docs(), the 
+     * documents are read from the storage as a stream (and not from the in-memory cache), so 
+     * the memory in use doesn't depend on the size of the database. The documents are the 
+     * ones that were stored when the iteration started.
+     * An async generator: Use "for await (const doc of dbHandler.stream_docs(filter))".
+     * @param {object} filter - A query filter, i.e: { title: 'Today', createdAt: { $gt: date } }.
+     */
+    async *stream_docs(filter = {}) {
+        if (!this.is_connected())
+            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.stream_docs()');
+
+        // Only the opening of the stream needs the lock (check StorageAdapter.stream()):
+        const docs = await this.#with_read_lock(() => this.#storage.stream());
+        for await (let doc of docs) {
+            if (Query.match_filter(doc, filter))
+                yield doc;
+        }
+    }
+
+    /**
+     * Returns copies of the documents (JSONs) with the given ID(s), by their order in the 
+     * database, using the in-memory ID index (O(1) per ID). IDs that aren't found are skipped.
+     * Returns a Promise.
+     * @param {any} ids - The ID (string) or an array of IDs (array of strings).
+     */
+    get_by_ids(ids) {
+        if (!this.is_connected())
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.get_by_ids()'));
+        if (!Array.isArray(ids))
+            ids = [ids];
+
+        return this.#with_read_lock(async () => {
+            await this.#refresh_cache();
+            const positions = [...new Set(ids.map(id => this.#idIndex.get(id)))]
+                .filter(pos => pos !== undefined)
+                .sort((a, b) => a - b);
+            return positions.map(pos => structuredClone(this.#docs[pos]));
         });
-        //return readResult;
     }
 
     /**
-     * Erase the entire database file by replacing all of its content with an empty string ''.
+     * Erase the entire database by removing all of its documents (a database file is left 
+     * with an empty string '').
      * Returns a Promise.
      */
     erase_db() {
         if (!this.is_connected())
-            throw new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.erase_db()');
+            return Promise.reject(new Error(notConnectedErrMsg + '\n\t Error occured in DBHandler.erase_db()'));
 
-        return new Promise((resolve, reject) => {
-            // Aquire a write-lock:
-            this.#dbRWLock.writeLock((release) => {
-                // Overwrite the entire database file with empty string:
-                fs.writeFile(this.#dbFilePath, '', (err) => {
-                    if (err) reject(err);
-                    else {
-                        setTimeout(() => {
-                            // For some reason it takes some time for the OS to write the 
-                            // data into the disk, even after all my Promises are resolved. 
-                            // I couldn't find a way to prob the OS or the file to check 
-                            // when it's all finished, except using a small timeout.
-                            resolve();
-                        }, 10);
-                    }
-                    release();
-                });  // writeFile
-            });  // writeLock
-        });  // Promise
+        // Overwrite the entire database with no documents, while aquiring a write lock:
+        return this.#with_write_lock(async () => {
+            await this.#rewrite([], true);
+        });
     }  // erase_db
 
     /**
@@ -257,63 +545,16 @@ class DBHandler {
                 return;
             }
 
-            pattern = pattern.replaceAll(newLine, newLine_encoded);
-            // Read data from the file as a stream:
-            let docStrArray = [];
-            let buffer = '';  // Buffer to store partial docs.
-            const regex = new RegExp(',' + SEP + '|' + SEP);  // Split lines either by ,SEP or by SEP.
-
-            // Aquire a write-lock:
-            this.#dbRWLock.writeLock((release) => {
-                //const readStream = fs.createReadStream(this.#dbFilePath, { encoding: 'utf8', highWaterMark: 1 });  // With max chunck size limit (highWaterMark), for testing.
-                const readStream = fs.createReadStream(this.#dbFilePath, { encoding: 'utf8' });
-
-                // Read the data from the file, filter out matching lines and store the result:
-                readStream.on('data', chunk => {
-                    // Append the chunk to the buffer
-                    buffer += chunk;
-                    // Split the chunk into lines and stack them in an array:
-                    const lines = buffer.split(regex);
-                    for (let i = 0; i < lines.length - 1; ++i) {
-                        const line = lines[i];
-                        // Filter out empty or matching lines:
-                        if (line !== '' && line !== '[' && line !== ']' && !line.includes(pattern)) {
-                            // Add the line without the ending ',' to the array:
-                            if (line[line.length - 1] === ',')
-                                docStrArray.push(line.slice(0, -1));
-                            else
-                                docStrArray.push(line);
-                        }
-                    }
-                    // Store the partial JSON object in the buffer
-                    buffer = lines[lines.length - 1];
-                });
-
-                // Upon end of reading, save the data using write-stream:
-                readStream.on('end', () => {
-                    const dataToSaveStr = DBHandler.#prepare_doc_arr_to_str(docStrArray);
-                    // Overwrite the entire database file:
-                    this.#save_with_writeStream(dataToSaveStr, 0, 'w')
-                        .then(() => {
-                            setTimeout(() => {
-                                // For some reason it takes some time for the OS to write the 
-                                // data into the disk, even after all my Promises are resolved. 
-                                // I couldn't find a way to prob the OS or the file to check 
-                                // when it's all finished, except using a small timeout.
-                                resolve();
-                            }, 10);
-                        })
-                        .catch(error => {
-                            error.message += '\nError in DBHandler.delete_by_match().';
-                            reject(error)
-                        })
-                        .finally(() => { release(); });
+            // Aquire a write-lock, and filter out the matching documents (by their JSON strings):
+            this.#with_write_lock(async () => {
+                await this.#refresh_cache();  // In case the file was changed by someone else.
+                await this.#rewrite(this.#docs.filter(doc => !JSON.stringify(doc).includes(pattern)));
+            })
+                .then(() => { resolve(); })
+                .catch(error => {
+                    error.message += '\nError in DBHandler.delete_by_match().';
+                    reject(error)
                 });
-
-                readStream.on('error', err => {
-                    reject(new Error('Error in DBHandler.delete_by_match(): Failed reading from file. ' + err));
-                });  // readStream.on
-            });  // writeLock
         });  // Promise
     }  // delete_by_match
 
@@ -327,218 +568,323 @@ class DBHandler {
 
         let newHandler = new DBHandler();
         newHandler.#dbFilePath = oldHandler.#dbFilePath;
+        if (oldHandler.#storage !== null) {
+            newHandler.#storage = storage.create_adapter(oldHandler.#dbFilePath);
+            newHandler.#dbRWLock = newHandler.#storage.lock;
+        }
+        newHandler.#indexSpecs = structuredClone(oldHandler.#indexSpecs);
         return newHandler;
     }
 
     /**
-     * Checks the validity of the given database file. Creates it if it doesn't exist.
-     * Returns a Promise. True if the db-file is valid, throws an error otherwise.
-     * * Currently it fails to test the file permissions.
-     * @param {string} dbFilePath - The path to the database file. Should be a valid R+W .json file.
+     * Overwrites the database file at "dbFilePath" with the given documents, in a crash-safe 
+     * way, without a connection to it. Used to recover interrupted transactions.
+     * Returns a Promise.
+     * @param {string} dbFilePath - The path to the database file (or another URI of a storage).
+     * @param {Array} docArray - The documents (JSONs).
      */
-    static check_db_file(dbFilePath) {
-        return new Promise((resolve, reject) => {
-                // Check if dbFilePath is a JSON file:
-                if (!dbFilePath || typeof (dbFilePath) !== 'string' || path.extname(dbFilePath) !== dbFileExt) {
-                    reject(new Error('Invalid file type. File must be a .json file: ' + dbFilePath));
-                    return;
-                }
+    static async write_db_file(dbFilePath, docArray) {
+        await storage.create_adapter(dbFilePath).replace(docArray);
+    }
 
-                // Check the validity of the file: Does it exist? Is it a file? Permissions?...
-                fs.stat(dbFilePath, (err, stats) => {
-                    if (err) {
-                        // Coudn't access the file. Check why.
-
-                        if (err.code === 'ENOENT') {
-                            // File doesn't exist, create it:
-                            fs.writeFile(dbFilePath, '', { mode: 0o666 }, (wf_error) => {  // Read+Write permissions
-                                if (wf_error) {
-                                    reject(new Error(`Error while creating a file: ${wf_error.message}`));
-                                } else {
-                                    resolve(true);
-                                    return;  // There isn't any more code anyway, but it's clearer this way.
-                                }
-                            });
-                        }
-                        else {
-                            // Other errors. reject with an Error:
-                            reject(new Error(`Error accessing file: ${err.message}`));
-                        }
-                    }  // if (err)
-                    else {
-                        if (!stats.isFile()) {
-                            // It's not a file.
-                            reject(new Error('Path is not a file: ' + dbFilePath));
-                        }
-                        else if ((stats.mode & fs.constants.F_OK) &&  // Visible to the calling process.
-                            (stats.mode & fs.constants.W_OK) &&  // Writable.
-                            (stats.mode & fs.constants.R_OK) != 0) {  // Readable.
-                            // Not the right permissions:
-                            reject(new Error('File is invisible or doesn\'t have  R+W permissions: ' + dbFilePath));
-                        }
-                        else {
-                            // A valid file:
-                            resolve(true);
-                        }
-                    }  // else (no err)
-                });  // fs.stat
-        });  // new Promise
-    }  // check_db_file function
-
-    /**
-     * Saves the given "data" to the database at the "startIdx" index, in one chunck using 
-     * fs.writeFile().
+    /**
+     * Reloads the in-memory cache from the storage, if it wasn't loaded yet or if the stored 
+     * data was changed since it was loaded (i.e: by another process or by hand).
+     * Must be called while holding a lock (read or write).
      * Returns a Promise.
-     * @param {string} data - The data to be saved.
-     * @param {number} startIdx - The index in the database file from which the data will 
-     * saved (overriding previous data if presents).
      */
-    async #save_with_writeFile(data, startIdx) {
-        fs.open(this.#dbFilePath, 'r+', (err, fd) => {
-            if (err) throw err;
-
-            // If we need to truncate the last ']', move the file pointer to the right location:
-            fs.ftruncate(fd, startIdx, (err) => {
-                if (err) throw err;
+    async #refresh_cache() {
+        const stamp = await this.#storage.stamp();
+        if (this.#docs !== null && stamp === this.#fileStamp)
+            return;  // Up to date.
 
-                // Append the doc string to the file at once.
-                fs.writeFile(this.#dbFilePath, data, { flag: 'a' }, (err) => {
-                    if (err) throw err;
-                });  // writeFile
-            });  // ftruncate
-        });  // open
+        const { docArray, stamp: loadedStamp } = await this.#storage.load();
+        this.#set_cache(docArray, loadedStamp);
     }
 
     /**
-     * Saves the given "data" to the database at the "startIdx" index, in a stream of 
-     * chuncks using fs.writeStream.
-     * Returns a Promise.
-     * @param {any} data - The data to be saved.
-     * @param {any} startIdx - The index in the database file from which the data will
-     * saved (overriding previous data if presents).
-     */
-    async #save_with_writeStream(data, startIdx, flag = 'r+') {
-        //const writeStream = fs.createWriteStream(this.#dbFilePath, { flags: 'r+', start: startIdx, highWaterMark: 1 });  // With max chunck size limit (highWaterMark), for testing.
-        const writeStream = fs.createWriteStream(this.#dbFilePath, { flags: flag, start: startIdx });
-        // Write the doc string to the file as a stream.
-        writeStream.write(data, 'utf8', err => {
-            if (err) {
-                throw err;
-            } else {
-                // End the stream and resolve the Promise
-                writeStream.end();
+     * Replaces all the stored documents with "docArray" in a crash-safe way (check 
+     * StorageAdapter.replace()), and sets the in-memory cache to it. If the writing fails, 
+     * the cache is cleared and will be reloaded from the storage next time.
+     * Must be called while holding the write lock.
+     * Returns a Promise, which resolves only after the new data is durable.
+     * @param {Array} docArray - The new documents (JSONs). Kept by the cache, so it must not be shared.
+     * @param {boolean} drop - If true, the change is reported as a 'drop' (check the "changes" getter).
+     */
+    async #rewrite(docArray, drop = false) {
+        // Keep the previous documents for the change events, only if anyone listens to them:
+        let before = null;
+        if (this.#changes.listenerCount('change') > 0) {
+            try {
+                await this.#refresh_cache();
+                before = this.#docs;
+            } catch (err) {
+                before = null;  // The stored data can't be read (i.e: it's corrupted), so it's overwritten blindly.
             }
-        });
+        }
 
-        // Handle errors during writing
-        writeStream.on('error', err => {
+        let stamp;
+        try {
+            stamp = await this.#storage.replace(docArray);
+        } catch (err) {
+            this.#set_cache(null);
             throw err;
-        });
+        }
+        this.#set_cache(docArray, stamp);
+        if (before !== null)
+            this.#emit_changes(before, docArray, drop);
     }
 
     /**
-     * Depending on the content of the database file (estimated by "fStats"), returns 
-     * modifications to "data" and the index from which to start writting it.
-     * The goal is to maintain a legal .json format, with an array of JSONs.
-     * @param {fs.stat} fStats - The retured object from fs.stat() for the db-file.
-     * @param {string} data - The base-data to be saved. To it additional 
-     * modifications may apply (s.a SEP + ']'...)
-     */
-    #prepare_data_and_truncate(fStats, data) {
-        data = data.replaceAll(newLine, newLine_encoded);
-        let truncateIdx = 1;  // How much to truncate from the end of the file before writing new data.
-
-        if (fStats.size === 0) {
-            // Empty file.
-            data = '[' + SEP + data + SEP + ']';
-            truncateIdx = 0;
-        } else if (fStats.size === 2) {
-            // Only "[]" in the file.
-            data = SEP + data + SEP + ']';
-            truncateIdx = 1;
-        } else if (fStats.size <= 2 + SEP.length) {
-            // Only "[SEP]" in the file.
-            data = data + SEP + ']';
-            truncateIdx = 1;
+     * Emits the change events (check the "changes" getter) of a write, which replaced the 
+     * documents in "before" with the ones in "after". Does nothing if no one listens.
+     * @param {Array} before - The documents (JSONs) before the write.
+     * @param {Array} after - The documents after the write.
+     * @param {boolean} drop - If true, emits a single 'drop' event with all the documents of "before".
+     */
+    #emit_changes(before, after, drop = false) {
+        if (this.#changes.listenerCount('change') === 0)
+            return;
+
+        const ns = this.#dbFilePath;
+        const wallTime = new Date();
+        const change = (operationType, doc, previous) => ({
+            operationType: operationType,
+            documentKey: { [idField]: (doc || previous)[idField] },
+            fullDocument: doc ? structuredClone(doc) : null,
+            fullDocumentBeforeChange: previous ? structuredClone(previous) : null,
+            ns: ns,
+            wallTime: wallTime
+        });
+
+        let changes = [];
+        if (drop) {
+            changes.push({ operationType: 'drop', documents: structuredClone(before), ns: ns, wallTime: wallTime });
         } else {
-            // File already has data "[SEP{}SEP]" or more.
-            data = ',' + SEP + data + SEP + ']';
-            truncateIdx = 3;
+            // Match the documents by their IDs. Documents that exist in both are compared by their content:
+            let previousById = new Map(before.map(doc => [doc[idField], doc]));
+            for (let doc of after) {
+                const previous = previousById.get(doc[idField]);
+                if (previous === undefined)
+                    changes.push(change('insert', doc, null));
+                else {
+                    previousById.delete(doc[idField]);
+                    if (previous !== doc && JSON.stringify(previous) !== JSON.stringify(doc))
+                        changes.push(change('update', doc, previous));
+                }
+            }
+            for (let previous of previousById.values())
+                changes.push(change('delete', null, previous));
         }
 
-        return [data, truncateIdx];
+        // Emit after the current write is done, so a failing listener can't fail it:
+        process.nextTick(() => changes.forEach(item => this.#changes.emit('change', item)));
     }
 
     /**
-     * Reads all the content from the database, in one chunck using fs.readFile().
-     * Returns it as a string of array of JSONs: '[jObj1, jObj2, ...]'
-     * Returns a Promise.
+     * Sets the in-memory cache and rebuilds its ID index.
+     * @param {Array} docArray - The documents (JSONs), or null to clear the cache.
+     * @param {string} stamp - The storage's stamp (see StorageAdapter.stamp()) that matches "docArray".
      */
-    #load_with_readFile() {
-        // Read data from the file at once:
-        return new Promise((resolve, reject) => {
-            fs.readFile(this.#dbFilePath, (err, data) => {
-                if (err) {
-                    reject(new Error('Error reading from file: ' + err));
-                }
-                else {
-                    let dataStr = data.toString();
-                    if (dataStr === '')
-                        dataStr = '[]';
-                    resolve(dataStr);
-                }
-            });
-        });
+    #set_cache(docArray, stamp = null) {
+        this.#version++;
+        this.#docs = docArray;
+        this.#fileStamp = docArray === null ? null : stamp;
+        const { idIndex, indexes } = this.#build_indexes(docArray || [], false);
+        this.#idIndex = idIndex;
+        this.#indexes = indexes;
     }
 
     /**
-     * Reads all the content from the database, in in a stream of chunck using fs.readStream.
-     * Returns it as a string of array of JSONs: '[jObj1, jObj2, ...]'
-     * Returns a Promise.
-     * Must follow the saving format: Each JSON or square braket (][) must be in one line, 
-     * with new lines seperating between them.
-     * */
-    #load_with_readStream() {
-        return new Promise((resolve, reject) => {
-            // Read data from the file as a stream:
-            let buffer = '';  // Buffer to store partial docs.
-            //const readStream = fs.createReadStream(this.#dbFilePath, { encoding: 'utf8', highWaterMark: 10 });  // With max chunck size limit (highWaterMark), for testing.
-            const readStream = fs.createReadStream(this.#dbFilePath, { encoding: 'utf8' });
-
-            readStream.on('data', chunk => { buffer += chunk; });  // Append the chunk to the buffer
-            readStream.on('end', () => {
-                if (buffer === '')
-                    buffer = '[]';
-                resolve(buffer);
-            });
-            readStream.on('error', err => {
-                reject(new Error('Error reading from file: ' + err));
-            });
+     * Builds the ID index and the secondary indexes (see set_indexes()) over "docArray".
+     * Returns { idIndex: Map(ID -> position), indexes: [{ spec, map, multikey }, ...] }.
+     * @param {Array} docArray - The documents (JSONs).
+     * @param {boolean} enforceUnique - If true, throws a DuplicateKeyError if two documents 
+     * share the same ID or the same value(s) of a unique index.
+     */
+    #build_indexes(docArray, enforceUnique) {
+        let idIndex = new Map();
+        let indexes = this.#indexSpecs.map(spec => ({ spec: spec, map: new Map(), multikey: false }));
+        docArray.forEach((doc, pos) => {
+            if (enforceUnique) {
+                const duplicate = this.#find_duplicate(doc, idIndex, indexes);
+                if (duplicate)
+                    throw duplicate;
+            }
+            this.#add_to_indexes(doc, pos, idIndex, indexes);
         });
+        return { idIndex, indexes };
+    }
+
+    /**
+     * Adds a single document to the given ID index and secondary indexes.
+     * @param {object} doc - The document (JSON).
+     * @param {number} pos - Its position in the database.
+     * @param {Map} idIndex - The ID index.
+     * @param {Array} indexes - The secondary indexes.
+     */
+    #add_to_indexes(doc, pos, idIndex, indexes) {
+        if (!doc || !Object.hasOwn(doc, idField))
+            return;
+        idIndex.set(doc[idField], pos);
+        for (let index of indexes) {
+            const values = DBHandler.#index_values(doc, index.spec.fields);
+            if (values === null)
+                continue;  // None of the indexed fields exists in the document.
+            if (values.some(value => Array.isArray(value)))
+                index.multikey = true;  // Equality on arrays matches their elements, so we can't use the index for queries.
+
+            const key = DBHandler.#index_key(values);
+            if (!index.map.has(key))
+                index.map.set(key, new Set());
+            index.map.get(key).add(doc[idField]);
+        }
+    }
+
+    /**
+     * Returns a DuplicateKeyError if adding "doc" to the given indexes would duplicate an ID 
+     * or a value of a unique index. Null if not.
+     * @param {object} doc - The document (JSON).
+     * @param {Map} idIndex - The ID index.
+     * @param {Array} indexes - The secondary indexes.
+     */
+    #find_duplicate(doc, idIndex, indexes) {
+        if (!doc || !Object.hasOwn(doc, idField))
+            return null;
+        if (idIndex.has(doc[idField]))
+            return new DuplicateKeyError(this.#dbFilePath, '_id_', { [idField]: doc[idField] });
+
+        for (let index of indexes) {
+            const values = DBHandler.#index_values(doc, index.spec.fields);
+            if (!index.spec.unique || values === null)
+                continue;
+            const ids = index.map.get(DBHandler.#index_key(values));
+            if (ids && ids.size > 0) {
+                let keyValue = {};
+                index.spec.fields.forEach((field, i) => { keyValue[field] = values[i]; });
+                return new DuplicateKeyError(this.#dbFilePath, index.spec.name, keyValue);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the IDs of the documents that may match "filter", according to the best index 
+     * (ID index or secondary index) that can serve it, as a Set. Returns null if no index can 
+     * serve the filter (then all the documents should be scanned).
+     * An index can serve a filter only if all of its fields are selected by equality 
+     * (a plain value or $eq). A single-field index can also serve $in.
+     * @param {object} filter - A query filter.
+     */
+    #plan_candidates(filter) {
+        if (!filter || typeof (filter) !== 'object')
+            return null;
+
+        let best = null;
+        // The ID index:
+        const idValues = DBHandler.#equality_values(filter[idField]);
+        if (idValues !== null)
+            best = new Set(idValues);
+        // The secondary indexes:
+        for (let index of this.#indexes) {
+            if (index.multikey)
+                continue;
+            const valuesPerField = index.spec.fields.map(field => DBHandler.#equality_values(filter[field]));
+            if (valuesPerField.some(values => values === null))
+                continue;
+            if (valuesPerField.length > 1 && valuesPerField.some(values => values.length !== 1))
+                continue;  // $in is supported only for single-field indexes.
+
+            const keys = valuesPerField.length === 1 ?
+                valuesPerField[0].map(value => DBHandler.#index_key([value])) :
+                [DBHandler.#index_key(valuesPerField.map(values => values[0]))];
+            let ids = new Set();
+            for (let key of keys) {
+                for (let id of (index.map.get(key) || []))
+                    ids.add(id);
+            }
+            if (best === null || ids.size < best.size)
+                best = ids;
+        }
+        return best;
+    }
+
+    /**
+     * Returns the values of the given indexed "fields" in "doc", or null if none of them exists.
+     * @param {object} doc - The document (JSON).
+     * @param {Array} fields - The names (or dotted paths) of the indexed fields.
+     */
+    static #index_values(doc, fields) {
+        const values = fields.map(field => Query.get_path_value(doc, field));
+        if (values.every(value => value === undefined))
+            return null;
+        return values.map(value => value === undefined ? null : value);
     }
 
     /**
-     * Gets an array of strings and returns a single joint string, in the format 
-     * to be written into the database.
-     * @param {Array} strArray - An array of strings. The data to be joint and prepared.
+     * Returns the key of the given index values, in the index's map.
+     * @param {Array} values - The values of the indexed fields.
      */
-    static #prepare_doc_arr_to_str(strArray) {
-        strArray = strArray.map((str) => { return str.replaceAll(newLine, newLine_encoded); });
-        let dataStr = strArray.join(',' + SEP);
-        if (dataStr.length > 0)
-            dataStr = '[' + SEP + dataStr + SEP + ']';
-        return dataStr;
+    static #index_key(values) {
+        return JSON.stringify(values);
+    }
+
+    /**
+     * Returns the array of values that a filter's condition selects by equality, if it's a 
+     * plain value, { $eq: value } or { $in: [values] } of strings, numbers or booleans. 
+     * Otherwise returns null (the condition can't be served by an index). Dates aren't served, 
+     * since they match any string of the same time (not only the exact stored ISO string).
+     * @param {any} cond - The filter's value for a single field.
+     */
+    static #equality_values(cond) {
+        const isPlain = value => ['string', 'number', 'boolean'].includes(typeof (value));
+        if (isPlain(cond))
+            return [cond];
+        if (!cond || typeof (cond) !== 'object' || Array.isArray(cond) || cond instanceof RegExp)
+            return null;
+
+        const keys = Object.keys(cond);
+        if (keys.length === 1 && keys[0] === '$eq' && isPlain(cond.$eq))
+            return [cond.$eq];
+        if (keys.length === 1 && keys[0] === '$in' && Array.isArray(cond.$in) && cond.$in.every(isPlain))
+            return cond.$in;
+        return null;
     }
 
     /**
-     * Gets a data string and returns it after decoding SEP and newLine_encoded, 
-     * such that it can be read properly by a user.
-     * @param {string} data - The given encoded string.
+     * Runs the given "task" while holding a read lock of the database, and releases the 
+     * lock once it's done (whether it succeeded or failed).
+     * Returns a Promise with the result of "task".
+     * @param {function} task - A function that returns a Promise (or a value).
      */
-    static #decode_str(data) {
-        data = data.replaceAll(SEP, '');  // Remove SEP.
-        data = data.replaceAll(newLine_encoded, newLine);  // Decode the encoded new lines.
-        return data;
+    #with_read_lock(task) {
+        return new Promise((resolve, reject) => {
+            this.#dbRWLock.readLock((release) => {
+                Promise.resolve()
+                    .then(() => task())
+                    .then(result => { resolve(result); })
+                    .catch(err => { reject(err); })
+                    .finally(() => { release(); });
+            });  // readLock
+        });  // Promise
+    }
+
+    /**
+     * Runs the given "task" while holding the write lock of the database, and releases the 
+     * lock once it's done (whether it succeeded or failed).
+     * Returns a Promise with the result of "task".
+     * @param {function} task - A function that returns a Promise (or a value).
+     */
+    #with_write_lock(task) {
+        return new Promise((resolve, reject) => {
+            this.#dbRWLock.writeLock((release) => {
+                Promise.resolve()
+                    .then(() => task())
+                    .then(result => { resolve(result); })
+                    .catch(err => { reject(err); })
+                    .finally(() => { release(); });
+            });  // writeLock
+        });  // Promise
     }
 }
 
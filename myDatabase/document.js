@@ -2,6 +2,9 @@
 const crypto = require('crypto');
 const Schema = require('./schema');
 const DBHandler = require('./dbhandler');
+const Validation = require('./validation');
+const Query = require('./query');
+const { ValidationError, VersionError } = require('./errors');
 
 // Error message in case of connection loss:
 const notConnectedErrMsg = 'Error: The model isn\'t connected to any database! ' +
@@ -16,7 +19,7 @@ class Document {
     #dbHandler = null;  // Private handler for the database file (DBHandler).
     #saved = false;  // Private boolean to indicate if the document was saved at some point.
 
-    static dataMembersToStr = { "_id": "_id", "_createTime": "createdAt", "_updateTime": "updatedAt" }  // A convinient convertor for toString().
+    static dataMembersToStr = { "_id": "_id", "_createTime": "createdAt", "_updateTime": "updatedAt", "_deleteTime": "deletedAt", "_version": "__v" }  // A convinient convertor for toString().
 
     /**
      * Creates a new Document instance, based on the given parameters, and with a unique ID.
@@ -42,6 +45,8 @@ class Document {
         this._content = {};  // The content, based on the schema.
         this._createTime = null;  // Creation time.
         this._updateTime = null;  // Last update time.
+        this._deleteTime = null;  // Soft-deletion time (check the schema's "softDelete" option).
+        this._version = null;  // The version number (check the schema's "versionKey" option). Null without it.
         this._id = '';  // The document's ID.
         this._schema = schema;  // schema.
         this.#dbHandler = dbHandler;  // HAndles the I/O operations with the database.
@@ -61,6 +66,18 @@ class Document {
                 (+new Date()).toString() + '-' +
                 crypto.randomBytes(6).toString('hex');
         }
+
+        this.#define_accessors();
+    }
+
+    /**
+     * Returns true if the given "name" is used by the Document class itself (a method, a 
+     * getter or a data member), so it cannot be used for a schema method or a virtual.
+     * @param {string} name - A name of a property.
+     */
+    static is_reserved_name(name) {
+        return name in Document.prototype || ['_content', '_schema'].includes(name) ||
+            Object.keys(Document.dataMembersToStr).includes(name);
     }
 
     /**
@@ -117,6 +134,22 @@ class Document {
         return this._updateTime;
     }
 
+    /**
+     * Returns the time this document was moved to the trash (Date object), or null if it 
+     * wasn't (check the schema's "softDelete" option).
+     */
+    get deletedAt() {
+        return this._deleteTime;
+    }
+
+    /**
+     * Returns the version number of this document, or null if the schema has no "versionKey" 
+     * option. It's incremented by every save.
+     */
+    get __v() {
+        return this._version;
+    }
+
     /**
      * Returns True if a working connection to a database was established. False otherwise.
      */
@@ -125,40 +158,55 @@ class Document {
     }
 
     /**
-     * Saves this document into the database, as a JSON.
+     * Returns the value of the given field of the content, or undefined if it doesn't exist.
+     * @param {string} path - The name (or dotted path) of the field, i.e: "title", "author.name".
+     */
+    get(path) {
+        return Query.get_path_value(this._content, path);
+    }
+
+    /**
+     * Sets the value of the given field of the content. The new content is validated 
+     * when the document is saved. Returns this document (for chaining).
+     * @param {string} path - The name (or dotted path) of the field, i.e: "title", "author.name".
+     * @param {any} value - The new value.
+     */
+    set(path, value) {
+        Query.set_path_value(this._content, path, value);
+        return this;
+    }
+
+    /**
+     * Saves this document into the database, as a JSON. 
+     * Runs the schema's "validate" and "save" hooks (check Schema.pre()), and validates 
+     * the content again after the "pre validate" hooks, since they may change it.
+     * With the schema's "versionKey" option, the version is incremented, and a document that 
+     * was saved before is written only if the stored one is still at its previous version. 
+     * Otherwise, the Promise is rejected with a VersionError.
      * Returns a Promise. 
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the write 
+     * is a part of it, and is stored only when the transaction is committed.
      */
-    async save() {
-        // Will be caught as a Promise.catch():
-        if (!this.#dbHandler.is_connected()) {
+    async save(options = {}) {
+        // Will be caught as a Promise.catch(). Wait for a connection in progress:
+        if (!(await this.#dbHandler.ready())) {
             throw new Error(notConnectedErrMsg);
         }
 
-        const docStr = this.toString();
-        return new Promise((resolve, reject) => {
-            if (this.#saved) {
-                // Update: First delete the line with the matchig ID:
-                this.#dbHandler.delete_by_match(Document.dataMembersToStr['_id'] + '\":\"' + this._id)
-                    .then(() => {
-                        // Then save the updated doc:
-                        this.#dbHandler.save(docStr)
-                            .then((result) => {
-                                this.#saved = true;
-                                resolve(result);
-                            });/*
-                            .catch(error => { reject(error); });*/
-                    })
-                    .catch(error => { reject(error); });
-            } else {
-                // First save: Simply save:
-                this.#dbHandler.save(docStr)
-                    .then((result) => {
-                        this.#saved = true;  // Next time we update.
-                        resolve(result);
-                    })
-                    .catch(error => { reject(error); });
-            }
-        });
+        try {
+            await this._schema.run_hooks('pre', 'validate', this);
+            this._content = this.#setup_content(this._content);
+            await this._schema.run_hooks('post', 'validate', this, this);
+            await this._schema.run_hooks('pre', 'save', this);
+
+            const result = await this.#write(options);
+            await this._schema.run_hooks('post', 'save', this, this);
+            return result;
+        } catch (err) {
+            err.message += "\n\tError occured in Document.save().";
+            throw err;
+        }
     }
 
     /**
@@ -176,6 +224,37 @@ class Document {
         this._updateTime = new Date();
     }
 
+    /**
+     * Returns a plain object (JSON) copy of this document: { _id, <content>, createdAt, updatedAt, deletedAt, __v }.
+     * @param {object} options - Additional options for the function:
+     * options.virtuals: If true, include the virtuals of the schema. By default, follows the 
+     * schema's "toObject" option.
+     */
+    toObject(options = {}) {
+        let obj = { [Document.dataMembersToStr['_id']]: this._id, ...structuredClone(this._content) };
+        if (this._createTime !== null)
+            obj[Document.dataMembersToStr['_createTime']] = new Date(this._createTime);
+        if (this._updateTime !== null)
+            obj[Document.dataMembersToStr['_updateTime']] = new Date(this._updateTime);
+        if (this._deleteTime !== null)
+            obj[Document.dataMembersToStr['_deleteTime']] = new Date(this._deleteTime);
+        if (this._version !== null)
+            obj[Document.dataMembersToStr['_version']] = this._version;
+
+        const virtuals = (options && Object.hasOwn(options, 'virtuals')) ? options.virtuals : this._schema.options.toObject.virtuals;
+        if (virtuals === true)
+            this._schema.apply_virtuals(obj, this);
+        return obj;
+    }
+
+    /**
+     * Returns the plain object that JSON.stringify() uses for this document. The virtuals 
+     * are included if the schema's option "toJSON.virtuals" is true.
+     */
+    toJSON() {
+        return this.toObject({ virtuals: this._schema.options.toJSON.virtuals === true });
+    }
+
     /**
      * Returns a string that represents this document.
      */
@@ -189,12 +268,80 @@ class Document {
         // If has a value, add the last update time:
         if (this._updateTime !== null)
             docStr += ',\"' + Document.dataMembersToStr['_updateTime'] + '\":\"' + this._updateTime.toISOString() + '\"';
+        // If it's in the trash, add the deletion time:
+        if (this._deleteTime !== null)
+            docStr += ',\"' + Document.dataMembersToStr['_deleteTime'] + '\":\"' + this._deleteTime.toISOString() + '\"';
+        // With versioning, add the version:
+        if (this._version !== null)
+            docStr += ',\"' + Document.dataMembersToStr['_version'] + '\":' + this._version;
         // Seal the deal:
         docStr += '}';
 
         return docStr;
     }
 
+    /**
+     * Writes this document into the database: Replaces the stored document with the same 
+     * ID if it was saved before, or adds it otherwise.
+     * Returns a Promise.
+     * @param {object} options - The options of Document.save().
+     */
+    #write(options = {}) {
+        const session = options && options.session;
+        const dbHandler = (session && session.inTransaction()) ? session.handler_for(this.#dbHandler) : this.#dbHandler;
+        if (this.#saved && this._version !== null)
+            return this.#write_versioned(dbHandler);
+
+        const docStr = this.toString();
+        return new Promise((resolve, reject) => {
+            if (this.#saved) {
+                // Update: Replace the document with the matching ID, in a single operation:
+                dbHandler.replace_by_id(this._id, docStr)
+                    .then((result) => { resolve(result); })
+                    .catch(error => { reject(error); });
+            } else {
+                // First save: Simply save:
+                dbHandler.save(docStr)
+                    .then((result) => {
+                        this.#saved = true;  // Next time we update.
+                        resolve(result);
+                    })
+                    .catch(error => { reject(error); });
+            }
+        });
+    }
+
+    /**
+     * Replaces the stored document with this one, with the next version, only if the stored 
+     * one is still at the version of this document (check the schema's "versionKey" option). 
+     * Everything is done under a single write lock (check DBHandler.modify()).
+     * Returns a Promise. Rejected with a VersionError if the stored document has another version.
+     * @param {DBHandler} dbHandler - The handler to write with (or the one of a transaction).
+     */
+    #write_versioned(dbHandler) {
+        const idMark = Document.dataMembersToStr['_id'];
+        const versionMark = Document.dataMembersToStr['_version'];
+        const version = this._version;
+        this._version = version + 1;
+        const docStr = this.toString();
+        return dbHandler.modify(docArray => {
+            const index = docArray.findIndex(doc => doc[idMark] === this._id);
+            if (index === -1)
+                throw new Error(`Error in Document.save(): No document with the ID \"${this._id}\" was found.`);
+            // Stored documents without a version are at version 0:
+            const storedVersion = docArray[index][versionMark] || 0;
+            if (storedVersion !== version)
+                throw new VersionError(this._id, version, storedVersion);
+
+            docArray[index] = JSON.parse(docStr);
+            return { docArray: docArray, result: docStr };
+        })
+            .catch(err => {
+                this._version = version;  // Nothing was saved.
+                throw err;
+            });
+    }
+
     /**
      * Checks the legality of the given "content" according to this._schema, and if 
      * everything is OK it stores it in this document.
@@ -223,43 +370,67 @@ class Document {
             this._updateTime = new Date(content[updateTMark]);
         else if (this._createTime !== null && this._updateTime === null)  // Set _updateTime to be equals to _createTime
             this._updateTime = new Date(this._createTime);
+        // Deletion time (only with soft-deletion. Null means it isn't deleted):
+        let deleteTMark = Document.dataMembersToStr['_deleteTime'];
+        if (this._schema.get_soft_delete() && content[deleteTMark] !== undefined && content[deleteTMark] !== null &&
+            !isNaN(new Date(content[deleteTMark])))
+            this._deleteTime = new Date(content[deleteTMark]);
+        // Version (only with versioning. Set to 0 by #set_options() if it's missing):
+        let versionMark = Document.dataMembersToStr['_version'];
+        if (this._schema.get_version_key() && Number.isInteger(content[versionMark]) && content[versionMark] >= 0)
+            this._version = content[versionMark];
 
     }
 
     /**
      * Setup a content JSON object with the values of the given "content", but while checking 
      * its validity (as dictated by the schema). If succeeded, returns the new copy-content. 
-     * If not, throws an error.
+     * If not, throws a ValidationError that lists all the invalid fields and their reasons.
      * @param {object} content - A JSON with the data. Must follow the format of the given schema.
      */
     #setup_content(content) {
-        let newContent = {};
-        const schemaDef = this._schema.definition;
-        for (let param in schemaDef) {
-            // First we need to verify the legality of "content":
-            if (!(param in content)) {
-                if (schemaDef[param].required) {
-                    // The missing parameter is required -> error!
-                    throw new Error(`Missing required parameter \"${param}\" in \"content\"!`);
-                } else {
-                    // The missing parameter isn't required -> OK! Add with default value.
-                    newContent[param] = schemaDef[param].default;
-                }
-            }
-            else if (schemaDef[param].type === Schema.typeX(content[param])) {
-                // The parameter is in doc and has the right value type.
-                newContent[param] = content[param];
-            }
-            else {
-                // In doc but has an invalid type.
-                throw new Error(`Wrong parameter \"${param}\" type in \"content\"!`);
-            }
-        }
+        const { content: newContent, errors } = Validation.validate_content(content, this._schema);
+        if (Object.keys(errors).length > 0)
+            throw new ValidationError(errors);
 
         // Returns only if succeeded!
         return newContent;
     }
 
+    /**
+     * Defines properties on this document for the schema's parameters (i.e: doc.title, which 
+     * reads and writes doc._content.title), virtuals and instance methods. Parameters whose 
+     * names are used by the Document class itself are reachable only by get() and set().
+     */
+    #define_accessors() {
+        for (let param in this._schema.definition) {
+            if (Document.is_reserved_name(param))
+                continue;
+            Object.defineProperty(this, param, {
+                get() { return this._content[param]; },
+                set(value) { this._content[param] = value; },
+                configurable: true
+            });
+        }
+
+        const virtuals = this._schema.get_virtuals();
+        for (let name in virtuals) {
+            if (Document.is_reserved_name(name))
+                continue;
+            Object.defineProperty(this, name, {
+                get() { return virtuals[name].apply_getter(this); },
+                set(value) { virtuals[name].apply_setter(this, value); },
+                configurable: true
+            });
+        }
+
+        for (let name in this._schema.methods) {
+            if (Document.is_reserved_name(name))
+                continue;
+            Object.defineProperty(this, name, { value: this._schema.methods[name], writable: true, configurable: true });
+        }
+    }
+
     /**
      * Setup the relevan optional parameters from this._schema.options in this 
      * document (s.a "timestamps").
@@ -273,6 +444,8 @@ class Document {
         else if (options.timestamps === false && this._createTime !== null) {
             options.timestamps = true;
         }
+        if (options.versionKey === true && this._version === null)
+            this._version = 0;
     }
 }
 
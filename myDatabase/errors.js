@@ -0,0 +1,149 @@
+/**
+ * Error classes of the "mydb" library. Like in "mongoose", they're all available through
+ * "mydb.Error" (i.e: "err instanceof mydb.Error.DuplicateKeyError"), so a user can tell
+ * the reason of a failure without parsing its message.
+ */
+
+/**
+ * The base class of all the specific errors of mydb.
+ */
+class MydbError extends Error {
+    /**
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Thrown when a write would store two documents with the same value(s) of a unique index
+ * (or with the same "_id"). Follows the MongoDB duplicate-key error (code 11000).
+ */
+class DuplicateKeyError extends MydbError {
+    /**
+     * @param {string} collection - The path (or name) of the database.
+     * @param {string} indexName - The name of the violated index, i.e: "title_1".
+     * @param {object} keyValue - The duplicated value(s), i.e: { title: 'Today' }.
+     */
+    constructor(collection, indexName, keyValue) {
+        super(`E11000 duplicate key error collection: ${collection} index: ${indexName} ` +
+            `dup key: ${JSON.stringify(keyValue)}`);
+        this.code = 11000;
+        this.index = indexName;
+        this.keyValue = keyValue;
+    }
+}
+
+/**
+ * Describes a single failed validation of a single field (path) of a document. It's not 
+ * thrown by itself, but held by a ValidationError.
+ */
+class ValidatorError extends MydbError {
+    /**
+     * @param {string} path - The name (or dotted path) of the field, i.e: "title".
+     * @param {string} kind - The failed validator, i.e: "required", "maxlength", "user defined".
+     * @param {string} message - A human readable reason.
+     * @param {any} value - The invalid value.
+     */
+    constructor(path, kind, message, value) {
+        super(message);
+        this.path = path;
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown when a document doesn't follow its schema. Like in mongoose, it aggregates the 
+ * failures of all the fields in "errors": { <path>: ValidatorError, ... }, so all the 
+ * problems can be reported at once.
+ */
+class ValidationError extends MydbError {
+    /**
+     * @param {object} errors - A map of field paths to their ValidatorError.
+     */
+    constructor(errors) {
+        super('Validation failed: ' +
+            Object.keys(errors).map(path => `${path}: ${errors[path].message}`).join(', '));
+        this.errors = errors;
+    }
+}
+
+/**
+ * Thrown by mydb.model() when a model with the same name was already created.
+ */
+class OverwriteModelError extends MydbError {
+    /**
+     * @param {string} modelName - The name of the model, i.e: "Story".
+     */
+    constructor(modelName) {
+        super(`Cannot overwrite \"${modelName}\" model once compiled.`);
+        this.modelName = modelName;
+    }
+}
+
+/**
+ * Thrown when a model is requested by its name (i.e: by mydb.model(name) or by the "ref" 
+ * of a populated field), but no model with that name was created.
+ */
+class MissingSchemaError extends MydbError {
+    /**
+     * @param {string} modelName - The name of the model, i.e: "User".
+     */
+    constructor(modelName) {
+        super(`Schema hasn't been registered for model \"${modelName}\".`);
+        this.modelName = modelName;
+    }
+}
+
+/**
+ * Thrown when a transaction commits writes to a database that was changed by someone else 
+ * since the transaction read it. Follows the MongoDB write-conflict error (code 112). 
+ * session.withTransaction() retries the transaction on this error.
+ */
+class WriteConflictError extends MydbError {
+    /**
+     * @param {string} collection - The path (or name) of the database.
+     */
+    constructor(collection) {
+        super(`WriteConflict error: The collection ${collection} was changed by another operation during the transaction. ` +
+            'Please retry the transaction.');
+        this.code = 112;
+        this.collection = collection;
+    }
+}
+
+/**
+ * Thrown when a document is saved (or updated) based on a version of it that isn't the 
+ * stored one anymore, since someone else saved it in between (check the schema's 
+ * "versionKey" option). Like mongoose's VersionError, so the caller can reload the document 
+ * and merge the changes instead of overwriting them.
+ */
+class VersionError extends MydbError {
+    /**
+     * @param {string} id - The ID of the document.
+     * @param {number} version - The version the save was based on.
+     * @param {number} currentVersion - The version of the stored document.
+     */
+    constructor(id, version, currentVersion) {
+        super(`No matching document found for id \"${id}\" version ${version}: ` +
+            `It was changed by someone else since (its current version is ${currentVersion}).`);
+        this.id = id;
+        this.version = version;
+        this.currentVersion = currentVersion;
+    }
+}
+
+
+module.exports = {
+    MydbError,
+    DuplicateKeyError,
+    ValidatorError,
+    ValidationError,
+    OverwriteModelError,
+    MissingSchemaError,
+    WriteConflictError,
+    VersionError
+};
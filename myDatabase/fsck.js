@@ -0,0 +1,352 @@
+/**
+ * An integrity checker (and repair tool) for the database files of the "mydb" library (check
+ * "storage.js"): The .ndjson files, with a document (JSON) per line and a '\n' after each one,
+ * and the .json files of the older format, with "[" in the first line, a document per line
+ * with a "," after each one but the last, and "]" in the last line.
+ * A hand edit or an interrupted write may break them, and then the whole file can't be loaded
+ * (or a document is silently left out). The checker scans the file line by line and reports
+ * the problems it finds:
+ *   - layout: In a .json file, a missing "[" or "]" (i.e: the file was cut), or a missing or
+ *     an extra ",".
+ *   - malformed: A line that isn't a valid JSON document with an "_id", or the last line of
+ *     an .ndjson file without its '\n' (a write that was interrupted, which isn't loaded).
+ *   - duplicate: A document whose "_id" already appeared in an earlier line.
+ *   - schema: A document that doesn't follow the schema of its collection (if it's known).
+ * The repair rewrites the file (crash-safe) with the valid documents only, and moves the bad
+ * lines (the malformed and the duplicate ones, and with "strict" the schema violations too)
+ * to a quarantine file next to it: "<collection>.quarantine.ndjson", with a JSON per line:
+ * { file, line, type, message, content: <the original line>, quarantinedAt }.
+ * Use it from code by "mydb.fsck()", or from a terminal by "node myDatabase/cli.js fsck"
+ * (check "cli.js"). Don't repair a collection while another process writes to it (and
+ * "mydb.fsck()" refuses to repair the data directory that it's connected to).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const Validation = require('./validation');
+
+// The database files that the checker supports:
+const jsonExt = '.json';
+const ndjsonExt = '.ndjson';
+// The quarantine file of a collection: <collection>.quarantine.ndjson
+const quarantineExt = '.quarantine.ndjson';
+// Files in a data directory that aren't collections (the meta files of "migration.js"):
+const metaFileExt = '.meta.json';
+
+const idField = '_id';
+
+
+/**
+ * Returns the path to the quarantine file of the given database file.
+ * @param {string} dbFilePath - The path to the database file, i.e: "./data/Stories.ndjson".
+ */
+function quarantine_file_path(dbFilePath) {
+    return path.join(path.dirname(dbFilePath), path.basename(dbFilePath, path.extname(dbFilePath)) + quarantineExt);
+}
+
+/**
+ * Scans the given database file line by line, and returns what it found:
+ * { documents: <number of valid documents>, docArray: [<the valid documents>] (only with
+ *   "keepDocs"), issues: [{ line, type, message, id, content }, ...] }.
+ * @param {string} dbFilePath - The path to the .ndjson or .json database file.
+ * @param {object} options - Additional options:
+ * options.schema: The Schema of the collection, to check the documents against.
+ * options.strict: If true, documents that break the schema aren't counted as valid.
+ * options.keepDocs: If true, return the valid documents too (for the repair).
+ */
+async function scan_file(dbFilePath, options = {}) {
+    let issues = [];
+    let docArray = [];
+    let ids = new Set();
+    let documents = 0;
+    const issue = (line, type, message, content, id = null) =>
+        issues.push({ line: line, type: type, message: message, id: id, content: content });
+
+    // Checks the document (JSON) of a line, and counts it if it's valid. Returns false if it
+    // isn't a valid JSON at all:
+    const check_doc = (lineNum, line, json) => {
+        let doc;
+        try {
+            doc = JSON.parse(json);
+        } catch (err) {
+            issue(lineNum, 'malformed', 'Not a valid JSON: ' + err.message, line);
+            return false;
+        }
+        if (!doc || typeof (doc) !== 'object' || Array.isArray(doc)) {
+            issue(lineNum, 'malformed', 'Not a document (a JSON object).', line);
+            return true;
+        }
+        if (typeof (doc[idField]) !== 'string' || doc[idField] === '') {
+            issue(lineNum, 'malformed', `The document has no \"${idField}\".`, line);
+            return true;
+        }
+        if (ids.has(doc[idField])) {
+            issue(lineNum, 'duplicate', `The \"${idField}\" already appeared in an earlier line.`, line, doc[idField]);
+            return true;
+        }
+        ids.add(doc[idField]);
+
+        if (options.schema) {
+            const { errors } = Validation.validate_content(doc, options.schema);
+            if (Object.keys(errors).length > 0) {
+                issue(lineNum, 'schema', Object.values(errors).map(error => error.message).join(' '), line, doc[idField]);
+                if (options.strict)
+                    return true;
+            }
+        }
+        ++documents;
+        if (options.keepDocs)
+            docArray.push(doc);
+        return true;
+    };
+
+    // (The lines must be iterated right after they're opened, so nothing is awaited in between):
+    if (path.extname(dbFilePath) === ndjsonExt) {
+        const endsWithNewLine = await ends_with_new_line(dbFilePath);
+        await scan_ndjson_lines(await storage.read_lines(dbFilePath), endsWithNewLine, check_doc, issue);
+    } else {
+        await scan_json_lines(await storage.read_lines(dbFilePath), check_doc, issue);
+    }
+    issues.sort((a, b) => a.line - b.line);
+    return { documents: documents, docArray: docArray, issues: issues };
+}
+
+/**
+ * Scans the lines of an .ndjson database file (check scan_file()).
+ * @param {AsyncIterable} lines - The lines of the file (check storage.read_lines()).
+ * @param {boolean} endsWithNewLine - Whether the file ends with '\n'.
+ * @param {Function} check_doc - Checks the document of a line: (lineNum, line, json).
+ * @param {Function} issue - Reports a problem: (lineNum, type, message, content).
+ */
+async function scan_ndjson_lines(lines, endsWithNewLine, check_doc, issue) {
+    // Hold each line until the next one is read, since the last line is checked differently:
+    let lineNum = 0;
+    let pending = null;
+    for await (let line of lines) {
+        ++lineNum;
+        if (line.trim() === '')
+            continue;
+        if (pending !== null)
+            check_doc(pending.num, pending.line, pending.line);
+        pending = { line: line, num: lineNum };
+    }
+    if (pending === null)
+        return;
+    if (!endsWithNewLine && pending.num === lineNum)
+        issue(pending.num, 'malformed', 'The last line has no new line after it: A write that was interrupted, so it isn\'t loaded.', pending.line);
+    else
+        check_doc(pending.num, pending.line, pending.line);
+}
+
+/**
+ * Scans the lines of a .json database file of the older format (check scan_file()).
+ * @param {AsyncIterable} lines - The lines of the file (check storage.read_lines()).
+ * @param {Function} check_doc - Checks the document of a line: (lineNum, line, json).
+ * @param {Function} issue - Reports a problem: (lineNum, type, message, content).
+ */
+async function scan_json_lines(lines, check_doc, issue) {
+    let lineNum = 0;
+    let opened = false, closed = false;
+    let lastDoc = null;  // The last document line: { line, comma: T/F, parsed: T/F }.
+    for await (let line of lines) {
+        ++lineNum;
+        if (line.trim() === '')
+            continue;
+        if (line === '[]' && !opened && lastDoc === null) {
+            opened = closed = true;
+            continue;
+        }
+        if (line === '[') {
+            if (opened || lastDoc !== null)
+                issue(lineNum, 'layout', 'An extra "[" in the middle of the file.', line);
+            opened = true;
+            continue;
+        }
+        if (line === ']') {
+            if (closed)
+                issue(lineNum, 'layout', 'An extra "]" in the middle of the file.', line);
+            closed = true;
+            continue;
+        }
+
+        // A line of a document:
+        if (!opened && lastDoc === null)
+            issue(lineNum, 'layout', 'The file doesn\'t start with "[".', null);
+        if (closed)
+            issue(lineNum, 'layout', 'A document after the closing "]".', null);
+        // (A line that isn't a valid JSON, i.e: a cut one, is quarantined with its "," anyway):
+        if (lastDoc !== null && !lastDoc.comma && lastDoc.parsed)
+            issue(lastDoc.line, 'layout', 'A "," is missing after the document.', null);
+        const comma = line.endsWith(',');
+        lastDoc = { line: lineNum, comma: comma, parsed: false };
+        lastDoc.parsed = check_doc(lineNum, line, comma ? line.slice(0, -1) : line);
+    }
+
+    if (lastDoc !== null && lastDoc.comma)
+        issue(lastDoc.line, 'layout', 'An extra "," after the last document.', null);
+    if (lineNum > 0 && (opened || lastDoc !== null) && !closed)
+        issue(lineNum, 'layout', 'The file doesn\'t end with "]" (it was cut, i.e: by an interrupted write).', null);
+}
+
+/**
+ * Checks the given database file, without changing it.
+ * Returns a Promise, which resolves with a report:
+ * { file, ok: T/F, documents: <number of valid documents>, issues: [{ line, type, message, id }, ...],
+ *   repaired: false, quarantined: 0, quarantineFile: null }
+ * @param {string} dbFilePath - The path to the .ndjson or .json database file.
+ * @param {object} options - Additional options:
+ * options.schema: The Schema of the collection, to check the documents against.
+ * options.strict: If true, documents that break the schema aren't counted as valid.
+ */
+async function check_file(dbFilePath, options = {}) {
+    check_path(dbFilePath);
+    const { documents, issues } = await scan_file(dbFilePath, { schema: options.schema, strict: options.strict });
+    return make_report(dbFilePath, documents, issues);
+}
+
+/**
+ * Checks the given database file, and repairs it if it has problems: Rewrites it (in a
+ * crash-safe way) with the valid documents, and appends the bad lines to its quarantine
+ * file first (check the top of this file). Documents that break the schema are kept,
+ * unless "options.strict" is true.
+ * Returns a Promise, which resolves with a report (check check_file()), where "repaired"
+ * is true if the file was rewritten, and "quarantined" is the number of quarantined lines.
+ * @param {string} dbFilePath - The path to the .ndjson or .json database file.
+ * @param {object} options - Additional options:
+ * options.schema: The Schema of the collection, to check the documents against.
+ * options.strict: If true, quarantine the documents that break the schema too.
+ */
+async function repair_file(dbFilePath, options = {}) {
+    check_path(dbFilePath);
+    const strict = options.strict === true;
+    const { documents, docArray, issues } = await scan_file(dbFilePath, { schema: options.schema, strict: strict, keepDocs: true });
+    let report = make_report(dbFilePath, documents, issues);
+
+    // Only layout problems and bad lines need a rewrite:
+    const bad = issues.filter(item => item.type === 'malformed' || item.type === 'duplicate' || (strict && item.type === 'schema'));
+    if (!issues.some(item => item.type !== 'schema') && bad.length === 0)
+        return report;
+
+    if (bad.length > 0) {
+        const quarantineFile = quarantine_file_path(dbFilePath);
+        const quarantinedAt = new Date().toISOString();
+        const data = bad.map(item => JSON.stringify({
+            file: dbFilePath, line: item.line, type: item.type, message: item.message,
+            content: item.content, quarantinedAt: quarantinedAt
+        }) + '\n').join('');
+        await append_durable(quarantineFile, data);
+        report.quarantined = bad.length;
+        report.quarantineFile = quarantineFile;
+    }
+    const adapter = path.extname(dbFilePath) === ndjsonExt ? new storage.NdjsonAdapter(dbFilePath) : new storage.JsonFileAdapter(dbFilePath);
+    await adapter.replace(docArray);
+    report.repaired = true;
+    return report;
+}
+
+/**
+ * Checks (or repairs) all the collections in the given data directory: The .ndjson and .json
+ * files in it (the meta files, the quarantine files and the hidden files, i.e: the journals of
+ * "session.js", aren't collections).
+ * Returns a Promise, which resolves with a report per collection (check check_file()),
+ * sorted by the file names.
+ * @param {object} options - Additional options:
+ * options.dataDir: The data directory (required).
+ * options.schemas: The schemas of the collections by their names: { Stories: <Schema>, ... }.
+ * options.repair: If true, repair the collections that have problems.
+ * options.strict: Check repair_file().
+ */
+async function fsck(options = {}) {
+    if (!options || typeof (options.dataDir) !== 'string' || options.dataDir === '')
+        throw new Error('Error in fsck(): \"options.dataDir\" must be a non-empty string (the path to the data directory).');
+    const data = storage.parse_data_uri(options.dataDir);
+    if (data.scheme !== 'file')
+        throw new Error('Error in fsck(): Only data directories on the disk can be checked, but received: ' + options.dataDir);
+
+    const fileNames = (await fs.promises.readdir(data.dir))
+        .filter(fileName => [ndjsonExt, jsonExt].includes(path.extname(fileName)) && !fileName.startsWith('.') &&
+            !fileName.endsWith(metaFileExt) && !fileName.endsWith(quarantineExt))
+        .sort();
+    let reports = [];
+    for (let fileName of fileNames) {
+        const collection = path.basename(fileName, path.extname(fileName));
+        const fileOptions = {
+            schema: (options.schemas && options.schemas[collection]) || null,
+            strict: options.strict === true
+        };
+        const dbFilePath = path.join(data.dir, fileName);
+        reports.push(options.repair ? await repair_file(dbFilePath, fileOptions) : await check_file(dbFilePath, fileOptions));
+    }
+    return reports;
+}
+
+/**
+ * Returns a new report of a checked file (check check_file()).
+ * @param {string} dbFilePath - The path to the database file.
+ * @param {number} documents - The number of valid documents.
+ * @param {Array} issues - The problems that were found.
+ */
+function make_report(dbFilePath, documents, issues) {
+    return {
+        file: dbFilePath,
+        ok: issues.length === 0,
+        documents: documents,
+        issues: issues.map(({ content, ...item }) => item),
+        repaired: false,
+        quarantined: 0,
+        quarantineFile: null
+    };
+}
+
+/**
+ * Throws an error if the given path isn't of an .ndjson or a .json database file.
+ * @param {string} dbFilePath - The path to the database file.
+ */
+function check_path(dbFilePath) {
+    if (!dbFilePath || typeof (dbFilePath) !== 'string' || ![ndjsonExt, jsonExt].includes(path.extname(dbFilePath)) ||
+        dbFilePath.endsWith(quarantineExt))
+        throw new Error(`Error in fsck: Only ${ndjsonExt} and ${jsonExt} database files can be checked, but received: ` + dbFilePath);
+}
+
+/**
+ * Returns a Promise, which resolves with true if the given file is empty or ends with '\n'.
+ * @param {string} filePath - The path of the file.
+ */
+async function ends_with_new_line(filePath) {
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    try {
+        const size = (await fileHandle.stat()).size;
+        if (size === 0)
+            return true;
+        const { buffer } = await fileHandle.read(Buffer.alloc(1), 0, 1, size - 1);
+        return buffer[0] === 0x0a;
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+/**
+ * Appends the given "data" to the file at "filePath" (creating it if it doesn't exist), and
+ * flushes it to the disk.
+ * Returns a Promise.
+ * @param {string} filePath - The path of the file.
+ * @param {string} data - The data to append.
+ */
+async function append_durable(filePath, data) {
+    const fileHandle = await fs.promises.open(filePath, 'a', 0o666);
+    try {
+        await fileHandle.appendFile(data, 'utf8');
+        await fileHandle.sync();
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+
+module.exports = {
+    quarantine_file_path,
+    check_file,
+    repair_file,
+    fsck
+};
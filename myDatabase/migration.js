@@ -0,0 +1,266 @@
+/**
+ * Schema versioning and data migrations for the "mydb" library.
+ * When a schema changes (i.e: a new required field), the documents that were already stored
+ * don't follow it. A migration rewrites them. Each migration is a module in the migrations
+ * directory (by default "./migrations"), named "<version>-<name>.js", i.e: "0002-add-genre.js":
+ *   module.exports = {
+ *       collection: 'Stories',  // The collection (file name in the data directory) it changes.
+ *       up(docs) { return docs.map(doc => ({ genre: 'general', ...doc })); },
+ *       down(docs) { return docs.map(({ genre, ...doc }) => doc); }
+ *   };
+ * "up" and "down" get the stored documents (JSONs) and return the new ones (or a Promise of
+ * them). "down" is optional, but a migration without it cannot be reverted.
+ * The versions are a single sequence for all the collections. Each collection has a meta file
+ * next to it ("<collection>.meta.json") which records the migrations that were applied to it:
+ * { schemaVersion: <the version of the last one>, migrations: [{ version, name, appliedAt }] }.
+ * A schema can declare the version it expects by its "version" option, and mydb.connect()
+ * warns if the stored collection is older.
+ * Run the migrations from code by "mydb.migrate()", or from a terminal by "npm run migrate"
+ * (check "cli.js").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DBHandler = require('./dbhandler');
+const storage = require('./storage');
+const { write_journal, recover_transactions } = require('./session');
+
+// The default directory of the migration modules:
+const defaultMigrationsDir = './migrations';
+// The names of the migration modules: <version>-<name>.js
+const migrationFileRegex = /^(\d+)-([\w.-]+)\.js$/;
+// The meta file of a collection: <collection>.meta.json
+const metaFileExt = '.meta.json';
+
+
+/**
+ * Returns the path to the meta file of the given collection file.
+ * @param {string} dbFilePath - The path to the collection's database file, i.e: "./data/Stories.ndjson".
+ */
+function meta_file_path(dbFilePath) {
+    return path.join(path.dirname(dbFilePath), path.basename(dbFilePath, path.extname(dbFilePath)) + metaFileExt);
+}
+
+/**
+ * Reads the meta file of the given collection file. A collection without a meta file was
+ * never migrated, so its version is 0.
+ * Returns a Promise, which resolves with { schemaVersion, migrations: [{ version, name, appliedAt }] }.
+ * @param {string} dbFilePath - The path to the collection's database file.
+ */
+async function read_meta(dbFilePath) {
+    const metaPath = meta_file_path(dbFilePath);
+    let data;
+    try {
+        data = await fs.promises.readFile(metaPath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return { schemaVersion: 0, migrations: [] };
+        throw err;
+    }
+
+    try {
+        const meta = JSON.parse(data);
+        if (typeof (meta.schemaVersion) !== 'number' || !Array.isArray(meta.migrations))
+            throw new Error('Missing "schemaVersion" or "migrations".');
+        return meta;
+    } catch (err) {
+        err.message = `Error in read_meta(): The meta file ${metaPath} is corrupted. ` + err.message;
+        throw err;
+    }
+}
+
+/**
+ * Writes the given "meta" into the meta file of the given collection file (crash-safe).
+ * Returns a Promise.
+ * @param {string} dbFilePath - The path to the collection's database file.
+ * @param {object} meta - { schemaVersion, migrations: [...] } (check read_meta()).
+ */
+async function write_meta(dbFilePath, meta) {
+    await storage.write_file_atomic(meta_file_path(dbFilePath), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Loads the migration modules from the given directory, sorted by their versions. Throws an
+ * error if a module is invalid, or if two modules have the same version.
+ * Returns a Promise, which resolves with [{ version, name, collection, up, down }, ...].
+ * @param {string} migrationsDir - The path to the migrations directory.
+ */
+async function load_migrations(migrationsDir) {
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(migrationsDir);
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return [];
+        throw err;
+    }
+
+    let migrations = [];
+    for (let fileName of fileNames) {
+        const match = migrationFileRegex.exec(fileName);
+        if (!match)
+            continue;
+        const filePath = path.resolve(migrationsDir, fileName);
+        const migration = require(filePath);
+        if (!migration || typeof (migration.collection) !== 'string' || migration.collection === '' ||
+            typeof (migration.up) !== 'function' || (migration.down !== undefined && typeof (migration.down) !== 'function'))
+            throw new Error(`Error in load_migrations(): The migration ${filePath} must export ` +
+                '{ collection: <string>, up: <function>, down: <function (optional)> }.');
+
+        const version = Number(match[1]);
+        if (migrations.some(other => other.version === version))
+            throw new Error(`Error in load_migrations(): More than one migration has the version ${version}.`);
+        migrations.push({ version: version, name: match[2], collection: migration.collection, up: migration.up, down: migration.down || null });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Returns the state of the migrations: Each migration with whether it was applied to its
+ * collection.
+ * Returns a Promise, which resolves with [{ version, name, collection, applied: T/F, appliedAt }, ...].
+ * @param {object} options - The data directory and the migrations directory (check migrate()).
+ */
+async function migration_status(options = {}) {
+    const { dataDir, migrationsDir } = resolve_dirs(options);
+    // Complete the migrations that were interrupted first, so the meta files are up to date:
+    await recover_transactions(storage.parse_data_uri(dataDir).dir);
+    const migrations = await load_migrations(migrationsDir);
+    let status = [];
+    for (let migration of migrations) {
+        const meta = await read_meta(collection_file_path(dataDir, migration.collection));
+        const record = meta.migrations.find(applied => applied.version === migration.version);
+        status.push({
+            version: migration.version, name: migration.name, collection: migration.collection,
+            applied: record !== undefined, appliedAt: record ? record.appliedAt : null
+        });
+    }
+    return status;
+}
+
+/**
+ * Runs the migrations: Migrates up to the version "options.to" (by default, the latest) by
+ * applying the pending migrations in their order, or migrates down to it by reverting the
+ * applied migrations with higher versions, from the last one. Each migration rewrites the
+ * documents of its collection and is recorded in the collection's meta file. If a migration
+ * fails, the runner stops, and the previous ones remain applied.
+ * Returns a Promise, which resolves with the migrations that ran: [{ version, name, collection, direction: 'up'/'down' }, ...].
+ * @param {object} options - Additional options for the function:
+ * options.dataDir: The data directory (required).
+ * options.migrationsDir: The directory of the migration modules. By default, "./migrations".
+ * options.to: The target version (a number).
+ */
+async function migrate(options = {}) {
+    const { dataDir, migrationsDir } = resolve_dirs(options);
+    if (options.to !== undefined && options.to !== null && (!Number.isInteger(options.to) || options.to < 0))
+        throw new Error('Error in migrate(): \"options.to\" must be a non-negative integer.');
+
+    const migrations = await load_migrations(migrationsDir);
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const target = (options.to === undefined || options.to === null) ? latest : options.to;
+    const status = await migration_status({ dataDir: dataDir, migrationsDir: migrationsDir });
+    const isApplied = (migration) => status.find(state => state.version === migration.version).applied;
+
+    // Revert the applied migrations above the target (from the last), then apply the pending ones up to it:
+    const steps = [
+        ...migrations.filter(migration => migration.version > target && isApplied(migration)).reverse()
+            .map(migration => ({ migration: migration, direction: 'down' })),
+        ...migrations.filter(migration => migration.version <= target && !isApplied(migration))
+            .map(migration => ({ migration: migration, direction: 'up' }))
+    ];
+    for (let step of steps) {
+        if (step.direction === 'down' && step.migration.down === null)
+            throw new Error(`Error in migrate(): The migration ${step.migration.version}-${step.migration.name} has no \"down\", so it cannot be reverted.`);
+    }
+
+    let done = [];
+    for (let step of steps) {
+        try {
+            await run_migration(collection_file_path(dataDir, step.migration.collection), step.migration, step.direction);
+        } catch (err) {
+            err.message += `\n\tError occured in migrate(): Migration ${step.migration.version}-${step.migration.name} (${step.direction}).`;
+            throw err;
+        }
+        done.push({ version: step.migration.version, name: step.migration.name, collection: step.migration.collection, direction: step.direction });
+    }
+    return done;
+}
+
+/**
+ * Applies (or reverts) a single migration: Rewrites the documents of the collection and
+ * records it in the collection's meta file. Both are written under the write lock of the
+ * collection, with a journal (check "session.js"), so after a crash between them the next
+ * migration_status() (or mydb.connect()) completes the other one, and "up" isn't run twice.
+ * Returns a Promise.
+ * @param {string} dbFilePath - The path to the collection's database file.
+ * @param {object} migration - A migration (check load_migrations()).
+ * @param {string} direction - 'up' or 'down'.
+ */
+async function run_migration(dbFilePath, migration, direction) {
+    const dbHandler = new DBHandler();
+    await dbHandler.connect_dbFilePath(dbFilePath);
+    try {
+        const { docArray, version } = await dbHandler.snapshot();
+        const newDocArray = await migration[direction](docArray);
+        if (!Array.isArray(newDocArray) || !newDocArray.every(doc => doc && typeof (doc) === 'object' && typeof (doc._id) === 'string'))
+            throw new Error(`Error in run_migration(): \"${direction}\" must return an array of documents, each with an \"_id\".`);
+
+        // Write the documents, unless they were changed by someone else in the meantime, and 
+        // record the new version of the collection:
+        const release = await dbHandler.acquire_write_lock();
+        try {
+            await dbHandler.prepare_replace_locked(version, newDocArray);
+            let meta = await read_meta(dbFilePath);
+            if (direction === 'up')
+                meta.migrations.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+            else
+                meta.migrations = meta.migrations.filter(applied => applied.version !== migration.version);
+            meta.migrations.sort((a, b) => a.version - b.version);
+            meta.schemaVersion = meta.migrations.length > 0 ? meta.migrations[meta.migrations.length - 1].version : 0;
+
+            const journalId = `migration-${migration.version}-${crypto.randomBytes(6).toString('hex')}`;
+            const journalPath = await write_journal(journalId, [{ dbFilePath: dbFilePath, docs: newDocArray }],
+                [{ filePath: meta_file_path(dbFilePath), content: JSON.stringify(meta, null, 2) }]);
+            await dbHandler.replace_locked(newDocArray);
+            await write_meta(dbFilePath, meta);
+            await storage.remove_file_durable(journalPath);
+        } finally {
+            release();
+        }
+    } finally {
+        dbHandler.disconnect();
+    }
+}
+
+/**
+ * Returns the path to the database file of the given collection in the data directory.
+ * @param {string} dataDir - The path (or URI) of the data directory (check "mydb.connect()").
+ * @param {string} collection - The name of the collection, i.e: "Stories".
+ */
+function collection_file_path(dataDir, collection) {
+    return storage.collection_uri(storage.parse_data_uri(dataDir), collection);
+}
+
+/**
+ * Checks the directories in the given options, and returns them with the default values.
+ * @param {object} options - { dataDir, migrationsDir }.
+ */
+function resolve_dirs(options) {
+    if (!options || typeof (options.dataDir) !== 'string' || options.dataDir === '')
+        throw new Error('Error: \"options.dataDir\" must be a non-empty string (the path to the data directory).');
+    if (storage.parse_data_uri(options.dataDir).scheme !== 'file')
+        throw new Error('Error: Migrations are supported only for data directories on the disk, but received: ' + options.dataDir);
+    if (options.migrationsDir !== undefined && (typeof (options.migrationsDir) !== 'string' || options.migrationsDir === ''))
+        throw new Error('Error: \"options.migrationsDir\" must be a non-empty string (the path to the migrations directory).');
+    return { dataDir: options.dataDir, migrationsDir: options.migrationsDir || defaultMigrationsDir };
+}
+
+
+module.exports = {
+    meta_file_path,
+    read_meta,
+    load_migrations,
+    migration_status,
+    migrate
+};
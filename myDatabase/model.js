@@ -1,8 +1,18 @@
 
+const { Readable } = require('stream');
 const ReadWriteLock = require('rwlock');
 const Schema = require('./schema');
 const DBHandler = require('./dbhandler');
 const Document = require('./document');
+const Query = require('./query');
+const Update = require('./update');
+const ChangeStream = require('./changestream');
+const { MissingSchemaError, VersionError } = require('./errors');
+
+// The values of the "deleted" option of the queries, for soft-deleted documents (check the schema's "softDelete"):
+const deletedOptions = ['hide', 'include', 'only'];
+// The number of milliseconds in a day (for the schema's "trashRetentionDays"):
+const msPerDay = 24 * 60 * 60 * 1000;
 
 // Error message in case of connection loss:
 const notConnectedErrMsg = 'Error: The model isn\'t connected to any database! ' + 
@@ -18,14 +28,21 @@ class Model {
     #schema = null;  // Private schema object (Schema).
     #countDocs = 0;  // A unique ID. Check if its still unique among different appearances of Model.
     #countDocsLock;  // ReadWriteLock. Protect the #countDocs from race conditions upon creating new docs.
+    #modelName = null;  // The name of the model (string), i.e: "Story".
+    #models = null;  // The registry of the models by their names ({ <name>: Model }), for resolving references.
+    #changeStreams = new Set();  // The open change streams of the model (ChangeStream), check watch().
 
     /**
      * Creates a new instance of a Model object. The new model isn't connected initialy.
      * You can probide a DBHandler dbHandler object, which may or maynot be connected.
      * @param {Schema} schema - The Schema object that sets the rules for the database.
      * @param {DBHandler} dbHandler - A handler object to a specific database.
+     * @param {object} options - Additional options:
+     * options.modelName: The name of the model, i.e: "Story".
+     * options.models: The registry of the models by their names, used by "populate" to find 
+     * the referenced models (check Schema's "ref").
      */
-    constructor(schema, dbHandler = null) {
+    constructor(schema, dbHandler = null, options = {}) {
         if (!Schema.is_valid_schema(schema))
             throw new Error('Error! \"schema\" must be a valid instance object of Schema.');
         if (dbHandler && dbHandler instanceof DBHandler)
@@ -34,7 +51,11 @@ class Model {
             this.#dbHandler = new DBHandler();
         
         this.#schema = schema;
+        this.#dbHandler.set_indexes(schema.get_indexes());  // Let the handler maintain the schema's indexes.
         this.#countDocsLock = new ReadWriteLock();
+        this.#modelName = (options && typeof (options.modelName) === 'string') ? options.modelName : null;
+        this.#models = (options && options.models) || null;
+        this.#set_schema_methods();
     }
 
     /**
@@ -69,8 +90,18 @@ class Model {
      * @param {DBHandler} handler - A handler object to a specific database.
      */
     set dbHandler(handler) {
-        if (handler && handler instanceof DBHandler)
+        if (handler && handler instanceof DBHandler) {
             this.#dbHandler = handler;
+            this.#dbHandler.set_indexes(this.#schema.get_indexes());
+            this.#changeStreams.forEach(changeStream => changeStream.attach(handler.changes));
+        }
+    }
+
+    /**
+     * Returns the model's database handler.
+     */
+    get dbHandler() {
+        return this.#dbHandler;
     }
 
     /**
@@ -87,6 +118,13 @@ class Model {
         return this.#dbHandler.dbFilePath;
     }
 
+    /**
+     * Returns the name of the model (i.e: "Story"), or null if it has no name.
+     */
+    get modelName() {
+        return this.#modelName;
+    }
+
     /**
      * Returns the model's schema.
      */
@@ -104,13 +142,29 @@ class Model {
     /**
      * Establishes a connection from this model to the given dbFilePath. If the file doesn't
      * exist, create it.
-     * Returns a Promise.
-     * @param {string} dbFilePath - The path to the database file. Should be a valid R+W .json file.
+     * Returns a Promise, which resolves with the conversion of a collection of the older format 
+     * if one was done, or null (check DBHandler.connect_dbFilePath()).
+     * @param {string} dbFilePath - The path to the database file. Should be a valid R+W .ndjson or .json file.
      */
     async connect_dbFilePath(dbFilePath) {
         return this.#dbHandler.connect_dbFilePath(dbFilePath);
     }
 
+    /**
+     * Returns a change stream (an EventEmitter), which emits an event for every change of the 
+     * model's documents, following mostly the API of mongoose: Model.watch().
+     *   Story.watch().on('change', change => console.log(change.operationType, change.fullDocument));
+     * The changes are emitted as 'change' events, and as 'insert', 'update', 'delete' and 
+     * 'drop' events by their types. Updates carry the previous version of the document too. 
+     * Check "changestream.js". Close the stream by its close() when it isn't needed anymore.
+     */
+    watch() {
+        const changeStream = new ChangeStream(this.#dbHandler.changes, this.#modelName,
+            (closed) => this.#changeStreams.delete(closed));
+        this.#changeStreams.add(changeStream);
+        return changeStream;
+    }
+
     /**
      * Disconnect this model from the database.
      */
@@ -120,23 +174,124 @@ class Model {
     }
 
     /**
-     * Returns all the odcuments stored in the database, as an array of JSONs.
+     * Returns the documents stored in the database that match the given "filter", as an 
+     * array of JSONs. Without a filter, returns all the documents.
+     * Follows mostly the API of mongoose: Model.find(filter, projection, options).
+     * Returns a query, which can be awaited (or used with then()) like a Promise, or read as 
+     * a stream of documents by its cursor(), for large collections:
+     *   for await (const story of Story.find({ genre: 'epic' }).cursor()) { ... }
+     * @param {object} filter - A query filter, i.e: { title: 'Today', createdAt: { $gt: date } }.
+     * Check "query.js" for the supported operators.
+     * @param {any} projection - The fields to return, as an object ({ title: 1, snippet: 1 } or 
+     * { body: 0 }) or as a string ("title snippet" or "-body"). Null for all the fields.
+     * @param {object} options - Additional options for the function:
+     * options.sort: The sorting order, i.e: { createdAt: -1 } or "-createdAt".
+     * options.skip: The number of matching documents to skip.
+     * options.limit: The maximal number of documents to return.
+     * options.virtuals: If true, add the schema's virtuals to the returned documents. The 
+     * getters are called on the plain documents (with the schema's methods available).
+     * options.populate: Replaces references (IDs of documents of other models, check Schema's 
+     * "ref") with the referenced documents. A path ("author"), several paths ("author editor" 
+     * or ["author", "editor"]), or objects of the format { path, select, model }, where 
+     * "select" is a projection for the referenced documents, and "model" overrides the "ref".
+     * A missing referenced document is replaced by null (or removed from an array).
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     * options.deleted: With the schema's "softDelete": 'hide' (the default) ignores the deleted 
+     * documents, 'include' returns them too, and 'only' returns only them.
+     */
+    find(filter = {}, projection = null, options = {}) {
+        return new FindQuery(
+            () => this.#find_docs('find', filter, projection, options),
+            () => Readable.from(this.#stream_docs(filter, projection, options)));
+    }
+
+    /**
+     * Returns the first document in the database that matches the given "filter" (as a 
+     * JSON), or null if there's no match.
      * Returns a Promise.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {any} projection - The fields to return (check Model.find()).
+     * @param {object} options - Additional options (check Model.find()). "limit" is ignored.
      */
-    find() {
+    findOne(filter = {}, projection = null, options = {}) {
         return new Promise((resolve, reject) => {
-            // Verify that we're connected:
-            if (!this.#dbHandler.is_connected()) {
-                reject(new Error(notConnectedErrMsg));
+            this.#find_docs('findOne', filter, projection, { ...options, limit: 1 })
+                .then(docArray => { resolve(docArray.length > 0 ? docArray[0] : null); })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.findOne().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Returns the number of documents in the database that match the given "filter".
+     * Returns a Promise.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} options - Additional options (check Model.find()), i.e: { session, deleted }.
+     */
+    countDocuments(filter = {}, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.#find_docs('countDocuments', filter, { _id: 1 }, { session: options && options.session, deleted: options && options.deleted })
+                .then(docArray => { resolve(docArray.length); })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.countDocuments().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Checks if at least one document in the database matches the given "filter". 
+     * Like in mongoose, returns { _id: <id> } of the first matching document, or null if 
+     * there's no match.
+     * Returns a Promise.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} options - Additional options (check Model.find()), i.e: { session, deleted }.
+     */
+    exists(filter = {}, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.#find_docs('exists', filter, { _id: 1 }, { limit: 1, session: options && options.session, deleted: options && options.deleted })
+                .then(docArray => { resolve(docArray.length > 0 ? docArray[0] : null); })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.exists().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Returns an array of the distinct values of the given "field", among the documents 
+     * that match the given "filter". Values of array fields are flattened, like in mongoose.
+     * Returns a Promise.
+     * @param {string} field - The name (or dotted path) of the field.
+     * @param {object} filter - A query filter (check Model.find()).
+     */
+    distinct(field, filter = {}) {
+        return new Promise((resolve, reject) => {
+            if (typeof (field) !== 'string' || field === '') {
+                reject(new Error(`Error: field must be a non-empty string, but \"${typeof (field)}\" was passed.`));
                 return;
             }
 
-            // Read:
-            this.#dbHandler.load()
-                .then(docStr => {
-                    resolve(JSON.parse(docStr));
+            this.#find_docs('distinct', filter, { [field]: 1 })
+                .then(docArray => {
+                    let values = [];
+                    for (let doc of docArray) {
+                        let value = Query.get_path_value(doc, field);
+                        if (value === undefined)
+                            continue;
+                        for (let item of (Array.isArray(value) ? value : [value])) {
+                            if (!values.some(existing => Query.is_equal(existing, item)))
+                                values.push(item);
+                        }
+                    }
+                    resolve(values);
                 })
-                .catch(error => { reject(error); });
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.distinct().";
+                    reject(err);
+                });
         });
     }
 
@@ -150,30 +305,47 @@ class Model {
      * specific document(s) we want to read.
      * @param {object} options - Additional options for the function:
      * options.asDocument: If true, convert the elements into Document objects.
+     * options.virtuals: If true (and not "asDocument"), add the schema's virtuals to the JSONs.
+     * options.populate: Populate references in the JSONs (check Model.find()).
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     * options.deleted: Whether to return soft-deleted documents (check Model.find()).
      */
     findById(id, options = { asDocument: false }) {
         return new Promise((resolve, reject) => {
-            // Verify that we're connected:
-            if (!this.#dbHandler.is_connected()) {
-                reject(new Error(notConnectedErrMsg));
-                return;
-            }
             // Check that id is valid:
             if (!(typeof (id) === 'string' || (Array.isArray(id) && id.every(item => typeof item === 'string')))) {
                 reject(new Error(`Error: id must be a string or array of strings, but \"${typeof (id)}\" was passed.`));
                 return;
             }
 
-            // Read and extract:
-            this.find()
+            // Read the documents by their IDs (using the ID index). The "find" hooks may add 
+            // conditions to the filter, so the documents must match it too:
+            const idFilter = Array.isArray(id) ? { $in: id } : id;
+            let context = { operation: 'findById', filter: { [Document.dataMembersToStr['_id']]: idFilter }, projection: null, options: options };
+            this.#when_connected()
+                .then(() => { context.filter = this.#filter_deleted(context.filter, options); })
+                .then(() => this.#schema.run_hooks('pre', 'find', this, context))
+                .then(() => this.#handler_for(options).get_by_ids(id))
                 .then(docArray => {
-                    let filteredDocArray = this.#include_docs_array_by_ids(docArray, id);
+                    const filteredDocArray = docArray.filter(doc => Query.match_filter(doc, context.filter));
+                    return this.#schema.run_hooks('post', 'find', this, filteredDocArray, context)
+                        .then(() => filteredDocArray);
+                })
+                .then(filteredDocArray => {
+                    if (options.asDocument === true || !options.populate)
+                        return filteredDocArray;
+                    return this.#populate(filteredDocArray, options.populate, options.session);
+                })
+                .then(filteredDocArray => {
                     if (options.asDocument === true) {
                         // Return as Document object(s), otherwize return as a JSON(s):
                         filteredDocArray = filteredDocArray.map((doc) => {
                             return Document.reconstruct_doc(doc, this.schema, this.#dbHandler, true);
                         });
                     }
+                    else if (options.virtuals === true) {
+                        filteredDocArray.forEach(doc => this.#add_virtuals(doc));
+                    }
                     resolve(filteredDocArray);
                 })
                 .catch((err) => {
@@ -188,47 +360,57 @@ class Model {
      * (String - for 1 doc, or array of strings - for several). The elements are returned
      * as a JSON(s) or (if options.asDocument === true) as a reconstructed Document object(s).
      * If not found, returns an empty array.
+     * With the schema's "softDelete", the documents are only moved to the trash (they get a 
+     * "deletedAt" time and are returned with it), unless "options.permanent" is true.
      * Returns a Promise.
      * @param {any} id - The ID (string) or an array of IDs (array of strings), of the
      * specific document(s) we want to delete.
      * @param {object} options - Additional options for the function:
      * options.asDocument: If true, convert the elements into Document objects.
+     * options.permanent: If true, delete the documents for good, even if they're soft-deleted.
+     * options.deleted: When deleting for good, which of the documents to delete: 'include' (the 
+     * default) - all of them, 'only' - only those in the trash, 'hide' - only those not in it. 
+     * The condition is checked under the write lock, so a document that is restored meanwhile 
+     * isn't deleted with 'only'.
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
      */
     findByIdAndDelete(id, options = { asDocument: false }) {
         return new Promise((resolve, reject) => {
-            // Verify that we're connected:
-            if (!this.#dbHandler.is_connected()) {
-                reject(new Error(notConnectedErrMsg));
-                return;
-            }
             // Check that id is valid:
             if (!(typeof (id) === 'string' || (Array.isArray(id) && id.every(item => typeof item === 'string')))) {
                 reject(new Error(`Error: id must be a string or array of strings, but \"${typeof (id)}\" was passed.`));
                 return;
             }
 
-            // Read all the documents from the database, filter out those that match 
-            // the given "id", and overwrite the database with the remainings:
-            this.find()
-                .then(docArray => {
-                    const strArr = this.#exclude_docs_array_by_ids(docArray, id).map(docJson => JSON.stringify(docJson));
-                    // Overwrite the db-file with the filtered documents, and return the 
-                    // deleted ones with the resolving:
-                    this.#dbHandler.overwrite(strArr)
-                        .then(() => {
-                            let filteredDocArray = this.#include_docs_array_by_ids(docArray, id);
-                            if (options.asDocument === true) {
-                                // Return as Document object(s), otherwize return as a JSON(s):
-                                filteredDocArray = filteredDocArray.map((doc) => {
-                                    return Document.reconstruct_doc(doc, this.schema, this.#dbHandler, false);
-                                });
-                            }
-                            resolve(filteredDocArray);
-                        });/*
-                        .catch(error => {
-                            error.message += "\n\tError occured in Model.delete().";
-                            reject(error);
-                        });*/
+            // Run the "delete" hooks around the deletion. Remove the documents that match the 
+            // given "id" from the database (or stamp them as deleted, with soft-deletion):
+            const idFilter = Array.isArray(id) ? { $in: id } : id;
+            const soft = this.#schema.get_soft_delete() && !(options && options.permanent === true);
+            const context = { operation: 'findByIdAndDelete', filter: { [Document.dataMembersToStr['_id']]: idFilter }, soft: soft };
+            let deletedDocArray;
+            this.#when_connected()
+                .then(() => this.#schema.run_hooks('pre', 'delete', this, context))
+                .then(() => {
+                    if (soft) {
+                        const update = { $set: { [Document.dataMembersToStr['_deleteTime']]: new Date().toISOString() } };
+                        return this.#update_matching(context.filter, update, true, { session: options && options.session })
+                            .then(report => { deletedDocArray = report.after; });
+                    }
+                    const deleted = (options && options.deleted !== undefined) ? options.deleted : 'include';
+                    return this.#delete_matching(context.filter, { session: options && options.session, deleted: deleted })
+                        .then(docArray => { deletedDocArray = docArray; });
+                })
+                .then(() => this.#schema.run_hooks('post', 'delete', this, deletedDocArray, context))
+                .then(() => {
+                    // Return the deleted documents:
+                    let filteredDocArray = deletedDocArray;
+                    if (options.asDocument === true) {
+                        // Return as Document object(s), otherwize return as a JSON(s):
+                        filteredDocArray = filteredDocArray.map((doc) => {
+                            return Document.reconstruct_doc(doc, this.schema, this.#dbHandler, false);
+                        });
+                    }
+                    resolve(filteredDocArray);
                 })
                 .catch((err) => {
                     err.message += "\n\tError occured in Model.delete().";
@@ -238,19 +420,197 @@ class Model {
     }
 
     /**
-     * Delete the entire database by replacing all of its content with an empty string ''.
+     * Brings back soft-deleted document(s) from the trash, with the given id (String - for 1 
+     * doc, or array of strings - for several), by removing their "deletedAt" time (check the 
+     * schema's "softDelete" option). Returns the restored documents as JSONs (those that 
+     * weren't deleted aren't returned).
+     * Returns a Promise.
+     * @param {any} id - The ID (string) or an array of IDs (array of strings).
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     */
+    restore(id, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.#schema.get_soft_delete()) {
+                reject(new Error('Error in Model.restore(): The schema doesn\'t have the \"softDelete\" option.'));
+                return;
+            }
+            if (!(typeof (id) === 'string' || (Array.isArray(id) && id.every(item => typeof item === 'string')))) {
+                reject(new Error(`Error: id must be a string or array of strings, but \"${typeof (id)}\" was passed.`));
+                return;
+            }
+
+            const idFilter = Array.isArray(id) ? { $in: id } : id;
+            const update = { $unset: { [Document.dataMembersToStr['_deleteTime']]: '' } };
+            this.#update_matching({ [Document.dataMembersToStr['_id']]: idFilter }, update, true,
+                { session: options && options.session, deleted: 'only' })
+                .then(report => { resolve(report.after); })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.restore().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Deletes for good the soft-deleted documents that were deleted more than the schema's 
+     * "trashRetentionDays" days ago (check the schema's "softDelete" option). Does nothing 
+     * if the retention is 0 (forever), unless "options.before" is given. Runs the "delete" 
+     * hooks, like findByIdAndDelete(). The deletion time is checked under the write lock, so 
+     * a document that is restored meanwhile isn't purged.
+     * Returns a Promise, which resolves with the purged documents (JSONs).
+     * @param {object} options - Additional options for the function:
+     * options.before: A Date. Purge the documents that were deleted before it, instead of 
+     * by the retention period.
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     */
+    purge_deleted(options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.#schema.get_soft_delete()) {
+                reject(new Error('Error in Model.purge_deleted(): The schema doesn\'t have the \"softDelete\" option.'));
+                return;
+            }
+            let before = options && options.before;
+            const retentionDays = this.#schema.options.trashRetentionDays;
+            if (before === undefined || before === null) {
+                if (!(retentionDays > 0)) {
+                    resolve([]);  // Keep the deleted documents forever.
+                    return;
+                }
+                before = new Date(Date.now() - retentionDays * msPerDay);
+            }
+            if (!(before instanceof Date) || isNaN(before)) {
+                reject(new Error('Error in Model.purge_deleted(): \"options.before\" must be a valid Date.'));
+                return;
+            }
+
+            // Delete the documents that were deleted before "before", inside the "delete" hooks:
+            const filter = { [Document.dataMembersToStr['_deleteTime']]: { $ne: null, $lt: before } };
+            const context = { operation: 'purge_deleted', filter: filter, soft: false };
+            let purged;
+            this.#when_connected()
+                .then(() => this.#schema.run_hooks('pre', 'delete', this, context))
+                .then(() => this.#delete_matching(context.filter, { session: options && options.session, deleted: 'only' }))
+                .then(docArray => {
+                    purged = docArray;
+                    return this.#schema.run_hooks('post', 'delete', this, purged, context);
+                })
+                .then(() => { resolve(purged); })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.purge_deleted().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Updates the first document in the database that matches the given "filter", with the 
+     * given "update" operators. The whole update is applied under a single write lock, and 
+     * the updated document is validated against the schema before it's saved.
+     * Returns a Promise, which resolves with { acknowledged: true, matchedCount, modifiedCount }.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} update - The update operators, i.e: { $set: { title: 'Today' } }.
+     * Check "update.js" for the supported operators.
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     * options.deleted: Whether to update soft-deleted documents (check Model.find()).
+     * options.version: With the schema's "versionKey", the version the matching documents must 
+     * be at. If one isn't, nothing is updated and the Promise is rejected with a VersionError.
+     */
+    updateOne(filter, update, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.#update_matching(filter, update, false, options)
+                .then(report => {
+                    resolve({ acknowledged: true, matchedCount: report.matchedCount, modifiedCount: report.modifiedCount });
+                })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.updateOne().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Updates all the documents in the database that match the given "filter", with the 
+     * given "update" operators. The whole update is applied under a single write lock, and 
+     * every updated document is validated against the schema. If one of them is invalid, 
+     * none is saved.
+     * Returns a Promise, which resolves with { acknowledged: true, matchedCount, modifiedCount }.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} update - The update operators, i.e: { $inc: { views: 1 } }.
+     * Check "update.js" for the supported operators.
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     * options.deleted: Whether to update soft-deleted documents (check Model.find()).
+     * options.version: With the schema's "versionKey", the version the matching documents must 
+     * be at. If one isn't, nothing is updated and the Promise is rejected with a VersionError.
+     */
+    updateMany(filter, update, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.#update_matching(filter, update, true, options)
+                .then(report => {
+                    resolve({ acknowledged: true, matchedCount: report.matchedCount, modifiedCount: report.modifiedCount });
+                })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.updateMany().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Updates the document with the given "id", with the given "update" operators, under a 
+     * single write lock. Returns the document (as a JSON) from before the update, or (if 
+     * options.new === true) the updated one. If not found, returns null.
      * Returns a Promise.
+     * @param {string} id - The ID of the document we want to update.
+     * @param {object} update - The update operators, i.e: { $set: { title: 'Today' } }.
+     * @param {object} options - Additional options for the function:
+     * options.new: If true, return the document after the update.
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     * options.deleted: Whether to update a soft-deleted document (check Model.find()).
+     * options.version: With the schema's "versionKey", the version the document must be at, 
+     * i.e: the "__v" of the document the update is based on. If it isn't, nothing is updated 
+     * and the Promise is rejected with a VersionError.
      */
-    delete_all() {
+    findByIdAndUpdate(id, update, options = { new: false }) {
         return new Promise((resolve, reject) => {
-            // Verify that we're connected:
-            if (!this.#dbHandler.is_connected()) {
-                reject(new Error(notConnectedErrMsg));
+            // Check that id is valid:
+            if (typeof (id) !== 'string') {
+                reject(new Error(`Error: id must be a string, but \"${typeof (id)}\" was passed.`));
                 return;
             }
 
-            // Erase the file:
-            this.#dbHandler.erase_db()
+            this.#update_matching({ [Document.dataMembersToStr['_id']]: id }, update, false, options)
+                .then(report => {
+                    if (report.matchedCount === 0)
+                        resolve(null);
+                    else
+                        resolve(options && options.new === true ? report.after[0] : report.before[0]);
+                })
+                .catch(err => {
+                    err.message += "\n\tError occured in Model.findByIdAndUpdate().";
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Delete the entire database by replacing all of its content with an empty string ''.
+     * The documents are deleted for good, even with the schema's "softDelete" option.
+     * Returns a Promise.
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
+     */
+    delete_all(options = {}) {
+        return new Promise((resolve, reject) => {
+
+            // Erase the file, between the "delete" hooks:
+            const context = { operation: 'delete_all', filter: {} };
+            this.#when_connected()
+                .then(() => this.#schema.run_hooks('pre', 'delete', this, context))
+                .then(() => this.#handler_for(options).erase_db())
+                .then(() => this.#schema.run_hooks('post', 'delete', this, undefined, context))
                 .then(() => { resolve(); })
                 .catch(error => {
                     error.message += "\n\tError occured in Model.delete_all().";
@@ -261,28 +621,26 @@ class Model {
 
     /**
      * Delete the entire database by replacing all of its content with an empty string ''.
-     * Returns its content from before the deletion.
+     * Returns its content from before the deletion (including the soft-deleted documents).
      * Returns a Promise.
+     * @param {object} options - Additional options for the function:
+     * options.session: A session (check "session.js"). If it's in a transaction, the operation is a part of it.
      */
-    pop_all() {
+    pop_all(options = {}) {
         return new Promise((resolve, reject) => {
-            // Verify that we're connected:
-            if (!this.#dbHandler.is_connected()) {
-                reject(new Error(notConnectedErrMsg));
-                return;
-            }
 
-            // Read all the data so we can return it:
-            this.find()
-                .then(docArray => {
-                    // Erase the file:
-                    this.#dbHandler.erase_db()
-                        .then(() => { resolve(docArray); });/*
-                        .catch(error => {
-                            error.message += "\n\tError occured in Model.pop_all().";
-                            reject(error);
-                        });*/
+            // Read all the data so we can return it, and erase the file, between the "delete" hooks:
+            const context = { operation: 'pop_all', filter: {} };
+            let docArray;
+            this.#when_connected()
+                .then(() => this.#schema.run_hooks('pre', 'delete', this, context))
+                .then(() => this.#handler_for(options).query_docs({}))
+                .then(docs => {
+                    docArray = docs;
+                    return this.#handler_for(options).erase_db();
                 })
+                .then(() => this.#schema.run_hooks('post', 'delete', this, docArray, context))
+                .then(() => { resolve(docArray); })
                 .catch((err) => {
                     err.message += "\n\tError occured in Model.pop_all().";
                     reject(err);
@@ -291,48 +649,440 @@ class Model {
     }
 
     /**
-     * Gets an array of Documents as JSONs and an ID or list of IDs, and returns a 
-     * subarray of document(s) with the matching ID(S).
-     * @param {any} docArray
-     * @param {any} ids - The ID (string) or an array of IDs (array of strings), of the
-     * specific element(s) we want to get.
+     * Yields the documents stored in the database that match the given "filter", one at a 
+     * time, after applying the projection and the options (check Model.find()). The documents 
+     * are streamed from the storage (check DBHandler.stream_docs()), so only a few of them 
+     * are held in memory at once. The exception is the "sort" option, which needs all the 
+     * matching documents before the first one is yielded.
+     * Runs the schema's "pre find" hooks (the "post find" hooks get an array of all the 
+     * results, so they aren't run).
+     * An async generator.
+     * @param {object} filter - A query filter.
+     * @param {any} projection - The fields to return.
+     * @param {object} options - Additional options (check Model.find()).
      */
-    #include_docs_array_by_ids(docArray, ids) {
-        const idSymb = Document.dataMembersToStr['_id'];
-        // If ids is not an array, convert it into an array.
-        if (!Array.isArray(ids)) {
-            ids = [ids];
+    async *#stream_docs(filter = {}, projection = null, options = {}) {
+        let context = { operation: 'cursor', filter: this.#filter_deleted(filter, options), projection: projection, options: options || {} };
+        await this.#when_connected();
+        await this.#schema.run_hooks('pre', 'find', this, context);
+        const opts = context.options || {};
+        const docs = this.#handler_for(opts).stream_docs(context.filter);
+
+        // A sorted query is applied on all the matching documents at once:
+        let results = docs;
+        if (Query.normalize_sort(opts.sort).length > 0) {
+            let docArray = [];
+            for await (let doc of docs)
+                docArray.push(doc);
+            results = Query.apply_query(docArray, null, context.projection, opts);
+        }
+        else {
+            // Validate the options, like apply_query() does:
+            Query.apply_query([], null, context.projection, opts);
+            const normProjection = Query.normalize_projection(context.projection);
+            results = (async function* () {
+                let skipped = 0, count = 0;
+                for await (let doc of docs) {
+                    if (skipped < (opts.skip || 0)) {
+                        ++skipped;
+                        continue;
+                    }
+                    yield Query.apply_projection(doc, normProjection);
+                    if (opts.limit && ++count >= opts.limit)
+                        return;  // A limit of 0 means no limit.
+                }
+            })();
+        }
+
+        for await (let doc of results) {
+            if (opts.virtuals === true)
+                this.#add_virtuals(doc);
+            if (opts.populate)
+                await this.#populate([doc], opts.populate, opts.session);
+            yield doc;
         }
-        // Filter the objects array based on the provided ids.
-        return docArray.filter(doc => {
-            // Skip objects without "id" member and return only those with.
-            if (!Object.hasOwn(doc, idSymb))
-                return false;
-            return ids.includes(doc[idSymb]);
+    }
+
+    /**
+     * Returns the documents stored in the database that match the given "filter", after 
+     * applying the projection and the options (check Model.find()). Runs the schema's 
+     * "find" hooks, which may change the query through the context they get.
+     * Returns a Promise.
+     * @param {string} operation - The name of the calling method, for the hooks, i.e: "findOne".
+     * @param {object} filter - A query filter.
+     * @param {any} projection - The fields to return.
+     * @param {object} options - Additional options (sort, skip, limit).
+     */
+    #find_docs(operation, filter = {}, projection = null, options = {}) {
+        return new Promise((resolve, reject) => {
+
+            // Read the matching documents and apply the rest of the query on them:
+            let context = { operation: operation, filter: filter, projection: projection, options: options };
+            this.#when_connected()
+                .then(() => { context.filter = this.#filter_deleted(filter, options); })
+                .then(() => this.#schema.run_hooks('pre', 'find', this, context))
+                .then(() => this.#handler_for(context.options).query_docs(context.filter))
+                .then(docArray => {
+                    const result = Query.apply_query(docArray, null, context.projection, context.options);
+                    if (context.options && context.options.virtuals === true)
+                        result.forEach(doc => this.#add_virtuals(doc));
+                    return this.#schema.run_hooks('post', 'find', this, result, context)
+                        .then(() => result);
+                })
+                .then(result => {
+                    if (!context.options || !context.options.populate)
+                        return result;
+                    return this.#populate(result, context.options.populate, context.options.session);
+                })
+                .then(result => { resolve(result); })
+                .catch(error => { reject(error); });
+        });
+    }
+
+    /**
+     * Applies the given "update" on the first document (or all the documents, if "multi" is 
+     * true) that match the given "filter", under a single write lock of the database.
+     * Returns a Promise, which resolves with a report of the format: 
+     * { matchedCount, modifiedCount, before: [<JSONs>], after: [<JSONs>] }.
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} update - The update operators (check "update.js").
+     * @param {boolean} multi - If true, update all the matching documents and not only the first.
+     * @param {object} options - Additional options, i.e: { session, version } (check Model.updateOne()).
+     */
+    #update_matching(filter, update, multi, options = {}) {
+        return new Promise((resolve, reject) => {
+            // Check the update format before locking the database:
+            let normalizedUpdate;
+            try {
+                normalizedUpdate = Update.normalize_update(update);
+                filter = this.#filter_deleted(filter, options);
+                const version = options && options.version;
+                if (version !== undefined && version !== null && !(Number.isInteger(version) && version >= 0))
+                    throw new Error('Error: \"options.version\" must be a non-negative integer.');
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            this.#when_connected()
+                .then(() => this.#handler_for(options).modify(docArray => {
+                    let report = { matchedCount: 0, modifiedCount: 0, before: [], after: [] };
+                    const newDocArray = docArray.map(doc => {
+                        if ((!multi && report.matchedCount > 0) || !Query.match_filter(doc, filter))
+                            return doc;
+
+                        report.matchedCount++;
+                        this.#check_version(doc, options && options.version);
+                        let newDoc = Update.apply_update(doc, normalizedUpdate);
+                        if (!Query.is_equal(doc, newDoc)) {
+                            newDoc = this.#validate_updated_doc(newDoc);
+                            report.modifiedCount++;
+                        }
+                        report.before.push(doc);
+                        report.after.push(newDoc);
+                        return newDoc;
+                    });
+                    // Write only if something has changed:
+                    return { docArray: report.modifiedCount > 0 ? newDocArray : null, result: report };
+                }))
+                .then(report => { resolve(report); })
+                .catch(err => { reject(err); });
         });
     }
 
     /**
-     * Gets an array of Documents as JSONs and an ID or list of IDs, and returns a 
-     * subarray of document(s) without the matching ID(S).
-     * @param {any} docArray
-     * @param {any} ids - The ID (string) or an array of IDs (array of strings), of the
-     * specific element(s) we want to filter out.
+     * Deletes for good all the documents that match the given "filter", under a single write 
+     * lock of the database (the database is rewritten only if something was deleted).
+     * Returns a Promise, which resolves with the deleted documents (JSONs).
+     * @param {object} filter - A query filter (check Model.find()).
+     * @param {object} options - Additional options, i.e: { session, deleted } (check Model.find()).
+     */
+    #delete_matching(filter, options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                filter = this.#filter_deleted(filter, options);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            this.#when_connected()
+                .then(() => this.#handler_for(options).modify(docArray => {
+                    const deleted = [], remaining = [];
+                    docArray.forEach(doc => {
+                        (Query.match_filter(doc, filter) ? deleted : remaining).push(doc);
+                    });
+                    return { docArray: deleted.length > 0 ? remaining : null, result: deleted };
+                }))
+                .then(deleted => { resolve(deleted); })
+                .catch(err => { reject(err); });
+        });
+    }
+
+    /**
+     * Validates an updated document (JSON) against the schema, and returns it in its 
+     * final form (as it should be saved). If the schema has timestamps, "updatedAt" is 
+     * set to the current time, and if it has a "versionKey", the version is incremented. 
+     * Throws an error if the document is invalid.
+     * @param {object} doc - An updated document as a JSON.
+     */
+    #validate_updated_doc(doc) {
+        if (this.#schema.get_timestamps())
+            doc[Document.dataMembersToStr['_updateTime']] = new Date().toISOString();
+        if (this.#schema.get_version_key())
+            doc[Document.dataMembersToStr['_version']] = (doc[Document.dataMembersToStr['_version']] || 0) + 1;
+        const validDoc = new Document(doc, this.#schema, this.#dbHandler, -1);
+        return JSON.parse(validDoc.toString());
+    }
+
+    /**
+     * Throws a VersionError if the given "version" is expected, but the stored document (JSON) 
+     * is at another one (check the schema's "versionKey" option). Documents stored without a 
+     * version are at version 0.
+     * @param {object} doc - A stored document as a JSON.
+     * @param {number} version - The expected version, or undefined to skip the check.
+     */
+    #check_version(doc, version) {
+        if (version === undefined || version === null || !this.#schema.get_version_key())
+            return;
+        const storedVersion = doc[Document.dataMembersToStr['_version']] || 0;
+        if (storedVersion !== version)
+            throw new VersionError(doc[Document.dataMembersToStr['_id']], version, storedVersion);
+    }
+
+    /**
+     * Returns the given query "filter" with a condition on the soft-deletion time, by the 
+     * "deleted" option (check Model.find()). Without the schema's "softDelete" option, 
+     * returns the filter as is. Throws an error if the option is invalid.
+     * @param {object} filter - A query filter.
+     * @param {object} options - The options of the query.
+     */
+    #filter_deleted(filter, options) {
+        const deleted = (options && options.deleted !== undefined) ? options.deleted : 'hide';
+        if (!deletedOptions.includes(deleted))
+            throw new Error(`Error: \"options.deleted\" must be one of ${deletedOptions.join(', ')}, but received \"${deleted}\".`);
+        if (!this.#schema.get_soft_delete() || deleted === 'include')
+            return filter;
+
+        const deleteTMark = Document.dataMembersToStr['_deleteTime'];
+        const cond = deleted === 'hide' ? null : { $ne: null };  // A missing field equals null.
+        if (!filter || !Object.hasOwn(filter, deleteTMark))
+            return { ...filter, [deleteTMark]: cond };
+        return { $and: [filter, { [deleteTMark]: cond }] };
+    }
+
+    /**
+     * Returns the handler to use for an operation with the given "options": If the options 
+     * have a session with a transaction in progress, the transaction's handler of this 
+     * model's database (which stages the writes). Otherwise, the model's handler.
+     * @param {object} options - The options of the operation.
+     */
+    #handler_for(options) {
+        const session = options && options.session;
+        if (session && typeof (session.inTransaction) === 'function' && session.inTransaction())
+            return session.handler_for(this.#dbHandler);
+        return this.#dbHandler;
+    }
+
+    /**
+     * Returns a Promise which resolves when the model is connected to a database (waiting 
+     * for a connection in progress, if there's one), or rejects if it isn't connected.
+     */
+    #when_connected() {
+        return this.#dbHandler.ready()
+            .then(connected => {
+                if (!connected)
+                    throw new Error(notConnectedErrMsg);
+            });
+    }
+
+    /**
+     * Replaces the references in the given documents (JSONs) with the referenced documents, 
+     * from the stores of the referenced models. The documents are changed in place.
+     * Returns a Promise, which resolves with the given "docArray".
+     * @param {Array} docArray - The documents as JSONs.
+     * @param {any} populate - The paths to populate (check the "populate" option of Model.find()).
+     * @param {Session} session - The session of the query, if any.
      */
-    #exclude_docs_array_by_ids(docArray, ids) {
-        const idSymb = Document.dataMembersToStr['_id'];
-        // If ids is not an array, convert it into an array.
-        if (!Array.isArray(ids)) {
-            ids = [ids];
+    #populate(docArray, populate, session = null) {
+        let specs;
+        try {
+            specs = Model.#normalize_populate(populate);
+        } catch (err) {
+            return Promise.reject(err);
         }
-        // Filter the objects array based on the provided ids.
-        return docArray.filter(doc => {
-            // Skip objects without "id" member and return only those with.
-            if (!Object.hasOwn(doc, idSymb))
-                return false;
-            return !ids.includes(doc[idSymb]);
+        // Populate the paths one after the other:
+        return specs.reduce((chain, spec) => chain.then(() => this.#populate_path(docArray, spec, session)), Promise.resolve())
+            .then(() => docArray);
+    }
+
+    /**
+     * Populates a single path (check #populate()).
+     * Returns a Promise.
+     * @param {Array} docArray - The documents as JSONs.
+     * @param {object} spec - { path: <string>, select: <projection>, model: <model name> }.
+     * @param {Session} session - The session of the query, if any.
+     */
+    #populate_path(docArray, spec, session) {
+        return new Promise((resolve, reject) => {
+            // Find the referenced model:
+            const rules = this.#schema.get_path_definition(spec.path);
+            const refName = spec.model || (rules && (rules.ref || (rules.of && rules.of.ref)));
+            if (!refName) {
+                reject(new Error(`Error: Cannot populate the path \"${spec.path}\", since it isn't a reference (no \"ref\" in the schema).`));
+                return;
+            }
+            const refModel = this.#models && Object.hasOwn(this.#models, refName) ? this.#models[refName] : null;
+            if (!refModel) {
+                reject(new MissingSchemaError(refName));
+                return;
+            }
+            let projection;
+            try {
+                projection = Query.normalize_projection(spec.select);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            // Read all the referenced documents at once, and replace the IDs with them:
+            let ids = new Set();
+            for (let doc of docArray) {
+                const value = Query.get_path_value(doc, spec.path);
+                for (let id of (Array.isArray(value) ? value : [value])) {
+                    if (typeof (id) === 'string')
+                        ids.add(id);
+                }
+            }
+            const idSymb = Document.dataMembersToStr['_id'];
+            refModel.find({ [idSymb]: { $in: [...ids] } }, null, { session: session })
+                .then(refDocArray => {
+                    const refDocs = new Map(refDocArray.map(refDoc => [refDoc[idSymb], refDoc]));
+                    const resolve_ref = (id) => refDocs.has(id) ? Query.apply_projection(structuredClone(refDocs.get(id)), projection) : null;
+                    for (let doc of docArray) {
+                        const value = Query.get_path_value(doc, spec.path);
+                        if (Array.isArray(value))
+                            Query.set_path_value(doc, spec.path, value.map(resolve_ref).filter(refDoc => refDoc !== null));
+                        else if (typeof (value) === 'string')
+                            Query.set_path_value(doc, spec.path, resolve_ref(value));
+                    }
+                    resolve();
+                })
+                .catch(err => {
+                    err.message += `\n\tError occured in Model.populate() of the path \"${spec.path}\".`;
+                    reject(err);
+                });
         });
     }
+
+    /**
+     * Converts the given "populate" option into an array of the format: 
+     * [{ path: <string>, select: <projection>, model: <model name> }, ...]. 
+     * Throws an error if the format is illegal.
+     * @param {any} populate - A path, paths separated by spaces, an object or an array of those.
+     */
+    static #normalize_populate(populate) {
+        if (typeof (populate) === 'string')
+            return populate.split(/\s+/).filter(path => path !== '').map(path => ({ path: path, select: null, model: null }));
+        if (Array.isArray(populate))
+            return populate.flatMap(item => Model.#normalize_populate(item));
+        if (populate && typeof (populate) === 'object' && typeof (populate.path) === 'string' && populate.path !== '')
+            return [{ path: populate.path, select: populate.select || null, model: populate.model || null }];
+        throw new Error('Error: Invalid \"populate\" option. Expecting a path, an array of paths, or { path, select, model }.');
+    }
+
+    /**
+     * Adds the schema's virtuals to the given document (JSON). The getters are called on 
+     * a copy of the document which also has the schema's instance methods.
+     * @param {object} doc - A document as a JSON.
+     */
+    #add_virtuals(doc) {
+        const thisArg = Object.assign(Object.create(this.#schema.methods), doc);
+        this.#schema.apply_virtuals(doc, thisArg);
+    }
+
+    /**
+     * Adds the schema's static methods to this model, and checks that the names of the 
+     * schema's instance methods and virtuals aren't used by the Document class. 
+     * Throws an error if a name is taken.
+     */
+    #set_schema_methods() {
+        for (let name of [...Object.keys(this.#schema.methods), ...Object.keys(this.#schema.get_virtuals())]) {
+            if (Document.is_reserved_name(name) || Object.hasOwn(this.#schema.definition, name))
+                throw new Error(`Error! The name \"${name}\" of a schema method or virtual is already in use by the documents.`);
+        }
+        for (let name in this.#schema.statics) {
+            if (name in this)
+                throw new Error(`Error! The name \"${name}\" of a schema static method is already in use by the model.`);
+            this[name] = this.#schema.statics[name];
+        }
+    }
+}
+
+
+/**
+ * The query returned by Model.find(). Like in mongoose, it's a "thenable": Awaiting it (or 
+ * calling then()) runs the query and resolves with the array of the documents. Or, cursor() 
+ * streams the documents one at a time.
+ */
+class FindQuery {
+    #execute;  // A function that runs the query, and returns a Promise of the array of documents.
+    #createCursor;  // A function that returns a stream (Readable) of the documents.
+    #promise = null;  // The Promise of the query, once it runs.
+
+    /**
+     * @param {function} execute - Runs the query, and returns a Promise of the array of documents.
+     * @param {function} createCursor - Returns a stream (Readable) of the documents.
+     */
+    constructor(execute, createCursor) {
+        this.#execute = execute;
+        this.#createCursor = createCursor;
+    }
+
+    /**
+     * Runs the query (only once, also if called again).
+     * Returns a Promise, which resolves with the array of the documents.
+     */
+    exec() {
+        if (this.#promise === null)
+            this.#promise = this.#execute();
+        return this.#promise;
+    }
+
+    /**
+     * Runs the query, like Promise.then().
+     * @param {function} onFulfilled - Gets the array of the documents.
+     * @param {function} onRejected - Gets the error.
+     */
+    then(onFulfilled, onRejected) {
+        return this.exec().then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Runs the query, like Promise.catch().
+     * @param {function} onRejected - Gets the error.
+     */
+    catch(onRejected) {
+        return this.exec().catch(onRejected);
+    }
+
+    /**
+     * Runs the query, like Promise.finally().
+     * @param {function} onFinally - Called when the query is done.
+     */
+    finally(onFinally) {
+        return this.exec().finally(onFinally);
+    }
+
+    /**
+     * Returns a stream of the matching documents (a Readable in object mode), which reads 
+     * them from the database one at a time, so a large collection doesn't have to fit in 
+     * memory. It's also an async iterator: "for await (const doc of query.cursor()) { ... }".
+     * Each call starts a new stream.
+     */
+    cursor() {
+        return this.#createCursor();
+    }
 }
 
 module.exports = Model;  // Exporting the class.
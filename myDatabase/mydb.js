@@ -2,56 +2,140 @@
  * "mydb" library is a simpler version of "mongoose", which allows you to handle noSQL databases.
  * The API follows mostly the API of mongoose, and it allows a user to create a "Model" object 
  * that interacts with the database.
- * Before the creation of a new database and its models, use "mydb.connect()" to connect to the 
- * database (the db file is created if not exists) and then call "mydb.model()" to create a model.
- * Alternatively, you can first create a model and then pass it into "mydb.connect(model)".
+ * Use "mydb.connect(dataDir)" to connect to a data directory, and "mydb.model(name, schema)" to 
+ * create models. Each model has its own collection: A file in the data directory, named after 
+ * the pluralized model name (i.e: "Story" -> "<dataDir>/Stories.ndjson"), or after the schema's 
+ * "collection" option. The files are created if not exist. Models created before or after 
+ * "mydb.connect()" are all connected.
+ * The URI of the data directory chooses the storage (check "storage.js"): "./data", "file://data" 
+ * or "ndjson://data" for .ndjson append logs (a document per line), and "memory://" to keep the 
+ * collections in the memory only (i.e: for tests). A collection that's still in a .json file of 
+ * the older format ("<dataDir>/Stories.json") is converted automatically when it's connected.
+ * Alternatively, you can connect a specific model to a specific file by "mydb.connect(dbFilePath, options, model)".
+ * The models are registered by their names, so "mydb.model(name)" returns an existing model, 
+ * and references between models (check Schema's "ref") can be populated.
+ * Writes to several documents (and models) can be grouped into a transaction by a session 
+ * (check "session.js" and "mydb.startSession()").
+ * When a schema changes, the stored documents are updated by migrations (check "migration.js" 
+ * and "mydb.migrate()").
+ * The collection files can be checked for corruption, and repaired, by "mydb.fsck()" (check "fsck.js").
+ * Consistent snapshots of the collections are taken by "mydb.backup()", and restored by 
+ * "mydb.restore()" (check "backup.js").
  */
 
+const fs = require('fs');
+const path = require('path');
 const Schema = require('./schema');
-const DBHandler = require('./dbhandler');
 const Model = require('./model');
+const errors = require('./errors');
+const { Session, recover_transactions } = require('./session');
+const migration = require('./migration');
+const fsckTool = require('./fsck');
+const backupTool = require('./backup');
+const storage = require('./storage');
 
 
-let dbHandler = null;  // A handler that shall be connected to the db and will be sent to each model.
-let lastModel = null;  // Will hold the last model that was created, to make "connect()" work smoothly.
+let dataDir = null;  // The URI of the data directory of the collections, set by "connect()".
+const models = {};  // The registry of all the models by their names: { <name>: Model }.
 
 
 /**
  * Creates a new Model object that interacts with the database. The model isn't connected, 
  * unless "mydb.connect()" was called before. If not, you can call it later and pass this 
  * model to it.
+ * If only the name is given, returns the model that was created with that name (like 
+ * mongoose), or throws a MissingSchemaError if there's none. Creating two models with the 
+ * same name throws an OverwriteModelError.
+ * @param {string} nameDB - The name of the model, i.e: "Story".
  * @param {Schema} schema - The Schema object that sets the rules for the database.
  */
 model = function (nameDB, schema) {
+    // Check that "nameDB" is a string:
+    if (typeof (nameDB) !== 'string' || nameDB === '')
+        throw new Error("Expecting \"nameDB\" parameter to be a non-empty string, but a different value was passed.");
+    // Only a name: Return the registered model:
+    if (schema === undefined) {
+        if (!Object.hasOwn(models, nameDB))
+            throw new errors.MissingSchemaError(nameDB);
+        return models[nameDB];
+    }
     // Check that "schema" is a valid Schem object:
     if (!Schema.is_valid_schema(schema)) {
         throw new Error("The schema parameter passed isn't a valid \"Schema\" object.");
     }
+    if (Object.hasOwn(models, nameDB))
+        throw new errors.OverwriteModelError(nameDB);
 
     let newModel;
     try {
-        if (dbHandler && dbHandler instanceof DBHandler) {
-            newModel = new Model(Schema.copy(schema), DBHandler.copy(dbHandler));
-        } else {
-            newModel = new Model(Schema.copy(schema));
-        }
+        newModel = new Model(Schema.copy(schema), null, { modelName: nameDB, models: models });
     } catch (err) {
         err.message += "\n\tError occured in myDatabase.model()";
         throw err;
     }
 
-    lastModel = newModel;
+    models[nameDB] = newModel;
+    // If already connected, connect the new model too. Its methods wait for the connection:
+    if (dataDir !== null) {
+        connect_model(newModel)
+            .catch(err => { console.error(err); });
+    }
     return newModel;
 }
 
 
+/**
+ * Returns the name of the collection of the given model: The schema's "collection" option, 
+ * or the pluralized model name (i.e: "Story" -> "Stories", "User" -> "Users").
+ * @param {Model} model - A model that was created by "mydb.model()".
+ */
+function collection_name(model) {
+    const collection = model.schema.options.collection;
+    if (collection)
+        return collection;
+
+    const name = model.modelName;
+    if (/[^aeiou]y$/i.test(name))
+        return name.slice(0, -1) + 'ies';
+    if (/(s|x|z|ch|sh)$/i.test(name))
+        return name + 'es';
+    return name + 's';
+}
+
+
+/**
+ * Connects the given model to its collection file in the data directory. Warns if the 
+ * stored data is older than the version that the model's schema expects.
+ * Returns a Promise, which resolves with the conversion of the collection from the older 
+ * format, if one was done, or null (check DBHandler.connect_dbFilePath()).
+ * @param {Model} model - A model that was created by "mydb.model()".
+ */
+function connect_model(model) {
+    const data = storage.parse_data_uri(dataDir);
+    const dbFilePath = storage.collection_uri(data, collection_name(model));
+    let converted = null;
+    return model.connect_dbFilePath(dbFilePath)
+        .then(result => {
+            converted = result;
+            return data.scheme === 'file' ? migration.read_meta(dbFilePath) : null;
+        })
+        .then(meta => {
+            const expected = model.schema.options.version;
+            if (meta && meta.schemaVersion < expected)
+                console.warn(`Warning: The collection "${collection_name(model)}" is at version ${meta.schemaVersion}, ` +
+                    `but the schema of the model "${model.modelName}" expects version ${expected}. Run the migrations ("npm run migrate").`);
+            return converted;
+        });
+}
+
+
 /**
  * Creates a new Model object that interacts with the database. The model is connected 
  * to the db file given by "nameDB", if valid. You could either establish a connection 
  * beforehand by calling "mydb.connect()" and pass here the same "nameDB", or just pass 
  * here a new one.
  * Asynchronous function that returns a Promise.
- * @param {string} nameDB - The path to the database file. Should be a valid R+W .json file.
+ * @param {string} nameDB - The path to the database file. Should be a valid R+W .ndjson or .json file.
  * @param {Schema} schema - The Schema object that sets the format and rules for the database.
  */
 /*model = async function (nameDB, schema) {
@@ -81,36 +165,50 @@ model = function (nameDB, schema) {
 
 
 /**
- * Establishes a connection to an external database server. If a Model object was 
- * provided, only it will be connected. If no model was provided, then "lastModel" 
- * will be connected (if exists) plus after running it, any call for "mydb.model()" 
- * with the same dbURI will create a new model that's connected to the same database.
- * If the database doesn't exist, create it.
- * Asynchronous function that returns a Promise.
- * @param {string} dbURI - The path to the database server, including the necessary 
- * credentials (such as username and password).
+ * Establishes a connection to a data directory. If a Model object was provided, only it 
+ * will be connected, to the given file. If no model was provided, then all the models 
+ * (those that were created and those that will be) are connected, each to its own 
+ * collection file in the directory (check "mydb.model()").
+ * If the directory or the files don't exist, create them.
+ * Transactions whose commits were interrupted (i.e: by a crash) are completed first.
+ * Asynchronous function that returns a Promise, which resolves with { converted: [...] }: The 
+ * collections that were converted from the older format on the way, as 
+ * { from, to, backup, documents } (check convert_legacy_file() in "storage.js"), so the 
+ * caller can report them.
+ * @param {string} dbURI - The path (or URI) of the data directory, i.e: "./data", "ndjson://data", 
+ * "memory://". A path to a .json file (the older format, i.e: "./data/Stories.json") means its 
+ * directory. With a model, the path (or URI) of the model's database file.
  * @param {object} options - A JSON with additional parameters.
  * @param {Model} model - An optional Model object, if we want to connect it specifically.
  */
 connect = function (dbURI, options, model) {
     return new Promise((resolve, reject) => {
         if (!model || !(model instanceof Model)) {
-            // No "model" was provided: Establish a connection for all future models.
-            dbHandler = new DBHandler();
-            dbHandler.connect_dbFilePath(dbURI)
-                .then(function () {
-                    if (lastModel !== null)
-                        lastModel.dbHandler = dbHandler;
-                    resolve();
+            // No "model" was provided: Connect all the models to their collections in the directory:
+            if (typeof (dbURI) !== 'string' || dbURI === '') {
+                reject(new Error("Expecting \"dbURI\" parameter to be a non-empty string, but a different value was passed."));
+                return;
+            }
+            const data = storage.parse_data_uri(dbURI);
+            const prepared = data.scheme !== 'file' ? Promise.resolve() :
+                fs.promises.mkdir(data.dir, { recursive: true }).then(() => recover_transactions(data.dir));
+            prepared
+                .then(() => {
+                    dataDir = dbURI;
+                    return Promise.all(Object.values(models).map(connect_model));
                 })
+                .then(results => { resolve({ converted: results.filter(converted => converted !== null) }); })
                 .catch(err => {
-                    dbHandler = null;
+                    dataDir = null;
+                    err.message += "\n\tError occured in myDatabase.connect()";
                     reject(err);
                 });
         } else {
             // A valid model was provided: Connect it.
-            model.connect_dbFilePath(dbURI)
-                .then(function () { resolve(); })
+            const data = typeof (dbURI) === 'string' ? storage.parse_data_uri(dbURI) : null;
+            (data && data.scheme === 'file' ? recover_transactions(data.dir) : Promise.resolve())
+                .then(() => model.connect_dbFilePath(dbURI))
+                .then(function (converted) { resolve({ converted: converted ? [converted] : [] }); })
                 .catch(err => {
                     reject(err);
                 });
@@ -119,26 +217,145 @@ connect = function (dbURI, options, model) {
 }
 
 /**
- * Disconnect the given model (if provided) from the database or reset any future 
- * models (if a model not provided), untill "mydb.connect()" is called again.
+ * Disconnect the given model (if provided) from the database, or all the models (if a 
+ * model not provided), untill "mydb.connect()" is called again.
  */
 disconnect = function (model) {
     if (model && model instanceof Model) {
         model.disconnect();
     }
     else if (!model) {
-        dbHandler = null;
-        if (lastModel !== null) {
-            lastModel.disconnect();
-        }
+        dataDir = null;
+        for (let name in models)
+            models[name].disconnect();
+    }
+}
+
+/**
+ * Starts a new session, which can run transactions over the models (check "session.js"):
+ *   const session = await mydb.startSession();
+ *   await session.withTransaction(async () => { ...operations with { session }... });
+ *   session.endSession();
+ * Returns a Promise, which resolves with the Session object.
+ */
+startSession = function () {
+    return Promise.resolve(new Session());
+}
+
+
+/**
+ * Runs the migrations of the data directory, up (or down) to the version "options.to" (by 
+ * default, the latest). Check migrate() in "migration.js".
+ * Returns a Promise, which resolves with the migrations that ran.
+ * @param {object} options - Additional options for the function:
+ * options.dataDir: The data directory. By default, the one of "mydb.connect()".
+ * options.migrationsDir: The directory of the migration modules. By default, "./migrations".
+ * options.to: The target version.
+ */
+migrate = function (options = {}) {
+    return migration.migrate({ ...options, dataDir: options.dataDir || dataDir });
+}
+
+/**
+ * Returns the state of the migrations of the data directory. Check migration_status() in 
+ * "migration.js". Gets the same options as "mydb.migrate()" (without "to").
+ * Returns a Promise.
+ */
+migrationStatus = function (options = {}) {
+    return migration.migration_status({ ...options, dataDir: options.dataDir || dataDir });
+}
+
+
+/**
+ * Checks the collection files of the data directory for corruption (malformed lines, 
+ * duplicated IDs, a broken layout) and for documents that break the schemas of the 
+ * models, and optionally repairs them. Check fsck() in "fsck.js". Don't repair while 
+ * another process writes to the collections. A repair of the connected data directory is 
+ * refused (disconnect first), since the connected models keep the collections in their 
+ * caches and write them under their own locks, so the repair and their writes would undo 
+ * each other.
+ * Returns a Promise, which resolves with a report per collection.
+ * @param {object} options - Additional options for the function:
+ * options.dataDir: The data directory. By default, the one of "mydb.connect()".
+ * options.repair: If true, repair the collections that have problems, and move the bad 
+ * lines to quarantine files.
+ * options.strict: If true, documents that break the schema are quarantined too.
+ */
+fsck = function (options = {}) {
+    let schemas = {};
+    for (let name in models)
+        schemas[collection_name(models[name])] = models[name].schema;
+    const dir = options.dataDir || dataDir;
+    if (options.repair === true && dataDir !== null && typeof (dir) === 'string' && is_same_dir(dir, dataDir))
+        return Promise.reject(new Error(`Error in mydb.fsck(): Can't repair the connected data directory \"${dir}\". Call mydb.disconnect() first.`));
+    return fsckTool.fsck({ ...options, dataDir: dir, schemas: schemas });
+}
+
+/**
+ * Returns true if the given data directories (URIs) are the same one on the disk.
+ */
+function is_same_dir(dataURI1, dataURI2) {
+    const data1 = storage.parse_data_uri(dataURI1);
+    const data2 = storage.parse_data_uri(dataURI2);
+    return data1.scheme === 'file' && data2.scheme === 'file' && path.resolve(data1.dir) === path.resolve(data2.dir);
+}
+
+
+/**
+ * Returns the collections of all the models: [{ name, handler, schema }, ...]. Models that 
+ * share a collection appear once.
+ */
+function model_collections() {
+    let collections = new Map();
+    for (let name in models) {
+        const collection = collection_name(models[name]);
+        if (!collections.has(collection))
+            collections.set(collection, { name: collection, handler: models[name].dbHandler, schema: models[name].schema });
     }
+    return [...collections.values()];
+}
+
+/**
+ * Takes a consistent snapshot of the collections of all the models into "destDir", and 
+ * rotates the older snapshots there. It's consistent only for the writes of this process 
+ * (check the top of "backup.js"). Check backup() in "backup.js".
+ * Returns a Promise, which resolves with the new snapshot: { id, path, createdAt, collections, removed }.
+ * @param {string} destDir - The backups directory, i.e: "./backups".
+ * @param {object} options - Additional options for the function:
+ * options.keep: How many snapshots to keep: { hourly: <number>, daily: <number> }. By default, 
+ * the newest of each of the last 24 hours and of each of the last 7 days.
+ */
+backup = function (destDir, options = {}) {
+    return backupTool.backup(model_collections(), { ...options, destDir: destDir });
+}
+
+/**
+ * Restores the collections of the models from the given snapshot. The snapshot is checked 
+ * first (its checksums, and its documents against the schemas of the models), and if it's 
+ * valid, the collections are replaced in a single transaction. Check restore() in "backup.js".
+ * Returns a Promise, which resolves with { id, createdAt, collections, skipped }.
+ * @param {string} snapshot - The path to the snapshot, i.e: "./backups/20261019T184028456Z" 
+ * (check "backup.js" for finding one by its time).
+ * @param {object} options - Additional options for the function:
+ * options.collections: An array of collection names, to restore only them, i.e: ['Stories'].
+ */
+restore = function (snapshot, options = {}) {
+    return backupTool.restore(snapshot, model_collections(), options);
 }
 
 
 // Export the functions
 module.exports = {
     model: model,
+    models: models,
     connect: connect,
     disconnect: disconnect,
-    Schema: Schema
+    startSession: startSession,
+    migrate: migrate,
+    migrationStatus: migrationStatus,
+    fsck: fsck,
+    backup: backup,
+    restore: restore,
+    Schema: Schema,
+    Error: errors
 };
@@ -0,0 +1,411 @@
+/**
+ * Query helpers for the "mydb" library. They follow mostly the query language of "mongoose"
+ * (and MongoDB), and allow the Model class to filter, project, sort, skip and limit the
+ * documents it reads from the database.
+ * Supported filter operators:
+ *   Comparison: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin.
+ *   Element and evaluation: $exists, $regex (with optional $options), $not.
+ *   Logical (top level): $and, $or, $nor.
+ * A filter value which isn't an operators-object is treated as { $eq: value }. A RegExp
+ * value is treated as { $regex: value }. Nested fields can be reached with a dotted path
+ * (i.e: "author.name").
+ */
+
+const comparisonOperators = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options', '$not'];
+const logicalOperators = ['$and', '$or', '$nor'];
+
+
+/**
+ * Returns true if the given "doc" matches the given "filter", false otherwise.
+ * Throws an error if the filter contains an unknown operator or has an illegal format.
+ * @param {object} doc - A document as a JSON.
+ * @param {object} filter - A query filter of the format:
+ * { field_1: <value or { $op: <value>, ... }>, $or: [<filter>, ...], ... }
+ */
+function match_filter(doc, filter) {
+    if (!filter)
+        return true;
+    if (typeof (filter) !== 'object' || Array.isArray(filter))
+        throw new Error(`Error: A query filter must be an object, but \"${typeof (filter)}\" was passed.`);
+
+    for (let key in filter) {
+        const cond = filter[key];
+        if (key.startsWith('$')) {
+            // A logical operator over sub-filters:
+            if (!logicalOperators.includes(key))
+                throw new Error(`Error: Unknown top-level query operator \"${key}\".`);
+            if (!Array.isArray(cond) || cond.length === 0)
+                throw new Error(`Error: The query operator \"${key}\" expects a non-empty array of filters.`);
+
+            if (key === '$and' && !cond.every(subFilter => match_filter(doc, subFilter)))
+                return false;
+            if (key === '$or' && !cond.some(subFilter => match_filter(doc, subFilter)))
+                return false;
+            if (key === '$nor' && cond.some(subFilter => match_filter(doc, subFilter)))
+                return false;
+        }
+        else if (!match_condition(get_path_value(doc, key), cond)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Returns true if the given "value" (of a single field in a document) satisfies the
+ * given "cond" (the filter's value for that field), false otherwise.
+ * @param {any} value - The value of the field in the document (undefined if missing).
+ * @param {any} cond - A plain value, a RegExp or an operators-object ({ $gt: 3, ... }).
+ */
+function match_condition(value, cond) {
+    if (cond instanceof RegExp)
+        return match_operator(value, '$regex', cond, {});
+    if (!is_operators_object(cond))
+        return match_operator(value, '$eq', cond, {});
+
+    for (let op in cond) {
+        if (!comparisonOperators.includes(op))
+            throw new Error(`Error: Unknown query operator \"${op}\".`);
+        if (op === '$options')
+            continue;  // Used only together with $regex.
+        if (!match_operator(value, op, cond[op], cond))
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Returns true if the given "value" satisfies a single query operator "op" with the
+ * operand "operand". "cond" is the whole operators-object that "op" came from.
+ * If "value" is an array, most operators match if any of its elements matches
+ * (like in MongoDB).
+ * @param {any} value - The value of the field in the document (undefined if missing).
+ * @param {string} op - The query operator ('$eq', '$gt', ...).
+ * @param {any} operand - The operator's argument.
+ * @param {object} cond - The operators-object that holds "op".
+ */
+function match_operator(value, op, operand, cond) {
+    switch (op) {
+        case '$eq':
+            return is_equal(value, operand) ||
+                (Array.isArray(value) && value.some(item => is_equal(item, operand)));
+        case '$ne':
+            return !match_operator(value, '$eq', operand, cond);
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+            if (Array.isArray(value))
+                return value.some(item => match_operator(item, op, operand, cond));
+            return compare_range(value, op, operand);
+        case '$in':
+            if (!Array.isArray(operand))
+                throw new Error(`Error: The query operator \"${op}\" expects an array.`);
+            return operand.some(item => item instanceof RegExp ?
+                match_operator(value, '$regex', item, {}) : match_operator(value, '$eq', item, cond));
+        case '$nin':
+            return !match_operator(value, '$in', operand, cond);
+        case '$exists':
+            return (value !== undefined) === Boolean(operand);
+        case '$regex': {
+            const regex = (operand instanceof RegExp) ? operand : new RegExp(operand, cond.$options || '');
+            if (Array.isArray(value))
+                return value.some(item => typeof (item) === 'string' && regex.test(item));
+            return typeof (value) === 'string' && regex.test(value);
+        }
+        case '$not':
+            return !match_condition(value, operand);
+        default:
+            throw new Error(`Error: Unknown query operator \"${op}\".`);
+    }
+}
+
+/**
+ * Compares "value" to "operand" with a range operator ($gt, $gte, $lt, $lte). Values of
+ * different kinds (i.e. a number and a string) never match. Dates may be compared with
+ * their ISO strings, as they're stored in the database.
+ * @param {any} value - The value of the field in the document.
+ * @param {string} op - '$gt', '$gte', '$lt' or '$lte'.
+ * @param {any} operand - The value to compare with.
+ */
+function compare_range(value, op, operand) {
+    const [a, b] = normalize_pair(value, operand);
+    if (a === undefined || a === null || typeof (a) !== typeof (b))
+        return false;
+    switch (op) {
+        case '$gt': return a > b;
+        case '$gte': return a >= b;
+        case '$lt': return a < b;
+        case '$lte': return a <= b;
+    }
+    return false;
+}
+
+/**
+ * Returns true if the two given values are equal (deep equality for objects and arrays).
+ * Dates are compared by their time, also against their ISO strings.
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ */
+function is_equal(a, b) {
+    [a, b] = normalize_pair(a, b);
+    if (a === b)
+        return true;
+    // A missing field equals null:
+    if ((a === undefined && b === null) || (a === null && b === undefined))
+        return true;
+    if (typeof (a) !== 'object' || typeof (b) !== 'object' || a === null || b === null)
+        return false;
+    if (Array.isArray(a) !== Array.isArray(b))
+        return false;
+
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    if (aKeys.length !== bKeys.length)
+        return false;
+    return aKeys.every(key => Object.hasOwn(b, key) && is_equal(a[key], b[key]));
+}
+
+/**
+ * Converts a pair of values into a comparable form: Dates (or a Date and a date string)
+ * become numbers of milliseconds. Other values are returned as they are.
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ */
+function normalize_pair(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        const aTime = to_time(a);
+        const bTime = to_time(b);
+        if (aTime !== null && bTime !== null)
+            return [aTime, bTime];
+    }
+    return [a, b];
+}
+
+/**
+ * Returns the time (ms) of a Date object or a date string. Null if not a date.
+ * @param {any} x - A Date object or a string.
+ */
+function to_time(x) {
+    if (x instanceof Date)
+        return x.getTime();
+    if (typeof (x) === 'string') {
+        const time = new Date(x).getTime();
+        if (!isNaN(time))
+            return time;
+    }
+    return null;
+}
+
+/**
+ * Returns true if "x" is an object whose keys are all query operators ({ $gt: 3, ... }).
+ * @param {any} x - A filter's value.
+ */
+function is_operators_object(x) {
+    if (!x || typeof (x) !== 'object' || Array.isArray(x) || x instanceof Date)
+        return false;
+    const keys = Object.keys(x);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Returns the value in "obj" at the given dotted "path" (i.e: "author.name").
+ * Undefined if not found.
+ * @param {object} obj - The object to read from.
+ * @param {string} path - A field name or a dotted path of field names.
+ */
+function get_path_value(obj, path) {
+    let value = obj;
+    for (let part of path.split('.')) {
+        if (value === null || value === undefined || typeof (value) !== 'object')
+            return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * Converts a projection into an object of the format { field_1: 1/0, field_2: 1/0, ... }.
+ * Accepts either such an object or a mongoose style string: "title snippet" or "-body".
+ * Throws an error if inclusions and exclusions are mixed (except for "_id").
+ * Returns null if there's nothing to project.
+ * @param {any} projection - An object, a string, or null/undefined.
+ */
+function normalize_projection(projection) {
+    if (projection === null || projection === undefined)
+        return null;
+
+    let normalized = {};
+    if (typeof (projection) === 'string') {
+        for (let field of projection.split(/\s+/).filter(f => f !== '')) {
+            if (field.startsWith('-'))
+                normalized[field.slice(1)] = 0;
+            else
+                normalized[field] = 1;
+        }
+    } else if (typeof (projection) === 'object' && !Array.isArray(projection)) {
+        for (let field in projection)
+            normalized[field] = projection[field] ? 1 : 0;
+    } else {
+        throw new Error(`Error: A projection must be an object or a string, but \"${typeof (projection)}\" was passed.`);
+    }
+
+    const modes = new Set(Object.keys(normalized).filter(f => f !== '_id').map(f => normalized[f]));
+    if (modes.size > 1)
+        throw new Error('Error: A projection cannot mix inclusion and exclusion of fields (except for \"_id\").');
+    if (Object.keys(normalized).length === 0)
+        return null;
+    return normalized;
+}
+
+/**
+ * Returns a new object with only the fields of "doc" that are selected by the given
+ * (normalized) "projection". "_id" is included unless explicitly excluded.
+ * @param {object} doc - A document as a JSON.
+ * @param {object} projection - The result of normalize_projection().
+ */
+function apply_projection(doc, projection) {
+    if (!projection)
+        return doc;
+
+    const fields = Object.keys(projection).filter(f => f !== '_id');
+    const inclusive = fields.length > 0 ? projection[fields[0]] === 1 : projection['_id'] === 1;
+    let result = {};
+    if (inclusive) {
+        if (projection['_id'] !== 0 && Object.hasOwn(doc, '_id'))
+            result['_id'] = doc['_id'];
+        for (let field of fields) {
+            const value = get_path_value(doc, field);
+            if (value !== undefined)
+                set_path_value(result, field, value);
+        }
+    } else {
+        result = structuredClone(doc);
+        for (let field of Object.keys(projection))
+            delete_path_value(result, field);
+    }
+    return result;
+}
+
+/**
+ * Sets "value" in "obj" at the given dotted "path", creating nested objects as needed.
+ * @param {object} obj - The object to modify.
+ * @param {string} path - A field name or a dotted path of field names.
+ * @param {any} value - The value to set.
+ */
+function set_path_value(obj, path, value) {
+    const parts = path.split('.');
+    let target = obj;
+    for (let i = 0; i < parts.length - 1; ++i) {
+        if (!target[parts[i]] || typeof (target[parts[i]]) !== 'object')
+            target[parts[i]] = {};
+        target = target[parts[i]];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Deletes the field at the given dotted "path" in "obj", if exists.
+ * @param {object} obj - The object to modify.
+ * @param {string} path - A field name or a dotted path of field names.
+ */
+function delete_path_value(obj, path) {
+    const parts = path.split('.');
+    const target = parts.length === 1 ? obj : get_path_value(obj, parts.slice(0, -1).join('.'));
+    if (target && typeof (target) === 'object')
+        delete target[parts[parts.length - 1]];
+}
+
+/**
+ * Converts a sort specification into an array of [field, direction] pairs, where
+ * direction is 1 (ascending) or -1 (descending).
+ * Accepts an object ({ createdAt: -1, title: 'asc' }) or a mongoose style string
+ * ("-createdAt title").
+ * @param {any} sort - An object, a string, or null/undefined.
+ */
+function normalize_sort(sort) {
+    if (sort === null || sort === undefined)
+        return [];
+    if (typeof (sort) === 'string') {
+        return sort.split(/\s+/).filter(f => f !== '').map(field =>
+            field.startsWith('-') ? [field.slice(1), -1] : [field, 1]);
+    }
+    if (typeof (sort) !== 'object' || Array.isArray(sort))
+        throw new Error(`Error: A sort option must be an object or a string, but \"${typeof (sort)}\" was passed.`);
+
+    return Object.keys(sort).map(field => {
+        const dir = sort[field];
+        if (dir === 1 || dir === 'asc' || dir === 'ascending')
+            return [field, 1];
+        if (dir === -1 || dir === 'desc' || dir === 'descending')
+            return [field, -1];
+        throw new Error(`Error: Invalid sort direction \"${dir}\" for the field \"${field}\".`);
+    });
+}
+
+/**
+ * Compares two values for sorting. Missing values come first in ascending order.
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ */
+function compare_values(a, b) {
+    [a, b] = normalize_pair(a, b);
+    if (a === b)
+        return 0;
+    if (a === undefined || a === null)
+        return -1;
+    if (b === undefined || b === null)
+        return 1;
+    if (typeof (a) !== typeof (b))
+        return typeof (a) < typeof (b) ? -1 : 1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Applies a full query over an array of documents (as JSONs), and returns the resulted
+ * array. The order of the steps is: filter, sort, skip, limit, projection.
+ * @param {Array} docArray - An array of documents as JSONs.
+ * @param {object} filter - The query filter (see match_filter()).
+ * @param {any} projection - The projection (see normalize_projection()).
+ * @param {object} options - { sort: <sort spec>, skip: <number>, limit: <number> }.
+ */
+function apply_query(docArray, filter, projection, options = {}) {
+    options = options || {};
+    const normProjection = normalize_projection(projection);
+    const sortPairs = normalize_sort(options.sort);
+    for (let opt of ['skip', 'limit']) {
+        if (options[opt] !== undefined && (!Number.isInteger(options[opt]) || options[opt] < 0))
+            throw new Error(`Error: The \"${opt}\" option must be a non-negative integer.`);
+    }
+
+    let result = docArray.filter(doc => match_filter(doc, filter));
+    if (sortPairs.length > 0) {
+        result.sort((d1, d2) => {
+            for (let [field, dir] of sortPairs) {
+                const cmp = compare_values(get_path_value(d1, field), get_path_value(d2, field));
+                if (cmp !== 0)
+                    return cmp * dir;
+            }
+            return 0;
+        });
+    }
+    if (options.skip)
+        result = result.slice(options.skip);
+    if (options.limit)  // A limit of 0 means no limit (like in mongoose).
+        result = result.slice(0, options.limit);
+
+    return result.map(doc => apply_projection(doc, normProjection));
+}
+
+
+module.exports = {
+    match_filter,
+    apply_query,
+    apply_projection,
+    normalize_projection,
+    normalize_sort,
+    get_path_value,
+    set_path_value,
+    delete_path_value,
+    is_equal
+};
@@ -1,5 +1,5 @@
 /** 
- *  Schema: A class whose constructor gets as parameters: ({ param: {type: X, required: T/F, default: X0}, {...}, ... }, { timestamps: T/F, other-options: X, ...}) 
+ *  Schema: A class whose constructor gets as parameters: ({ param: {type: X, required: T/F, default: X0, index: T/F, unique: T/F, <validators>...}, {...}, ... }, { timestamps: T/F, other-options: X, ...}) 
  * */
 
 /**
@@ -17,16 +17,110 @@
  *   * In order to get the supported types for the "type" property, and the default 
  *   value for the "default" property per each type, use the 
  *   "get_allowed_types_and_default_values()" function.
+ *   * A parameter with "index: true" is indexed by the database, so queries that filter 
+ *   it by equality are fast. With "unique: true" it's also indexed, and the database 
+ *   refuses to store two documents with the same value. Indexes over several parameters 
+ *   (compound indexes) are declared with "schema.index({ param_1: 1, param_2: 1 })".
+ *   * Validators, like in mongoose (checked by Document, with all the failures reported 
+ *   together in a single ValidationError):
+ *     - "minlength", "maxlength": For strings and arrays. A number, or [number, message].
+ *     - "min", "max": For numbers and dates. A number/Date, or [number/Date, message].
+ *     - "enum": For strings and numbers. An array of the allowed values, or 
+ *       { values: [...], message: <message> }.
+ *     - "match": For strings. A RegExp, or [RegExp, message].
+ *     - "validate": A custom function (value) => T/F, or { validator: <function>, 
+ *       message: <message> }, or an array of those.
+ *     The messages may include "{PATH}" and "{VALUE}", which are replaced by the field's 
+ *     name and value.
+ *   * Transforms for strings, applied before the validation: "trim", "lowercase", "uppercase".
+ *   * Nested documents and typed arrays, validated recursively (with the default values 
+ *   applied at every level):
+ *     - { author: authorSchema } or { author: { type: authorSchema, required: true } }, 
+ *       where "authorSchema" is another Schema object. Its normalized form in the 
+ *       definition is { type: "Embedded", schema: <Schema>, ... }.
+ *     - { tags: [String] }, { chapters: [chapterSchema] } or 
+ *       { tags: { type: [{ type: String, maxlength: 20 }], default: [] } }. The normalized 
+ *       form is { type: "Array", of: <the definition of a single element>, ... }.
+ *     A parameter may also be given only by its type, i.e: { title: String }.
+ *   * Middleware (hooks), like in mongoose: "schema.pre(event, fn)" and 
+ *   "schema.post(event, fn)", for the events "validate", "save", "delete" and "find". 
+ *   A hook may be async (return a Promise), and the hooks of an event run one after the 
+ *   other, in the order they were added. If a "pre" hook throws (or rejects), the 
+ *   operation is aborted and its Promise rejects with that error:
+ *     - "validate" and "save": Run by Document.save(), with "this" being the document. 
+ *       The order is: pre validate, validation, post validate, pre save, saving, post save. 
+ *       The post hooks get the document as an argument.
+ *     - "delete": Run by Model.findByIdAndDelete(), purge_deleted(), delete_all() and 
+ *       pop_all(), with "this" being the model. The pre hooks get a context { operation, 
+ *       filter }, and the post hooks get the deleted documents (undefined for delete_all()) 
+ *       and the context.
+ *     - "find": Run by Model.find() (and the methods based on it) and Model.findById(), 
+ *       with "this" being the model. The pre hooks get a context { operation, filter, 
+ *       projection, options }, which they may change (i.e: add a condition to the filter). 
+ *       The post hooks get the result and the context. A cursor of Model.find() runs only 
+ *       the pre hooks (with the operation "cursor"), since it doesn't collect a result.
+ *   * Virtuals, instance methods and static methods, like in mongoose:
+ *     - "schema.virtual('readingTime').get(fn)" (and ".set(fn)"): A derived field which 
+ *       isn't stored. Documents expose it as a property. It's included when a document is 
+ *       serialized only on demand: "doc.toObject({ virtuals: true })", the schema options 
+ *       { toJSON: { virtuals: true } } and { toObject: { virtuals: true } }, or the 
+ *       "virtuals: true" option of Model.find() and Model.findById().
+ *     - "schema.methods.<name> = fn": Methods of the documents ("this" is the document).
+ *     - "schema.statics.<name> = fn": Methods of the model ("this" is the model).
+ *     Add them before the model is created, since "mydb.model()" copies the schema.
+ *   * References to documents of other models: { author: { type: 'ObjectId', ref: 'User' } } 
+ *   (or "Schema.Types.ObjectId"), or an array of them: { comments: [{ type: 'ObjectId', ref: 'Comment' }] }. 
+ *   The stored value is the "_id" of the referenced document, and the "populate" option of 
+ *   Model.find() replaces it with the document itself.
+ *   * The "version" option is the version of the stored data that the schema expects. When 
+ *   the schema changes, add a migration that updates the stored documents, and set "version" 
+ *   to the migration's version (check "migration.js").
+ *   * The "softDelete" option makes Model.findByIdAndDelete() move the documents to a trash 
+ *   instead of deleting them: It stamps them with a "deletedAt" time, and the queries of the 
+ *   model (find, findById, countDocuments, exists, the updates and the cursor) ignore them, 
+ *   unless their option "deleted" is 'include' or 'only'. Model.restore() brings them back, 
+ *   and Model.purge_deleted() deletes for good the ones that were deleted more than 
+ *   "trashRetentionDays" days ago (0 keeps them forever). Deleted documents still hold their 
+ *   unique values. Model.delete_all() and pop_all() always delete for good.
+ *   * The "versionKey" option, for optimistic concurrency (like mongoose's "__v"): The documents 
+ *   get a "__v" version number, which starts at 0 and is incremented by every save and update 
+ *   that changes them. Document.save() of a document that was read before (i.e: by 
+ *   findById(id, { asDocument: true })) fails with a VersionError if the stored one has another 
+ *   version by then, so a save can't silently overwrite the changes of someone else. The updates 
+ *   of Model can be given the expected version by their "version" option too. Documents stored 
+ *   without a "__v" are at version 0.
  */
 class Schema {
+    /* Special types, for "type" properties (like mongoose's "Schema.Types"). */
+    static Types = { ObjectId: 'ObjectId' };
+
     /* Sets the default parameter values for the "options" argument. */
     static #defaultOptions = {
-        'timestamps': false
+        'timestamps': false,
+        'collection': '',  // The name of the model's collection (file). By default, the pluralized model name.
+        'version': 0,  // The version of the stored data that the schema expects (check "migration.js").
+        'softDelete': false,  // If true, deleted documents are kept in a trash, with a "deletedAt" time.
+        'trashRetentionDays': 0,  // The number of days a soft-deleted document is kept before it's purged (0 for ever).
+        'versionKey': false,  // If true, the documents have a "__v" version number, which is checked on saves.
+        'toJSON': { virtuals: false },  // Options for serializing documents with JSON.stringify().
+        'toObject': { virtuals: false }  // Default options for Document.toObject().
     };
 
     /* Will hold the optional parameters of the Schema instance object. */
     #options = {};
 
+    /* Will hold the compound indexes declared by index(): [{ fields: {...}, options: { unique: T/F } }, ...] */
+    #compoundIndexes = [];
+
+    /* The events that support middleware (hooks). */
+    static #hookEvents = ['validate', 'save', 'delete', 'find'];
+
+    /* Will hold the middleware functions added by pre() and post(): { pre: { <event>: [fn, ...] }, post: {...} } */
+    #hooks = { pre: {}, post: {} };
+
+    /* Will hold the virtuals declared by virtual(): { <name>: VirtualType, ... } */
+    #virtuals = {};
+
     /* Returns all the suported types for "type" parameter's property, and their default values.  */
     static #allowedTypesAndDefaultsVals() {
         return {
@@ -40,6 +134,8 @@ class Schema {
             //"Object": {},  // We don't support Object so there won't be a confusion if type = 'Object' & default = {} (which gives "object" type). We also don't support other classes, s.a Person, so it's not "right" to support Object.
             "Date": new Date(0),
             "Array": [],
+            "Embedded": null,  // A nested document, which follows its own Schema (in the "schema" property).
+            "ObjectId": null,  // The "_id" (string) of a document of another model (named in the "ref" property).
         };
     }
 
@@ -77,7 +173,26 @@ class Schema {
             "default": {
                 defaultValue: { map: Schema.#allowedTypesAndDefaultsVals(), property: "type" },
                 must: false
-            }
+            },
+            "index": { defaultValue: false, must: false },
+            "unique": { defaultValue: false, must: false },
+            // Validators (null means no validation):
+            "minlength": { defaultValue: null, must: false },
+            "maxlength": { defaultValue: null, must: false },
+            "min": { defaultValue: null, must: false },
+            "max": { defaultValue: null, must: false },
+            "enum": { defaultValue: null, must: false },
+            "match": { defaultValue: null, must: false },
+            "validate": { defaultValue: null, must: false },
+            // Transforms for strings:
+            "trim": { defaultValue: false, must: false },
+            "lowercase": { defaultValue: false, must: false },
+            "uppercase": { defaultValue: false, must: false },
+            // Nested documents and typed arrays:
+            "schema": { defaultValue: null, must: false },  // The Schema of an "Embedded" parameter.
+            "of": { defaultValue: null, must: false },  // The definition of the elements of a typed "Array" parameter.
+            // References:
+            "ref": { defaultValue: null, must: false }  // The name of the model referenced by an "ObjectId" parameter.
         };
     }
 
@@ -109,6 +224,9 @@ class Schema {
         } catch (err) {
             throw err;
         }
+
+        this.methods = {};  // Instance methods of the documents: { <name>: <function>, ... }.
+        this.statics = {};  // Static methods of the model: { <name>: <function>, ... }.
     }
 
     /**
@@ -118,6 +236,20 @@ class Schema {
         return this.#options.timestamps;
     }
 
+    /**
+     * Returns true if the documents are soft-deleted (check the "softDelete" option).
+     */
+    get_soft_delete() {
+        return this.#options.softDelete;
+    }
+
+    /**
+     * Returns true if the documents have a version number (check the "versionKey" option).
+     */
+    get_version_key() {
+        return this.#options.versionKey;
+    }
+
     /**
      * Returns a JSON copy of all the optional parameters.
      */
@@ -135,7 +267,168 @@ class Schema {
      */
     get definition() {
         // Return a copy and not a reference to the original object's definition.
-        return structuredClone(this._definition);
+        return Schema.#clone_value(this._definition);
+    }
+
+    /**
+     * Declares an index over one or more parameters of the schema (a compound index), 
+     * like mongoose's "schema.index()". Throws an error if a field isn't in the definition.
+     * Returns this Schema (for chaining).
+     * @param {object} fields - The indexed parameters, i.e: { title: 1, author: 1 }. The 
+     * directions (1/-1) are accepted for compatibility, but don't matter.
+     * @param {object} options - { unique: <T/F> }. If unique, no two documents may share 
+     * the same combination of values.
+     */
+    index(fields, options = {}) {
+        if (!fields || typeof (fields) !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0)
+            throw new Error('Error in Schema.index(): \"fields\" must be a non-empty object, i.e: { title: 1 }.');
+        for (let field in fields) {
+            if (!Object.hasOwn(this._definition, field.split('.')[0]))
+                throw new Error(`Error in Schema.index(): The field \"${field}\" isn't in the schema's definition.`);
+            if (fields[field] !== 1 && fields[field] !== -1)
+                throw new Error(`Error in Schema.index(): Invalid direction \"${fields[field]}\" for the field \"${field}\".`);
+        }
+        if (options && Object.hasOwn(options, 'unique') && typeof (options.unique) !== 'boolean')
+            throw new Error('Error in Schema.index(): \"options.unique\" must be a boolean.');
+
+        this.#compoundIndexes.push({ fields: { ...fields }, options: { unique: Boolean(options && options.unique) } });
+        return this;
+    }
+
+    /**
+     * Returns all the indexes of the schema: Those of parameters with "index: true" or 
+     * "unique: true", and those declared by index(). The format is:
+     * [{ name: 'title_1', fields: ['title'], unique: <T/F> }, ...]
+     */
+    get_indexes() {
+        let indexes = [];
+        for (let param in this._definition) {
+            if (this._definition[param].index || this._definition[param].unique)
+                indexes.push({ fields: [param], unique: this._definition[param].unique });
+        }
+        for (let compound of this.#compoundIndexes)
+            indexes.push({ fields: Object.keys(compound.fields), unique: compound.options.unique });
+
+        return indexes.map(index => ({ name: index.fields.map(f => f + '_1').join('_'), ...index }));
+    }
+
+    /**
+     * Adds a middleware function that runs before the given "event". Throws an error if 
+     * the event isn't supported or "fn" isn't a function.
+     * Returns this Schema (for chaining).
+     * @param {string} event - "validate", "save", "delete" or "find".
+     * @param {function} fn - The hook. May be async. Throwing (or rejecting) aborts the operation.
+     */
+    pre(event, fn) {
+        this.#add_hook('pre', event, fn);
+        return this;
+    }
+
+    /**
+     * Adds a middleware function that runs after the given "event" succeeded. Throws an 
+     * error if the event isn't supported or "fn" isn't a function.
+     * Returns this Schema (for chaining).
+     * @param {string} event - "validate", "save", "delete" or "find".
+     * @param {function} fn - The hook. May be async.
+     */
+    post(event, fn) {
+        this.#add_hook('post', event, fn);
+        return this;
+    }
+
+    /**
+     * Runs the hooks of the given "stage" and "event" one after the other, with "thisArg" 
+     * as "this" and with the given arguments. Async hooks are awaited.
+     * Returns a Promise, which rejects with the error of the first hook that failed.
+     * @param {string} stage - "pre" or "post".
+     * @param {string} event - "validate", "save", "delete" or "find".
+     * @param {any} thisArg - The object the hooks are called on (a Document or a Model).
+     * @param {...any} args - The arguments for the hooks.
+     */
+    async run_hooks(stage, event, thisArg, ...args) {
+        const hooks = (this.#hooks[stage] && this.#hooks[stage][event]) || [];
+        for (let fn of hooks.slice())
+            await fn.apply(thisArg, args);
+    }
+
+    /**
+     * Adds the given hook function "fn" to the hooks of "stage" and "event".
+     * @param {string} stage - "pre" or "post".
+     * @param {string} event - One of the supported events (#hookEvents).
+     * @param {function} fn - The hook.
+     */
+    #add_hook(stage, event, fn) {
+        if (!Schema.#hookEvents.includes(event))
+            throw new Error(`Error in Schema.${stage}(): Unsupported event \"${event}\". ` +
+                `Supported events are: ${Schema.#hookEvents.join(', ')}.`);
+        if (typeof (fn) !== 'function')
+            throw new Error(`Error in Schema.${stage}(): The hook must be a function, but \"${typeof (fn)}\" was passed.`);
+
+        if (!Object.hasOwn(this.#hooks[stage], event))
+            this.#hooks[stage][event] = [];
+        this.#hooks[stage][event].push(fn);
+    }
+
+    /**
+     * Returns the definition of the parameter in the given (dotted) "path", including 
+     * parameters of nested documents (i.e: "author.name"). For a typed array, returns the 
+     * definition of the array itself. Returns null if the path isn't in the schema.
+     * @param {string} path - The name or dotted path of the parameter.
+     */
+    get_path_definition(path) {
+        const [first, ...rest] = path.split('.');
+        if (!Object.hasOwn(this._definition, first))
+            return null;
+        let rules = this._definition[first];
+        if (rest.length === 0)
+            return Schema.#clone_value(rules);
+        if (rules.type === 'Array' && rules.of !== null && /^\d+$/.test(rest[0])) {
+            // An element of a typed array, i.e: "chapters.0.title":
+            rules = rules.of;
+            rest.shift();
+            if (rest.length === 0)
+                return Schema.#clone_value(rules);
+        }
+        return rules.type === 'Embedded' ? rules.schema.get_path_definition(rest.join('.')) : null;
+    }
+
+    /**
+     * Returns the virtual with the given "name", and declares it if it doesn't exist yet. 
+     * Use the returned object to set its getter and setter, i.e: 
+     * schema.virtual('wordCount').get(function () { return this.body.split(' ').length; });
+     * Throws an error if "name" is taken by a parameter of the definition.
+     * @param {string} name - The name of the virtual field.
+     */
+    virtual(name) {
+        if (typeof (name) !== 'string' || name === '')
+            throw new Error('Error in Schema.virtual(): \"name\" must be a non-empty string.');
+        if (Object.hasOwn(this._definition, name))
+            throw new Error(`Error in Schema.virtual(): \"${name}\" is already a parameter of the schema.`);
+
+        if (!Object.hasOwn(this.#virtuals, name))
+            this.#virtuals[name] = new VirtualType(name);
+        return this.#virtuals[name];
+    }
+
+    /**
+     * Returns the virtuals of the schema: { <name>: VirtualType, ... }.
+     */
+    get_virtuals() {
+        return { ...this.#virtuals };
+    }
+
+    /**
+     * Adds the values of all the virtuals (with a getter) into the given object "obj", and 
+     * returns it. 
+     * @param {object} obj - A document (as a JSON) to add the virtuals to.
+     * @param {any} thisArg - "this" for the getters. By default, the given object itself.
+     */
+    apply_virtuals(obj, thisArg = obj) {
+        for (let name in this.#virtuals) {
+            if (this.#virtuals[name].getter !== null)
+                obj[name] = this.#virtuals[name].apply_getter(thisArg);
+        }
+        return obj;
     }
 
     /**
@@ -143,6 +436,8 @@ class Schema {
      * @param {any} x - A variable whose type we want to check.
      */
     static typeX(x) {
+        if (x === null)
+            return 'null';
         let typ = typeof (x);
         if (typ === 'object' && x.constructor.name !== 'Object')
             typ = x.constructor.name;
@@ -247,6 +542,16 @@ class Schema {
         try {
             newSchema = new Schema(original.definition);  // Deep copy the definition's properties.
             newSchema.set_options(original.options);  // Deep copy the other properties ("options").
+            newSchema.#compoundIndexes = structuredClone(original.#compoundIndexes);  // Deep copy the compound indexes.
+            for (let stage in original.#hooks) {
+                // Copy the hooks lists (the hook functions themselves are shared):
+                for (let event in original.#hooks[stage])
+                    newSchema.#hooks[stage][event] = original.#hooks[stage][event].slice();
+            }
+            for (let name in original.#virtuals)
+                newSchema.#virtuals[name] = VirtualType.copy(original.#virtuals[name]);
+            newSchema.methods = { ...original.methods };
+            newSchema.statics = { ...original.statics };
         } catch (err) {
             err.message += '\n\tError occured in Schema.copy().';
             throw err;
@@ -273,7 +578,7 @@ class Schema {
      */
     #get_default_property_val(def_param, property) {
         let defaultPropVal = Schema.#get_default_val_by_param_property()[property]['defaultValue'];
-        if (typeof (defaultPropVal) === 'object' && Object.hasOwn(defaultPropVal, 'map') && Object.hasOwn(defaultPropVal, 'property')) {
+        if (defaultPropVal !== null && typeof (defaultPropVal) === 'object' && Object.hasOwn(defaultPropVal, 'map') && Object.hasOwn(defaultPropVal, 'property')) {
             defaultPropVal = defaultPropVal.map[def_param[defaultPropVal.property]];
         }
         return defaultPropVal;
@@ -321,7 +626,11 @@ class Schema {
      * @param {any} defParamVal - The value of definition[parameter] of a schema.
      */
     static #preprocess_definition_parameter(defParamVal) {
-        if (typeof (defParamVal) != 'object') {
+        // Shorthands: A Schema (nested document), an array of a single type (typed array), 
+        // or only a type (i.e: String):
+        if (defParamVal instanceof Schema || Array.isArray(defParamVal) || typeof (defParamVal) === 'function')
+            defParamVal = { type: defParamVal };
+        if (!defParamVal || typeof (defParamVal) != 'object') {
             return defParamVal;
         }
 
@@ -332,6 +641,22 @@ class Schema {
             if (processedParam['type'] === 'String') processedParam['type'] = 'string';
             if (processedParam['type'] === 'Number') processedParam['type'] = 'number';
         }
+        else if (processedParam['type'] instanceof Schema) {
+            // A nested document:
+            processedParam['schema'] = processedParam['type'];
+            processedParam['type'] = 'Embedded';
+        }
+        else if (Array.isArray(processedParam['type'])) {
+            // An array. If a type of its elements is given, it's a typed array:
+            if (processedParam['type'].length > 1)
+                return null;
+            if (processedParam['type'].length === 1)
+                processedParam['of'] = processedParam['type'][0];
+            processedParam['type'] = 'Array';
+        }
+        // The definition of the elements of a typed array:
+        if (Object.hasOwn(processedParam, 'of') && processedParam['of'] !== null)
+            processedParam['of'] = Schema.#preprocess_definition_parameter(processedParam['of']);
 
         return processedParam;
     }
@@ -349,7 +674,6 @@ class Schema {
         // Scan all the parameters in "definition", check the validity of their properties, 
         // and if everything is OK, setup the schema with "new_definition" with values:
         let new_definition = {};
-        let allowedParameterPropertiesLst = Schema.get_allowed_parameter_properties_names_lst();
         for (let param in definition) {
             let defParamVal =  Schema.#preprocess_definition_parameter(definition[param]);  // definition[param];
             // Check if the param's value (its properties) is of the right format:
@@ -357,26 +681,41 @@ class Schema {
                 return null;
 
             // Valid. Add the parameter to the schema, with relevant values:
-            new_definition[param] = {}
-            let property;
-            for (let i in allowedParameterPropertiesLst) {
-                // If the param in the given "definition" (schema structure) has a value for 
-                // the "property", use that.Otherwise use default values for each property:
-                property = allowedParameterPropertiesLst[i];
-                if (Object.hasOwn(defParamVal, property)) {
-                    if (typeof (defParamVal[property]) !== 'object')
-                        new_definition[param][property] = defParamVal[property];
-                    else
-                        new_definition[param][property] = structuredClone(defParamVal[property]);  // Deep copy a nested object.
-                } else {
-                    new_definition[param][property] = this.#get_default_property_val(new_definition[param], property);
-                }
-            }
+            new_definition[param] = this.#fill_definition_param(defParamVal);
         }
 
         return new_definition;
     }
 
+    /**
+     * Returns a full copy of a valid (and preprocessed) schema parameter "defParamVal", 
+     * with all the allowed properties: Those that aren't specified get their default values. 
+     * The definition of the elements of a typed array ("of") is filled as well.
+     * @param {object} defParamVal - A valid schema parameter, i.e: { type: 'string', required: true }.
+     */
+    #fill_definition_param(defParamVal) {
+        let newParam = {};
+        let allowedParameterPropertiesLst = Schema.get_allowed_parameter_properties_names_lst();
+        let property;
+        for (let i in allowedParameterPropertiesLst) {
+            // If the param in the given "definition" (schema structure) has a value for 
+            // the "property", use that.Otherwise use default values for each property:
+            property = allowedParameterPropertiesLst[i];
+            if (Object.hasOwn(defParamVal, property)) {
+                if (typeof (defParamVal[property]) !== 'object')
+                    newParam[property] = defParamVal[property];
+                else
+                    newParam[property] = Schema.#clone_value(defParamVal[property]);  // Deep copy a nested object.
+            } else {
+                newParam[property] = this.#get_default_property_val(newParam, property);
+            }
+        }
+        if (newParam['of'] !== null)
+            newParam['of'] = this.#fill_definition_param(newParam['of']);
+
+        return newParam;
+    }
+
     /**
      * Returns true if the given "valObj" is a legal Schema parameter. Meaning it has 
      * the right format. Returns false if not.
@@ -398,17 +737,179 @@ class Schema {
         if ((propsAndDefaultVals['type'].must && !Object.hasOwn(valObj, 'type')) ||
             (Object.hasOwn(valObj, 'type') && !Object.hasOwn(Schema.#allowedTypesAndDefaultsVals(), valObj['type'])))
             return false;
-        // Check if "required" must but doesn't appear in "valObj". Or if appears but without the allowed values:
-        if ((propsAndDefaultVals['required'].must && !Object.hasOwn(valObj, 'required')) ||
-            (Object.hasOwn(valObj, 'required') && Schema.typeX(valObj['required']) !== Schema.typeX(propsAndDefaultVals['required'].defaultValue)))
-            return false;
-        // Check if "default" must but doesn't appear in "valObj". Or if appears, then its value's type must match the "type" from above:
+        // Check if the boolean properties must but don't appear in "valObj". Or if appear but without the allowed values:
+        for (let prop of ['required', 'index', 'unique', 'trim', 'lowercase', 'uppercase']) {
+            if ((propsAndDefaultVals[prop].must && !Object.hasOwn(valObj, prop)) ||
+                (Object.hasOwn(valObj, prop) && Schema.typeX(valObj[prop]) !== Schema.typeX(propsAndDefaultVals[prop].defaultValue)))
+                return false;
+        }
+        // Check if "default" must but doesn't appear in "valObj". Or if appears, then its value's type must match the "type" from above 
+        // (a nested document's default may also be null or a JSON, and a reference's default may be null or an ID):
+        const isNullableDefault = (valObj['type'] === 'Embedded' && ['null', 'object'].includes(Schema.typeX(valObj['default']))) ||
+            (valObj['type'] === 'ObjectId' && ['null', 'string'].includes(Schema.typeX(valObj['default'])));
         if ((propsAndDefaultVals['default'].must && !Object.hasOwn(valObj, 'default')) ||
-            (Object.hasOwn(valObj, 'default') && Object.hasOwn(valObj, 'type') && Schema.typeX(valObj['default']) != valObj['type']))
+            (Object.hasOwn(valObj, 'default') && Object.hasOwn(valObj, 'type') && Schema.typeX(valObj['default']) != valObj['type'] && !isNullableDefault))
+            return false;
+        // Only a reference may name a referenced model:
+        if (Object.hasOwn(valObj, 'ref') && valObj['ref'] !== null &&
+            (valObj['type'] !== 'ObjectId' || typeof (valObj['ref']) !== 'string' || valObj['ref'] === ''))
+            return false;
+        // A nested document must have a valid Schema, and only it may have one:
+        if (valObj['type'] === 'Embedded' && !Schema.is_valid_schema(valObj['schema']))
+            return false;
+        if (valObj['type'] !== 'Embedded' && Object.hasOwn(valObj, 'schema') && valObj['schema'] !== null)
+            return false;
+        // The elements of a typed array must have a valid definition, and only an array may have one:
+        if (Object.hasOwn(valObj, 'of') && valObj['of'] !== null &&
+            (valObj['type'] !== 'Array' || !Schema.#is_valid_definition_param_format(valObj['of'])))
+            return false;
+        // Check the validators, if appear:
+        for (let prop of ['minlength', 'maxlength', 'min', 'max', 'enum', 'match', 'validate']) {
+            if (Object.hasOwn(valObj, prop) && valObj[prop] !== null &&
+                !Schema.#is_valid_validator_property(prop, valObj[prop], valObj['type']))
+                return false;
+        }
+        // The string transforms are only for strings:
+        if ((valObj['trim'] || valObj['lowercase'] || valObj['uppercase']) && valObj['type'] !== 'string')
             return false;
         return true;
     }
+
+    /**
+     * Returns true if the given "value" is legal for the validator property "prop" of a 
+     * parameter whose type is "type". False if not.
+     * @param {string} prop - 'minlength', 'maxlength', 'min', 'max', 'enum', 'match' or 'validate'.
+     * @param {any} value - The value of the property in the definition.
+     * @param {string} type - The value of the parameter's "type" property.
+     */
+    static #is_valid_validator_property(prop, value, type) {
+        // Most validators accept also the format [<value>, <message>]:
+        const withMessage = (isValid) => isValid(value) ||
+            (Array.isArray(value) && value.length === 2 && isValid(value[0]) && typeof (value[1]) === 'string');
+        const isFunction = (x) => typeof (x) === 'function';
+        const isCustomValidator = (x) => isFunction(x) || (x !== null && typeof (x) === 'object' &&
+            isFunction(x.validator) && (!Object.hasOwn(x, 'message') || typeof (x.message) === 'string' || isFunction(x.message)));
+
+        switch (prop) {
+            case 'minlength':
+            case 'maxlength':
+                return (type === 'string' || type === 'Array') &&
+                    withMessage(x => Number.isInteger(x) && x >= 0);
+            case 'min':
+            case 'max':
+                return (type === 'number' && withMessage(x => typeof (x) === 'number')) ||
+                    (type === 'Date' && withMessage(x => x instanceof Date));
+            case 'enum':
+                if (type !== 'string' && type !== 'number')
+                    return false;
+                if (value !== null && typeof (value) === 'object' && !Array.isArray(value))
+                    return Array.isArray(value.values) && (!Object.hasOwn(value, 'message') || typeof (value.message) === 'string');
+                return Array.isArray(value);
+            case 'match':
+                return type === 'string' && withMessage(x => x instanceof RegExp);
+            case 'validate':
+                return isCustomValidator(value) || (Array.isArray(value) && value.every(isCustomValidator));
+        }
+        return false;
+    }
+
+    /**
+     * Returns a deep copy of the given "value", which may be a part of a schema's definition. 
+     * Unlike structuredClone(), functions (custom validators) are kept by reference, and 
+     * RegExps and Dates are copied as such.
+     * @param {any} value - The value to copy.
+     */
+    static #clone_value(value) {
+        if (value === null || typeof (value) !== 'object')
+            return value;  // Primitives and functions.
+        if (value instanceof Date)
+            return new Date(value);
+        if (value instanceof RegExp)
+            return new RegExp(value.source, value.flags);
+        if (value instanceof Schema)
+            return Schema.copy(value);
+        if (Array.isArray(value))
+            return value.map(item => Schema.#clone_value(item));
+        if (Schema.typeX(value) !== 'object')
+            return structuredClone(value);  // Other built-in objects (i.e: new String('')).
+
+        let copy = {};
+        for (let key in value)
+            copy[key] = Schema.#clone_value(value[key]);
+        return copy;
+    }
 }
 
 
+/**
+ * A virtual field of a Schema: A field whose value is computed by a getter (and may be 
+ * set by a setter), and which isn't stored in the database. Created by Schema.virtual().
+ */
+class VirtualType {
+    /**
+     * @param {string} name - The name of the virtual field.
+     */
+    constructor(name) {
+        this.name = name;
+        this.getter = null;
+        this.setter = null;
+    }
+
+    /**
+     * Sets the getter of the virtual. "fn" is called with the document as "this".
+     * Returns this VirtualType (for chaining).
+     * @param {function} fn - Returns the value of the virtual.
+     */
+    get(fn) {
+        if (typeof (fn) !== 'function')
+            throw new Error(`Error in VirtualType.get(): The getter of \"${this.name}\" must be a function.`);
+        this.getter = fn;
+        return this;
+    }
+
+    /**
+     * Sets the setter of the virtual. "fn" is called with the document as "this" and the 
+     * new value as an argument.
+     * Returns this VirtualType (for chaining).
+     * @param {function} fn - Sets the document's fields by the given value.
+     */
+    set(fn) {
+        if (typeof (fn) !== 'function')
+            throw new Error(`Error in VirtualType.set(): The setter of \"${this.name}\" must be a function.`);
+        this.setter = fn;
+        return this;
+    }
+
+    /**
+     * Returns the value of the virtual for the given "thisArg" (a document).
+     * @param {any} thisArg - The document.
+     */
+    apply_getter(thisArg) {
+        return this.getter === null ? undefined : this.getter.call(thisArg);
+    }
+
+    /**
+     * Sets the given "value" by the setter, on the given "thisArg" (a document). Throws an 
+     * error if the virtual has no setter.
+     * @param {any} thisArg - The document.
+     * @param {any} value - The new value.
+     */
+    apply_setter(thisArg, value) {
+        if (this.setter === null)
+            throw new Error(`Error: The virtual \"${this.name}\" has no setter.`);
+        this.setter.call(thisArg, value);
+    }
+
+    /**
+     * Returns a copy of the given VirtualType (with the same getter and setter).
+     * @param {VirtualType} original - The virtual to copy.
+     */
+    static copy(original) {
+        let newVirtual = new VirtualType(original.name);
+        newVirtual.getter = original.getter;
+        newVirtual.setter = original.setter;
+        return newVirtual;
+    }
+}
+
 module.exports = Schema;  // Exporting the class.
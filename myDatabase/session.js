@@ -0,0 +1,440 @@
+/**
+ * Sessions and multi-document transactions for the "mydb" library, following mostly the
+ * API of mongoose:
+ *   const session = await mydb.startSession();
+ *   await session.withTransaction(async () => {
+ *       await Story.findByIdAndDelete(storyId, { session });
+ *       await Comment.updateMany({ story: storyId }, { $set: { hidden: true } }, { session });
+ *   });
+ *   session.endSession();
+ * The writes of a transaction (of one or more models) are staged in memory: Each database
+ * that the transaction touches gets a copy of its documents, on which the operations are
+ * applied, and reads with the same session see them. Nothing is written before the commit.
+ * The commit applies all the writes or none of them:
+ *   1. The write locks of all the databases are acquired (in a fixed order, to avoid deadlocks).
+ *   2. Each database is checked: If it was changed since the transaction read it, the commit
+ *      fails with a WriteConflictError (and withTransaction() retries). The unique indexes
+ *      are checked too.
+ *   3. A journal file with the new content of all the databases is written next to them.
+ *   4. The databases are rewritten, and the journal is deleted.
+ * If the process crashes between 3 and 4, the journal is replayed by recover_transactions()
+ * (called by mydb.connect()), so the transaction is completed. Databases in the memory (check
+ * "storage.js") don't survive a crash anyway, so they aren't journaled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DBHandler = require('./dbhandler');
+const Query = require('./query');
+const storage = require('./storage');
+const { WriteConflictError } = require('./errors');
+
+// The names of the journal files of the commits: .mydb-journal-<transaction id>.json
+const journalPrefix = '.mydb-journal-';
+const journalExt = '.json';
+// The number of times withTransaction() runs the transaction, if it fails on a write conflict:
+const maxTransactionAttempts = 3;
+
+const idField = '_id';
+
+
+/**
+ * A session, which can run transactions (one at a time).
+ */
+class Session {
+    #transaction = null;  // The transaction in progress: { id, handlers: Map(DBHandler -> StagedHandler) }, or null.
+    #ended = false;  // True after endSession().
+
+    /**
+     * Starts a new transaction in this session. Throws an error if a transaction is already
+     * in progress, or if the session has ended.
+     */
+    startTransaction() {
+        if (this.#ended)
+            throw new Error('Error in Session.startTransaction(): The session has ended.');
+        if (this.#transaction !== null)
+            throw new Error('Error in Session.startTransaction(): A transaction is already in progress.');
+
+        this.#transaction = { id: Date.now().toString() + '-' + crypto.randomBytes(6).toString('hex'), handlers: new Map() };
+    }
+
+    /**
+     * Returns true if a transaction is in progress, false otherwise.
+     */
+    inTransaction() {
+        return this.#transaction !== null;
+    }
+
+    /**
+     * Commits the writes of the transaction in progress, all or nothing (check the top of
+     * this file), and ends the transaction. If the commit fails, nothing is written and the
+     * transaction is aborted.
+     * Returns a Promise.
+     */
+    async commitTransaction() {
+        if (this.#transaction === null)
+            throw new Error('Error in Session.commitTransaction(): No transaction is in progress.');
+
+        const transaction = this.#transaction;
+        this.#transaction = null;
+        try {
+            await Session.#commit(transaction);
+        } catch (err) {
+            err.message += '\n\tError occured in Session.commitTransaction().';
+            throw err;
+        }
+    }
+
+    /**
+     * Aborts the transaction in progress: Its staged writes are discarded.
+     */
+    abortTransaction() {
+        if (this.#transaction === null)
+            throw new Error('Error in Session.abortTransaction(): No transaction is in progress.');
+        this.#transaction = null;
+    }
+
+    /**
+     * Runs the given async function "fn" in a transaction, and commits it. If "fn" throws,
+     * the transaction is aborted and the error is thrown. If the commit fails on a write
+     * conflict, the whole transaction (including "fn") is retried a few times.
+     * Returns a Promise, which resolves with the value returned by "fn".
+     * @param {function} fn - An async function that gets this session, and passes it (as
+     * { session }) to the operations that should be a part of the transaction.
+     */
+    async withTransaction(fn) {
+        if (typeof (fn) !== 'function')
+            throw new Error('Error in Session.withTransaction(): \"fn\" must be a function.');
+
+        for (let attempt = 1; ; ++attempt) {
+            this.startTransaction();
+            let result;
+            try {
+                result = await fn(this);
+            } catch (err) {
+                if (this.inTransaction())
+                    this.abortTransaction();
+                throw err;
+            }
+
+            try {
+                await this.commitTransaction();
+                return result;
+            } catch (err) {
+                if (!(err instanceof WriteConflictError) || attempt >= maxTransactionAttempts)
+                    throw err;
+                // Someone else wrote in between. Run the transaction again, on the new data.
+            }
+        }
+    }
+
+    /**
+     * Ends the session. A transaction in progress is aborted.
+     */
+    endSession() {
+        this.#transaction = null;
+        this.#ended = true;
+    }
+
+    /**
+     * Returns true if the session has ended, false otherwise.
+     */
+    get hasEnded() {
+        return this.#ended;
+    }
+
+    /**
+     * Returns the handler through which the transaction in progress reads and writes the
+     * database of the given "dbHandler". It has the same API as DBHandler (for the Model and
+     * Document classes), but it only stages the writes.
+     * Throws an error if no transaction is in progress.
+     * @param {DBHandler} dbHandler - The handler of the database.
+     */
+    handler_for(dbHandler) {
+        if (this.#transaction === null)
+            throw new Error('Error in Session.handler_for(): No transaction is in progress.');
+
+        if (!this.#transaction.handlers.has(dbHandler))
+            this.#transaction.handlers.set(dbHandler, new StagedHandler(dbHandler));
+        return this.#transaction.handlers.get(dbHandler);
+    }
+
+    /**
+     * Commits the given transaction (check commitTransaction()).
+     * Returns a Promise.
+     * @param {object} transaction - { id, handlers: Map(DBHandler -> StagedHandler) }.
+     */
+    static async #commit(transaction) {
+        // Only the databases that were changed, in a fixed order:
+        const staged = [...transaction.handlers.values()]
+            .filter(handler => handler.changed)
+            .sort((a, b) => a.dbFilePath.localeCompare(b.dbFilePath));
+        if (staged.length === 0)
+            return;
+
+        let releases = [];
+        try {
+            for (let handler of staged)
+                releases.push(await handler.target.acquire_write_lock());
+            for (let handler of staged)
+                await handler.target.prepare_replace_locked(handler.version, handler.docArray);
+
+            // From here on, the transaction must be completed, even after a crash:
+            const durable = staged.filter(handler => handler.target.durable);
+            let journalPath = null;
+            if (durable.length > 0)
+                journalPath = await write_journal(transaction.id,
+                    durable.map(handler => ({ dbFilePath: handler.dbFilePath, docs: handler.docArray })));
+            try {
+                for (let handler of staged)
+                    await handler.target.replace_locked(handler.docArray);
+            } catch (err) {
+                if (journalPath !== null)
+                    err.message += `\n\tThe commit was interrupted. It will be completed from the journal ${journalPath} ` +
+                        'by the next mydb.connect().';
+                throw err;
+            }
+            if (journalPath !== null)
+                await storage.remove_file_durable(journalPath);
+        } finally {
+            releases.reverse().forEach(release => release());
+        }
+    }
+}
+
+
+/**
+ * Stages the writes of a transaction to a single database: It holds a copy of the database's
+ * documents, on which the reads and writes of the transaction are applied. Has the same API
+ * as DBHandler for the operations of Model and Document.
+ */
+class StagedHandler {
+    #target;  // The DBHandler of the database.
+    #docs = null;  // The staged documents (JSONs), or null before they're loaded.
+    #version = null;  // The version of the database (check DBHandler.snapshot()) the staged documents are based on.
+    #loading = null;  // The Promise of loading the documents.
+    #changed = false;  // True if the transaction wrote to the database.
+
+    /**
+     * @param {DBHandler} target - The handler of the database.
+     */
+    constructor(target) {
+        this.#target = target;
+    }
+
+    /** Returns the handler of the database. */
+    get target() {
+        return this.#target;
+    }
+
+    /** Returns the path to the database file. */
+    get dbFilePath() {
+        return this.#target.dbFilePath;
+    }
+
+    /** Returns the staged documents. */
+    get docArray() {
+        return this.#docs;
+    }
+
+    /** Returns the version of the database the staged documents are based on. */
+    get version() {
+        return this.#version;
+    }
+
+    /** Returns true if the transaction wrote to the database. */
+    get changed() {
+        return this.#changed;
+    }
+
+    /** Returns true if the database is connected. Check DBHandler.is_connected(). */
+    is_connected() {
+        return this.#target.is_connected();
+    }
+
+    /** Waits for the database's connection in progress. Check DBHandler.ready(). */
+    ready() {
+        return this.#target.ready();
+    }
+
+    /**
+     * Stages the saving of the given document (a JSON string). Check DBHandler.save().
+     * @param {string} dataStr - The document.
+     */
+    async save(dataStr) {
+        const newDoc = JSON.parse(dataStr);
+        const docArray = await this.#load();
+        if (docArray.some(doc => doc[idField] === newDoc[idField]))
+            throw new Error(`Error in StagedHandler.save(): A document with the ID \"${newDoc[idField]}\" already exists.`);
+        docArray.push(newDoc);
+        this.#changed = true;
+        return dataStr;
+    }
+
+    /**
+     * Stages the overwriting of the database. Check DBHandler.overwrite().
+     * @param {Array} strArray - An array of JSON strings.
+     */
+    async overwrite(strArray) {
+        await this.#load();
+        this.#docs = strArray.map(str => JSON.parse(str));
+        this.#changed = true;
+    }
+
+    /**
+     * Stages the modification of the documents by "modifier". Check DBHandler.modify().
+     * @param {function} modifier - Gets the documents and returns { docArray, result }.
+     */
+    async modify(modifier) {
+        const docArray = await this.#load();
+        const { docArray: newDocArray, result } = modifier(docArray.slice());
+        if (newDocArray) {
+            this.#docs = structuredClone(newDocArray);
+            this.#changed = true;
+        }
+        return result;
+    }
+
+    /**
+     * Stages the replacing of the document with the given "id". Check DBHandler.replace_by_id().
+     * @param {string} id - The ID of the document.
+     * @param {string} dataStr - The new document (a JSON string).
+     */
+    replace_by_id(id, dataStr) {
+        return this.modify(docArray => {
+            const index = docArray.findIndex(doc => doc[idField] === id);
+            if (index === -1)
+                throw new Error(`Error in StagedHandler.replace_by_id(): No document with the ID \"${id}\" was found.`);
+            docArray[index] = JSON.parse(dataStr);
+            return { docArray: docArray, result: dataStr };
+        });
+    }
+
+    /**
+     * Stages the erasing of the database. Check DBHandler.erase_db().
+     */
+    async erase_db() {
+        await this.#load();
+        this.#docs = [];
+        this.#changed = true;
+    }
+
+    /**
+     * Returns copies of the staged documents that match the "filter". Check DBHandler.query_docs().
+     * @param {object} filter - A query filter.
+     */
+    async query_docs(filter) {
+        const docArray = await this.#load();
+        return docArray.filter(doc => Query.match_filter(doc, filter)).map(doc => structuredClone(doc));
+    }
+
+    /**
+     * Yields copies of the staged documents that match the "filter", one at a time. Check 
+     * DBHandler.stream_docs().
+     * @param {object} filter - A query filter.
+     */
+    async *stream_docs(filter) {
+        const docArray = await this.#load();
+        for (let doc of docArray) {
+            if (Query.match_filter(doc, filter))
+                yield structuredClone(doc);
+        }
+    }
+
+    /**
+     * Returns copies of the staged documents with the given ID(s). Check DBHandler.get_by_ids().
+     * @param {any} ids - The ID (string) or an array of IDs (array of strings).
+     */
+    async get_by_ids(ids) {
+        const idSet = new Set(Array.isArray(ids) ? ids : [ids]);
+        const docArray = await this.#load();
+        return docArray.filter(doc => idSet.has(doc[idField])).map(doc => structuredClone(doc));
+    }
+
+    /**
+     * Loads the documents of the database (once), and returns them.
+     * Returns a Promise.
+     */
+    async #load() {
+        if (this.#loading === null) {
+            this.#loading = this.#target.snapshot()
+                .then(({ docArray, version }) => {
+                    this.#docs = docArray;
+                    this.#version = version;
+                });
+        }
+        await this.#loading;
+        return this.#docs;
+    }
+}
+
+
+/**
+ * Writes a journal file (crash-safe) with the new content of the given databases, next to the 
+ * first of them, so recover_transactions() completes their writes if they're interrupted. 
+ * Delete it (by storage.remove_file_durable()) when the writes are done.
+ * Returns a Promise, which resolves with the path to the journal file.
+ * @param {string} id - A unique ID of the writes, i.e: of the transaction.
+ * @param {Array} collections - The databases: [{ dbFilePath, docs: [<JSONs>] }, ...].
+ * @param {Array} files - Other files to write along with them, if any (i.e: the meta files of 
+ * "migration.js"): [{ filePath, content: <string> }, ...].
+ */
+async function write_journal(id, collections, files = []) {
+    const journalDir = path.dirname(path.resolve(collections[0].dbFilePath));
+    const journalPath = path.join(journalDir, journalPrefix + id + journalExt);
+    const journal = {
+        id: id,
+        collections: collections.map(collection => ({
+            file: path.relative(journalDir, path.resolve(collection.dbFilePath)),
+            docs: collection.docs
+        })),
+        files: files.map(file => ({ file: path.relative(journalDir, path.resolve(file.filePath)), content: file.content }))
+    };
+    await storage.write_file_atomic(journalPath, JSON.stringify(journal));
+    return journalPath;
+}
+
+/**
+ * Completes the commits that were interrupted (i.e: by a crash) in the given directory, by
+ * replaying their journal files. Should be called before connecting to the databases in it.
+ * Returns a Promise, which resolves with the number of the recovered transactions.
+ * @param {string} dirPath - The path to the data directory.
+ */
+async function recover_transactions(dirPath) {
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(dirPath);
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return 0;
+        throw err;
+    }
+
+    let recovered = 0;
+    for (let fileName of fileNames.filter(name => name.startsWith(journalPrefix) && name.endsWith(journalExt))) {
+        const journalPath = path.join(dirPath, fileName);
+        let journal;
+        try {
+            journal = JSON.parse(await fs.promises.readFile(journalPath, 'utf8'));
+        } catch (err) {
+            err.message = `Error in recover_transactions(): Cannot read the journal ${journalPath}. ` + err.message;
+            throw err;
+        }
+        // Redo the writes of the transaction (again, if some of them were done):
+        for (let collection of journal.collections)
+            await DBHandler.write_db_file(path.resolve(dirPath, collection.file), collection.docs);
+        for (let file of journal.files || [])
+            await storage.write_file_atomic(path.resolve(dirPath, file.file), file.content);
+        await storage.remove_file_durable(journalPath);
+        recovered++;
+    }
+    return recovered;
+}
+
+
+module.exports = {
+    Session,
+    write_journal,
+    recover_transactions
+};
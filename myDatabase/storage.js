@@ -0,0 +1,903 @@
+/**
+ * Storage adapters for the "mydb" library. A DBHandler keeps the documents of a database in
+ * an in-memory cache, and it reads and writes them through a storage adapter. The adapter is
+ * chosen by the URI of the database (check create_adapter()):
+ *   "./data/Stories.ndjson" or "ndjson://data/Stories": NdjsonAdapter (the default). An append
+ *       log with a document (JSON) per line, so saving a document only appends a line.
+ *   "./data/Stories.json" or "file://data/Stories.json": JsonFileAdapter. The older format: A
+ *       .json file with an array of documents, one per line.
+ *   "memory://Stories": MemoryAdapter. The documents are kept in the memory of the process
+ *       only (nothing touches the disk), i.e: for tests and preview servers. All the handlers
+ *       with the same URI share the same documents, until the process ends.
+ * Every adapter implements the interface of StorageAdapter: open, stamp, load, stream, append,
+ * replace, delete and lock.
+ * The documents are written with JSON.stringify() only, so their content (i.e: new lines in a
+ * story's body) is kept exactly as it is. A collection of the older format, whose .json file
+ * is found where its .ndjson file should be, is converted when it's opened (check
+ * convert_legacy_file()).
+ * The file helpers (write_file_atomic(), remove_file_durable(), fsync_dir(), read_lines()) are
+ * exported too, for the other crash-safe writes of mydb (journals, meta files, backups) and for
+ * the checker ("fsck.js").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const ReadWriteLock = require('rwlock');
+
+// The URI schemes:
+const fileScheme = 'file://';
+const ndjsonScheme = 'ndjson://';
+const memoryScheme = 'memory://';
+// The file types of the file adapters:
+const jsonExt = '.json';
+const ndjsonExt = '.ndjson';
+
+// Formating the data of .json files:
+const SEP = '\r\n';  // USed to mark the separation of elements (docs) in the database file.
+// A converted .json file is kept next to its .ndjson file as: <collection>.json.bak
+const legacyBackupExt = '.bak';
+
+// The databases of MemoryAdapter, by their names: { docArray, version, lock }.
+const memoryStores = new Map();
+
+
+/**
+ * The interface of the storage adapters. Each method of the storage is called by DBHandler
+ * while it holds the storage's lock (a read lock for stamp(), load() and stream(), and the
+ * write lock for the others).
+ * A "stamp" is a string that changes whenever the stored documents change (i.e: by another
+ * process), so DBHandler knows when to reload its cache.
+ */
+class StorageAdapter {
+    #lock;  // ReadWriteLock.
+
+    /**
+     * @param {ReadWriteLock} lock - The lock that protects the storage. By default, a new one.
+     */
+    constructor(lock = null) {
+        this.#lock = lock || new ReadWriteLock();
+    }
+
+    /** Returns the location of the storage: A file path or a "memory://" URI. */
+    get location() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement \"location\".`);
+    }
+
+    /** Returns true if the documents survive the end of the process (i.e: they're on the disk). */
+    get durable() {
+        return true;
+    }
+
+    /** Returns the ReadWriteLock that protects the storage from race conditions. */
+    get lock() {
+        return this.#lock;
+    }
+
+    /**
+     * Checks that the storage can be used, and creates it (empty) if it doesn't exist.
+     * Returns a Promise, which resolves with the conversion of a collection of the older format, 
+     * if one was done (check convert_legacy_file()). Throws an error if the storage is invalid.
+     */
+    async open() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement open().`);
+    }
+
+    /**
+     * Returns a Promise, which resolves with the current stamp of the storage.
+     */
+    async stamp() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement stamp().`);
+    }
+
+    /**
+     * Reads all the documents. Throws an error if the stored data is corrupted.
+     * Returns a Promise, which resolves with { docArray: [JSONs], stamp }.
+     */
+    async load() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement load().`);
+    }
+
+    /**
+     * Starts reading the documents one at a time, without holding all of them in memory. 
+     * The documents are read as they were when stream() was called, so the lock may be 
+     * released once it resolves (writes that come later aren't seen).
+     * Returns a Promise, which resolves with an async iterable of the documents (JSONs).
+     */
+    async stream() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement stream().`);
+    }
+
+    /**
+     * Adds the given document after the stored ones, durably.
+     * Returns a Promise, which resolves with the new stamp.
+     * @param {object} doc - The document (JSON).
+     */
+    async append(doc) {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement append().`);
+    }
+
+    /**
+     * Replaces all the stored documents with the given ones, durably and atomically: The
+     * storage holds either the old documents or the new ones, but never a part of them.
+     * Returns a Promise, which resolves with the new stamp.
+     * @param {Array} docArray - The documents (JSONs).
+     */
+    async replace(docArray) {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement replace().`);
+    }
+
+    /**
+     * Deletes the storage itself (i.e: the file).
+     * Returns a Promise.
+     */
+    async delete() {
+        throw new Error(`Error: ${this.constructor.name} doesn't implement delete().`);
+    }
+}
+
+
+/**
+ * The adapter of the older format: A .json file, which holds an array of documents in the
+ * format: "[SEP{doc1},SEP{doc2}SEP]" (a document per line, since JSON escapes the new lines
+ * inside the documents).
+ */
+class JsonFileAdapter extends StorageAdapter {
+    #filePath;
+
+    /**
+     * @param {string} filePath - The path to the .json file.
+     */
+    constructor(filePath) {
+        super();
+        this.#filePath = filePath;
+    }
+
+    get location() {
+        return this.#filePath;
+    }
+
+    async open() {
+        await check_db_file(this.#filePath, jsonExt);
+    }
+
+    async stamp() {
+        return get_file_stamp(this.#filePath);
+    }
+
+    async load() {
+        const stamp = await get_file_stamp(this.#filePath);
+        const dataRead = await this.#load_with_readStream();
+        let docArray;
+        try {
+            docArray = JSON.parse(JsonFileAdapter.#decode_str(dataRead));
+        } catch (err) {
+            err.message = `Error in DBHandler: The database file is not a valid JSON: ${this.#filePath}. ` + err.message;
+            throw err;
+        }
+        if (!Array.isArray(docArray))
+            throw new Error(`Error in DBHandler: The database file doesn't hold an array of documents: ${this.#filePath}.`);
+        return { docArray: docArray, stamp: stamp };
+    }
+
+    async stream() {
+        const filePath = this.#filePath;
+        const lines = await read_lines(filePath);
+        return (async function* () {
+            let lineNum = 0;
+            for await (let line of lines) {
+                ++lineNum;
+                // Skip the brackets of the array, and the comma after each document:
+                if (line === '' || line === '[' || line === ']' || line === '[]')
+                    continue;
+                if (line.endsWith(','))
+                    line = line.slice(0, -1);
+                try {
+                    yield JSON.parse(line);
+                } catch (err) {
+                    if (!(err instanceof SyntaxError))
+                        throw err;
+                    err.message = `Error in DBHandler: Line ${lineNum} of the database file is not a valid JSON: ${filePath}. ` + err.message;
+                    throw err;
+                }
+            }
+        })();
+    }
+
+    async append(doc) {
+        // Choose the function that performs the actual writing:
+        let writeFunc = {
+            'writeFile': (data, startIdx) => this.#save_with_writeFile(data, startIdx),
+            'writeStream': (data, startIdx) => this.#save_with_writeStream(data, startIdx)
+        }['writeStream'];
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.#filePath);
+        } catch (err) {
+            // Coudn't access the file. Either it doesn't exist or another reason.
+            if (err.code === 'ENOENT')
+                err.message = 'File does not exist: ' + err.message;
+            // Reject with a proper message:
+            err.message = 'Error writing to file: ' + err.message;
+            throw err;
+        }
+
+        // If we need to truncate the end of the file, prepare the starting
+        // index and the data to be saved:
+        const [docStr, truncateIdx] = JsonFileAdapter.#prepare_data_and_truncate(stats, JSON.stringify(doc));
+        const startIdx = stats.size - truncateIdx;
+
+        // Write to the file, and wait until the data is flushed to the disk:
+        try {
+            await writeFunc(docStr, startIdx);
+        } catch (err) {
+            err.message = 'Error writing to file: ' + err.message;
+            throw err;
+        }
+        return get_file_stamp(this.#filePath);
+    }
+
+    async replace(docArray) {
+        await write_file_atomic(this.#filePath, JsonFileAdapter.#prepare_doc_arr_to_str(docArray.map(doc => JSON.stringify(doc))));
+        return get_file_stamp(this.#filePath);
+    }
+
+    async delete() {
+        await remove_file_durable(this.#filePath);
+    }
+
+    /**
+     * Saves the given "data" to the database at the "startIdx" index, in one chunck using
+     * fs.write(), and flushes it to the disk (fsync).
+     * Returns a Promise, which resolves only after the data is on the disk.
+     * @param {string} data - The data to be saved.
+     * @param {number} startIdx - The index in the database file from which the data will
+     * saved (overriding previous data if presents).
+     */
+    async #save_with_writeFile(data, startIdx) {
+        const fileHandle = await fs.promises.open(this.#filePath, 'r+');
+        try {
+            // If we need to truncate the last ']', cut the file at the right location:
+            await fileHandle.truncate(startIdx);
+            // Write the doc string to the file at once, and flush it:
+            await fileHandle.write(data, startIdx, 'utf8');
+            await fileHandle.sync();
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    /**
+     * Saves the given "data" to the database at the "startIdx" index, in a stream of
+     * chuncks using fs.writeStream, and flushes it to the disk (fsync).
+     * Returns a Promise, which resolves only after the data is on the disk.
+     * @param {string} data - The data to be saved.
+     * @param {number} startIdx - The index in the database file from which the data will
+     * saved (overriding previous data if presents).
+     */
+    #save_with_writeStream(data, startIdx) {
+        return write_durable(this.#filePath, data, startIdx, 'r+');
+    }
+
+    /**
+     * Depending on the content of the database file (estimated by "fStats"), returns
+     * modifications to "data" and the index from which to start writting it.
+     * The goal is to maintain a legal .json format, with an array of JSONs.
+     * @param {fs.stat} fStats - The retured object from fs.stat() for the db-file.
+     * @param {string} data - The base-data to be saved. To it additional
+     * modifications may apply (s.a SEP + ']'...)
+     */
+    static #prepare_data_and_truncate(fStats, data) {
+        let truncateIdx = 1;  // How much to truncate from the end of the file before writing new data.
+
+        if (fStats.size === 0) {
+            // Empty file.
+            data = '[' + SEP + data + SEP + ']';
+            truncateIdx = 0;
+        } else if (fStats.size === 2) {
+            // Only "[]" in the file.
+            data = SEP + data + SEP + ']';
+            truncateIdx = 1;
+        } else if (fStats.size <= 2 + SEP.length) {
+            // Only "[SEP]" in the file.
+            data = data + SEP + ']';
+            truncateIdx = 1;
+        } else {
+            // File already has data "[SEP{}SEP]" or more.
+            data = ',' + SEP + data + SEP + ']';
+            truncateIdx = 3;
+        }
+
+        return [data, truncateIdx];
+    }
+
+    /**
+     * Reads all the content from the database, in one chunck using fs.readFile().
+     * Returns it as a string of array of JSONs: '[jObj1, jObj2, ...]'
+     * Returns a Promise.
+     */
+    #load_with_readFile() {
+        // Read data from the file at once:
+        return new Promise((resolve, reject) => {
+            fs.readFile(this.#filePath, (err, data) => {
+                if (err) {
+                    reject(new Error('Error reading from file: ' + err));
+                }
+                else {
+                    let dataStr = data.toString();
+                    if (dataStr === '')
+                        dataStr = '[]';
+                    resolve(dataStr);
+                }
+            });
+        });
+    }
+
+    /**
+     * Reads all the content from the database, in in a stream of chunck using fs.readStream.
+     * Returns it as a string of array of JSONs: '[jObj1, jObj2, ...]'
+     * Returns a Promise.
+     * Must follow the saving format: Each JSON or square braket (][) must be in one line,
+     * with new lines seperating between them.
+     * */
+    #load_with_readStream() {
+        return new Promise((resolve, reject) => {
+            // Read data from the file as a stream:
+            let buffer = '';  // Buffer to store partial docs.
+            //const readStream = fs.createReadStream(this.#filePath, { encoding: 'utf8', highWaterMark: 10 });  // With max chunck size limit (highWaterMark), for testing.
+            const readStream = fs.createReadStream(this.#filePath, { encoding: 'utf8' });
+
+            readStream.on('data', chunk => { buffer += chunk; });  // Append the chunk to the buffer
+            readStream.on('end', () => {
+                if (buffer === '')
+                    buffer = '[]';
+                resolve(buffer);
+            });
+            readStream.on('error', err => {
+                reject(new Error('Error reading from file: ' + err));
+            });
+        });
+    }
+
+    /**
+     * Gets an array of strings and returns a single joint string, in the format
+     * to be written into the database.
+     * @param {Array} strArray - An array of strings. The data to be joint and prepared.
+     */
+    static #prepare_doc_arr_to_str(strArray) {
+        let dataStr = strArray.join(',' + SEP);
+        if (dataStr.length > 0)
+            dataStr = '[' + SEP + dataStr + SEP + ']';
+        return dataStr;
+    }
+
+    /**
+     * Gets a data string and returns it after removing SEP, such that it can be parsed.
+     * @param {string} data - The data string of the file.
+     */
+    static #decode_str(data) {
+        return data.replaceAll(SEP, '');  // Remove SEP.
+    }
+}
+
+
+/**
+ * An append log in the NDJSON format: Each line of the file is a document (JSON), followed
+ * by '\n'. Saving a document only appends a line, and the other writes rewrite the file.
+ * A last line without its '\n' is a write that was interrupted (i.e: by a crash) before it
+ * was acknowledged, so it's ignored, and it's cut by the next append.
+ */
+class NdjsonAdapter extends StorageAdapter {
+    #filePath;
+    #tailLength = 0;  // The length (bytes) of the interrupted last line found by load(), if any.
+
+    /**
+     * @param {string} filePath - The path to the .ndjson file.
+     */
+    constructor(filePath) {
+        super();
+        this.#filePath = filePath;
+    }
+
+    get location() {
+        return this.#filePath;
+    }
+
+    async open() {
+        const converted = await convert_legacy_file(this.#filePath);
+        await check_db_file(this.#filePath, ndjsonExt);
+        return converted;
+    }
+
+    async stamp() {
+        return get_file_stamp(this.#filePath);
+    }
+
+    async load() {
+        const stamp = await get_file_stamp(this.#filePath);
+        let data;
+        try {
+            data = await fs.promises.readFile(this.#filePath, 'utf8');
+        } catch (err) {
+            throw new Error('Error reading from file: ' + err);
+        }
+
+        const lines = data.split('\n');
+        const tail = lines.pop();  // The text after the last '\n' ('' if the file ends properly).
+        let docArray = lines.map((line, i) => {
+            if (line.trim() === '')
+                return null;
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                err.message = `Error in DBHandler: Line ${i + 1} of the database file is not a valid JSON: ${this.#filePath}. ` + err.message;
+                throw err;
+            }
+        }).filter(doc => doc !== null);
+        if (docArray.some(doc => !doc || typeof (doc) !== 'object' || Array.isArray(doc)))
+            throw new Error(`Error in DBHandler: The database file doesn't hold a document per line: ${this.#filePath}.`);
+
+        this.#tailLength = Buffer.byteLength(tail, 'utf8');
+        return { docArray: docArray, stamp: stamp };
+    }
+
+    async stream() {
+        const filePath = this.#filePath;
+        const lines = await read_lines(filePath);
+        return (async function* () {
+            // Hold each line until the next one is read, since an invalid last line is an 
+            // interrupted write (check the top of the class), and it's skipped:
+            let lineNum = 0;
+            let pending = null;
+            const parse = (line, num) => {
+                try {
+                    return JSON.parse(line);
+                } catch (err) {
+                    err.message = `Error in DBHandler: Line ${num} of the database file is not a valid JSON: ${filePath}. ` + err.message;
+                    throw err;
+                }
+            };
+            for await (let line of lines) {
+                ++lineNum;
+                if (line.trim() === '')
+                    continue;
+                if (pending !== null)
+                    yield parse(pending.line, pending.num);
+                pending = { line: line, num: lineNum };
+            }
+            if (pending !== null) {
+                let doc;
+                try {
+                    doc = parse(pending.line, pending.num);
+                } catch (err) {
+                    return;  // An interrupted write.
+                }
+                yield doc;
+            }
+        })();
+    }
+
+    async append(doc) {
+        try {
+            const stats = await fs.promises.stat(this.#filePath);
+            // Cut an interrupted last line, so the new line starts at the beginning of a line:
+            const startIdx = Math.max(stats.size - this.#tailLength, 0);
+            const fileHandle = await fs.promises.open(this.#filePath, 'r+');
+            try {
+                await fileHandle.truncate(startIdx);
+            } finally {
+                await fileHandle.close();
+            }
+            await write_durable(this.#filePath, JSON.stringify(doc) + '\n', startIdx, 'r+');
+            this.#tailLength = 0;
+        } catch (err) {
+            err.message = 'Error writing to file: ' + err.message;
+            throw err;
+        }
+        return get_file_stamp(this.#filePath);
+    }
+
+    async replace(docArray) {
+        await write_file_atomic(this.#filePath, docArray.map(doc => JSON.stringify(doc) + '\n').join(''));
+        this.#tailLength = 0;
+        return get_file_stamp(this.#filePath);
+    }
+
+    async delete() {
+        await remove_file_durable(this.#filePath);
+    }
+}
+
+
+/**
+ * Keeps the documents in the memory of the process only. The handlers of the same name
+ * share the documents and the lock.
+ */
+class MemoryAdapter extends StorageAdapter {
+    #name;
+
+    /**
+     * @param {string} name - The name of the database, i.e: "Stories".
+     */
+    constructor(name) {
+        if (!memoryStores.has(name))
+            memoryStores.set(name, { docArray: null, version: 0, lock: new ReadWriteLock() });
+        super(memoryStores.get(name).lock);
+        this.#name = name;
+    }
+
+    get location() {
+        return memoryScheme + this.#name;
+    }
+
+    get durable() {
+        return false;
+    }
+
+    async open() {
+        const store = this.#store();
+        if (store.docArray === null)
+            store.docArray = [];
+    }
+
+    async stamp() {
+        return String(this.#store().version);
+    }
+
+    async load() {
+        const store = this.#store();
+        // A copy, so the handlers can't change the stored documents:
+        return { docArray: structuredClone(store.docArray || []), stamp: String(store.version) };
+    }
+
+    async stream() {
+        // The stored array is replaced (not changed) on every write, so it's a snapshot:
+        const docArray = this.#store().docArray || [];
+        return (async function* () {
+            for (let doc of docArray)
+                yield structuredClone(doc);
+        })();
+    }
+
+    async append(doc) {
+        const store = this.#store();
+        store.docArray = (store.docArray || []).concat([structuredClone(doc)]);
+        return String(++store.version);
+    }
+
+    async replace(docArray) {
+        const store = this.#store();
+        store.docArray = structuredClone(docArray);
+        return String(++store.version);
+    }
+
+    async delete() {
+        const store = this.#store();
+        store.docArray = null;
+        store.version++;
+    }
+
+    /**
+     * Returns the shared store of this database: { docArray, version, lock }.
+     */
+    #store() {
+        return memoryStores.get(this.#name);
+    }
+}
+
+
+/**
+ * Returns a new storage adapter for the given database URI:
+ *   "memory://<name>": MemoryAdapter.
+ *   "ndjson://<path>": NdjsonAdapter (".ndjson" is added to the path if it has no extension).
+ *   "file://<path>" or a plain path: By the file type, JsonFileAdapter (.json) or
+ *   NdjsonAdapter (.ndjson).
+ * Throws an error if the URI is invalid.
+ * @param {string} uri - The URI of the database, i.e: "./data/Stories.json", "memory://Stories".
+ */
+function create_adapter(uri) {
+    if (!uri || typeof (uri) !== 'string')
+        throw new Error('Invalid database URI. Expecting a non-empty string, but received: ' + uri);
+
+    if (uri.startsWith(memoryScheme)) {
+        const name = uri.slice(memoryScheme.length);
+        if (name === '')
+            throw new Error(`Invalid database URI. A name is missing after \"${memoryScheme}\": ${uri}`);
+        return new MemoryAdapter(name);
+    }
+    if (uri.startsWith(ndjsonScheme)) {
+        const filePath = uri.slice(ndjsonScheme.length);
+        return new NdjsonAdapter(path.extname(filePath) === '' ? filePath + ndjsonExt : filePath);
+    }
+
+    const filePath = uri.startsWith(fileScheme) ? uri.slice(fileScheme.length) : uri;
+    switch (path.extname(filePath)) {
+        case jsonExt:
+            return new JsonFileAdapter(filePath);
+        case ndjsonExt:
+            return new NdjsonAdapter(filePath);
+        default:
+            throw new Error(`Invalid file type. File must be a ${jsonExt} or a ${ndjsonExt} file: ` + filePath);
+    }
+}
+
+/**
+ * Parses the URI of a data directory (check "mydb.connect()"), in which each collection has
+ * its own database: An .ndjson file (for "ndjson://", "file://" and plain paths). A URI of a
+ * database file means its directory, in the same format (so "./data/Stories.json" keeps the
+ * older .json format).
+ * Returns { scheme: 'file'/'memory', dir: <path, or a name prefix for memory>, ext: <file type> }.
+ * @param {string} dataURI - i.e: "./data", "file://data", "ndjson://data", "./data/Stories.json", "memory://".
+ */
+function parse_data_uri(dataURI) {
+    if (dataURI.startsWith(memoryScheme))
+        return { scheme: 'memory', dir: dataURI.slice(memoryScheme.length).replace(/\/+$/, ''), ext: '' };
+
+    const isNdjson = dataURI.startsWith(ndjsonScheme);
+    let dir = isNdjson ? dataURI.slice(ndjsonScheme.length) : (dataURI.startsWith(fileScheme) ? dataURI.slice(fileScheme.length) : dataURI);
+    let ext = ndjsonExt;
+    if ([jsonExt, ndjsonExt].includes(path.extname(dir).toLowerCase())) {
+        ext = path.extname(dir).toLowerCase();
+        dir = path.dirname(dir);
+    }
+    return { scheme: 'file', dir: dir, ext: ext };
+}
+
+/**
+ * Returns the URI of the database of the given collection in the given data directory.
+ * @param {object} data - A parsed data directory (check parse_data_uri()).
+ * @param {string} collection - The name of the collection, i.e: "Stories".
+ */
+function collection_uri(data, collection) {
+    if (data.scheme === 'memory')
+        return memoryScheme + (data.dir === '' ? '' : data.dir + '/') + collection;
+    return path.join(data.dir, collection + data.ext);
+}
+
+/**
+ * Checks the validity of the given database file. Creates it if it doesn't exist.
+ * Returns a Promise. True if the db-file is valid, throws an error otherwise.
+ * * Currently it fails to test the file permissions.
+ * @param {string} dbFilePath - The path to the database file. Should be a valid R+W file.
+ * @param {string} fileExt - The required file type, i.e: ".json".
+ */
+function check_db_file(dbFilePath, fileExt) {
+    return new Promise((resolve, reject) => {
+            // Check the file type:
+            if (!dbFilePath || typeof (dbFilePath) !== 'string' || path.extname(dbFilePath) !== fileExt) {
+                reject(new Error(`Invalid file type. File must be a ${fileExt} file: ` + dbFilePath));
+                return;
+            }
+
+            // Check the validity of the file: Does it exist? Is it a file? Permissions?...
+            fs.stat(dbFilePath, (err, stats) => {
+                if (err) {
+                    // Coudn't access the file. Check why.
+
+                    if (err.code === 'ENOENT') {
+                        // File doesn't exist, create it:
+                        fs.writeFile(dbFilePath, '', { mode: 0o666 }, (wf_error) => {  // Read+Write permissions
+                            if (wf_error) {
+                                reject(new Error(`Error while creating a file: ${wf_error.message}`));
+                            } else {
+                                resolve(true);
+                                return;  // There isn't any more code anyway, but it's clearer this way.
+                            }
+                        });
+                    }
+                    else {
+                        // Other errors. reject with an Error:
+                        reject(new Error(`Error accessing file: ${err.message}`));
+                    }
+                }  // if (err)
+                else {
+                    if (!stats.isFile()) {
+                        // It's not a file.
+                        reject(new Error('Path is not a file: ' + dbFilePath));
+                    }
+                    else if ((stats.mode & fs.constants.F_OK) &&  // Visible to the calling process.
+                        (stats.mode & fs.constants.W_OK) &&  // Writable.
+                        (stats.mode & fs.constants.R_OK) != 0) {  // Readable.
+                        // Not the right permissions:
+                        reject(new Error('File is invisible or doesn\'t have  R+W permissions: ' + dbFilePath));
+                    }
+                    else {
+                        // A valid file:
+                        resolve(true);
+                    }
+                }  // else (no err)
+            });  // fs.stat
+    });  // new Promise
+}  // check_db_file function
+
+/**
+ * Writes the given "data" into the file at "filePath" (creating or replacing it) in a
+ * crash-safe way: Through a temporary file, which is flushed to the disk and renamed
+ * over the file. The file holds either its old content or the new one, but never half.
+ * Returns a Promise, which resolves only after the new data is on the disk.
+ * @param {string} filePath - The path of the file.
+ * @param {string} data - The new content of the file.
+ */
+async function write_file_atomic(filePath, data) {
+    const tmpFilePath = filePath + '.' + process.pid + '-' + crypto.randomBytes(4).toString('hex') + '.tmp';
+    try {
+        // Keep the permissions of the original file, if exists:
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        await write_durable(tmpFilePath, data, 0, 'w', stats ? stats.mode & 0o777 : 0o666);
+        await fs.promises.rename(tmpFilePath, filePath);
+        await fsync_dir(path.dirname(filePath));
+    } catch (err) {
+        // Clean up the temporary file (if it was created) and report:
+        await fs.promises.unlink(tmpFilePath).catch(() => { });
+        err.message = 'Error writing to file: ' + err.message;
+        throw err;
+    }
+}
+
+/**
+ * Deletes the file at "filePath" and flushes its directory to the disk.
+ * Returns a Promise.
+ * @param {string} filePath - The path of the file.
+ */
+async function remove_file_durable(filePath) {
+    await fs.promises.unlink(filePath);
+    await fsync_dir(path.dirname(filePath));
+}
+
+/**
+ * Writes the given "data" to the file at "filePath" from the "startIdx" index, as a stream.
+ * Waits for the stream to finish and then flushes the file to the disk (fsync).
+ * Returns a Promise, which resolves only after the data is on the disk, and is rejected
+ * on any I/O error.
+ * @param {string} filePath - The path of the file to write.
+ * @param {string} data - The data to be written.
+ * @param {number} startIdx - The index in the file from which to write.
+ * @param {string} flag - The file system flag to open the file with ('r+', 'w', ...).
+ * @param {number} mode - The permissions of the file, if it's created.
+ */
+async function write_durable(filePath, data, startIdx, flag, mode = 0o666) {
+    const fileHandle = await fs.promises.open(filePath, flag, mode);
+    try {
+        await new Promise((resolve, reject) => {
+            //const writeStream = fs.createWriteStream(null, { fd: fileHandle.fd, start: startIdx, autoClose: false, highWaterMark: 1 });  // With max chunck size limit (highWaterMark), for testing.
+            const writeStream = fs.createWriteStream(null, { fd: fileHandle.fd, start: startIdx, autoClose: false });
+            writeStream.on('finish', resolve);  // All the data was handed to the OS.
+            writeStream.on('error', reject);
+            writeStream.end(data, 'utf8');
+        });
+        await fileHandle.sync();  // Flush the data from the OS to the disk.
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+/**
+ * Flushes a directory entry to the disk (fsync), so a rename inside it survives a crash.
+ * Not all the platforms allow it (i.e: Windows), so failures are ignored.
+ * Returns a Promise.
+ * @param {string} dirPath - The path of the directory.
+ */
+async function fsync_dir(dirPath) {
+    let dirHandle;
+    try {
+        dirHandle = await fs.promises.open(dirPath, 'r');
+        await dirHandle.sync();
+    } catch (err) {
+        // Best effort only.
+    } finally {
+        if (dirHandle)
+            await dirHandle.close().catch(() => { });
+    }
+}
+
+/**
+ * Opens the file at "filePath" for reading its lines one at a time. Only the data that's 
+ * in the file when it's opened is read (a later append isn't), and a rename over the file 
+ * doesn't affect the reading.
+ * Returns a Promise, which resolves with an async iterable of the lines (without the new lines).
+ * @param {string} filePath - The path of the file.
+ */
+async function read_lines(filePath) {
+    let fileHandle;
+    let size;
+    try {
+        fileHandle = await fs.promises.open(filePath, 'r');
+        size = (await fileHandle.stat()).size;
+    } catch (err) {
+        if (fileHandle)
+            await fileHandle.close().catch(() => { });
+        throw new Error('Error reading from file: ' + err);
+    }
+    if (size === 0) {
+        await fileHandle.close();
+        return [];
+    }
+
+    const readStream = fileHandle.createReadStream({ encoding: 'utf8', start: 0, end: size - 1 });
+    const lines = readline.createInterface({ input: readStream, crlfDelay: Infinity });
+    return (async function* () {
+        try {
+            yield* lines;
+        } finally {
+            // Close the file, also if the reader stopped in the middle:
+            lines.close();
+            readStream.destroy();
+        }
+    })();
+}
+
+/**
+ * Converts a collection of the older format to NDJSON: If the given .ndjson file doesn't exist,
+ * but a .json file with the same name does (i.e: "./data/Stories.json" for "./data/Stories.ndjson"),
+ * its documents are written (crash-safe) into the .ndjson file as they are, and then the .json
+ * file is renamed to "<collection>.json.bak". Until the rename, the .json file is untouched, so
+ * a crash in the middle only repeats the conversion on the next open.
+ * Don't convert a collection while another process writes to its .json file.
+ * Returns a Promise, which resolves with the conversion if the collection was converted: 
+ * { from: <the .json file>, to: <the .ndjson file>, backup: <the .json.bak file>, documents: <count> }, 
+ * or null if it wasn't (the caller reports it, i.e: mydb.connect()).
+ * @param {string} ndjsonFilePath - The path to the .ndjson database file.
+ */
+async function convert_legacy_file(ndjsonFilePath) {
+    if (path.extname(ndjsonFilePath) !== ndjsonExt || await file_exists(ndjsonFilePath))
+        return null;
+    const jsonFilePath = ndjsonFilePath.slice(0, -ndjsonExt.length) + jsonExt;
+    if (!await file_exists(jsonFilePath))
+        return null;
+
+    let docArray;
+    try {
+        docArray = (await new JsonFileAdapter(jsonFilePath).load()).docArray;
+    } catch (err) {
+        err.message = `Error converting ${jsonFilePath} to ${ndjsonExt}: ` + err.message +
+            ' Check it with "node myDatabase/cli.js fsck" (and "--repair" to fix it), and open it again.';
+        throw err;
+    }
+    await new NdjsonAdapter(ndjsonFilePath).replace(docArray);
+    await fs.promises.rename(jsonFilePath, jsonFilePath + legacyBackupExt);
+    await fsync_dir(path.dirname(jsonFilePath));
+    return { from: jsonFilePath, to: ndjsonFilePath, backup: jsonFilePath + legacyBackupExt, documents: docArray.length };
+}
+
+/**
+ * Returns a Promise, which resolves with true if there's a file (or a directory) at "filePath".
+ * @param {string} filePath - The path of the file.
+ */
+async function file_exists(filePath) {
+    try {
+        await fs.promises.stat(filePath);
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return false;
+        throw new Error('Error accessing file: ' + err.message);
+    }
+}
+
+/**
+ * Returns a stamp of the file at "filePath", which changes whenever the file changes:
+ * Its size, modification time and inode.
+ * Returns a Promise.
+ * @param {string} filePath - The path of the file.
+ */
+async function get_file_stamp(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    return `${stats.size}:${stats.mtimeMs}:${stats.ino}`;
+}
+
+
+module.exports = {
+    StorageAdapter,
+    JsonFileAdapter,
+    NdjsonAdapter,
+    MemoryAdapter,
+    create_adapter,
+    parse_data_uri,
+    collection_uri,
+    write_file_atomic,
+    remove_file_durable,
+    fsync_dir,
+    read_lines
+};
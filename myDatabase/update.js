@@ -0,0 +1,124 @@
+/**
+ * Update helpers for the "mydb" library. They follow mostly the update operators of
+ * "mongoose" (and MongoDB), and allow the Model class to modify documents in place.
+ * Supported update operators:
+ *   $set:   { $set: { field: value, ... } } - Sets the fields' values.
+ *   $unset: { $unset: { field: '', ... } } - Removes the fields.
+ *   $inc:   { $inc: { field: number, ... } } - Increments numeric fields (missing ones start at 0).
+ *   $push:  { $push: { field: value, ... } } - Appends a value to an array field. Use
+ *           { $push: { field: { $each: [v1, v2] } } } to append several values.
+ *   $pull:  { $pull: { field: <value or condition>, ... } } - Removes all the matching
+ *           values from an array field.
+ * Top level fields without an operator (i.e: { title: 'Today' }) are treated as $set, like
+ * in mongoose. Nested fields can be reached with a dotted path (i.e: "author.name").
+ */
+
+const Query = require('./query');
+
+const updateOperators = ['$set', '$unset', '$inc', '$push', '$pull'];
+
+
+/**
+ * Converts the given "update" into an object of operators only, and checks its validity.
+ * Throws an error if the format is illegal.
+ * @param {object} update - An update object, i.e: { $set: { title: 'Today' }, $inc: { views: 1 } }.
+ */
+function normalize_update(update) {
+    if (!update || typeof (update) !== 'object' || Array.isArray(update))
+        throw new Error(`Error: An update must be an object, but \"${typeof (update)}\" was passed.`);
+
+    let normalized = {};
+    for (let key in update) {
+        if (key.startsWith('$')) {
+            if (!updateOperators.includes(key))
+                throw new Error(`Error: Unknown update operator \"${key}\".`);
+            if (!update[key] || typeof (update[key]) !== 'object' || Array.isArray(update[key]))
+                throw new Error(`Error: The update operator \"${key}\" expects an object of fields.`);
+            normalized[key] = { ...normalized[key], ...update[key] };
+        } else {
+            // A plain field is treated as $set:
+            normalized['$set'] = { ...normalized['$set'], [key]: update[key] };
+        }
+    }
+
+    // The ID of a document can never change:
+    for (let op in normalized) {
+        if (Object.hasOwn(normalized[op], '_id'))
+            throw new Error('Error: The field \"_id\" cannot be updated.');
+    }
+    return normalized;
+}
+
+/**
+ * Returns a new document (JSON) which is the result of applying the given "update" on a
+ * copy of "doc". The original "doc" isn't changed.
+ * Throws an error if an operator cannot be applied (i.e: $inc on a string field).
+ * @param {object} doc - A document as a JSON.
+ * @param {object} update - An update object (see normalize_update()).
+ */
+function apply_update(doc, update) {
+    const normalized = normalize_update(update);
+    let newDoc = structuredClone(doc);
+
+    for (let op in normalized) {
+        for (let field in normalized[op]) {
+            const operand = normalized[op][field];
+            const current = Query.get_path_value(newDoc, field);
+            switch (op) {
+                case '$set':
+                    Query.set_path_value(newDoc, field, operand);
+                    break;
+                case '$unset':
+                    Query.delete_path_value(newDoc, field);
+                    break;
+                case '$inc':
+                    if (typeof (operand) !== 'number')
+                        throw new Error(`Error: $inc expects a number for the field \"${field}\".`);
+                    if (current !== undefined && typeof (current) !== 'number')
+                        throw new Error(`Error: Cannot apply $inc to the non-numeric field \"${field}\".`);
+                    Query.set_path_value(newDoc, field, (current || 0) + operand);
+                    break;
+                case '$push': {
+                    if (current !== undefined && !Array.isArray(current))
+                        throw new Error(`Error: Cannot apply $push to the non-array field \"${field}\".`);
+                    const hasEach = operand && typeof (operand) === 'object' && Object.hasOwn(operand, '$each');
+                    if (hasEach && !Array.isArray(operand.$each))
+                        throw new Error(`Error: $each expects an array for the field \"${field}\".`);
+                    const values = hasEach ? operand.$each : [operand];
+                    Query.set_path_value(newDoc, field, (current || []).concat(structuredClone(values)));
+                    break;
+                }
+                case '$pull':
+                    if (current === undefined)
+                        break;
+                    if (!Array.isArray(current))
+                        throw new Error(`Error: Cannot apply $pull to the non-array field \"${field}\".`);
+                    Query.set_path_value(newDoc, field, current.filter(item => !pull_matches(item, operand)));
+                    break;
+            }
+        }
+    }
+
+    return newDoc;
+}
+
+/**
+ * Returns true if an array "item" should be removed by the $pull "operand". The operand may
+ * be a plain value, a condition ({ $gt: 3 }) or a filter for array items that are objects.
+ * @param {any} item - An element of the array field.
+ * @param {any} operand - The $pull operand for the field.
+ */
+function pull_matches(item, operand) {
+    const isConditionObject = operand && typeof (operand) === 'object' && !Array.isArray(operand) &&
+        !(operand instanceof Date) && !(operand instanceof RegExp);
+    if (isConditionObject && item && typeof (item) === 'object' && !Array.isArray(item) &&
+        !Object.keys(operand).some(key => key.startsWith('$')))
+        return Query.match_filter(item, operand);  // A filter over the fields of object items.
+    return Query.match_filter({ item: item }, { item: operand });
+}
+
+
+module.exports = {
+    normalize_update,
+    apply_update
+};
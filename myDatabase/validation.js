@@ -0,0 +1,202 @@
+/**
+ * Validation helpers for the "mydb" library. They check a document's content against the
+ * rules of a Schema (types, "required" and the validators), apply the string transforms
+ * and the default values, and collect ALL the failures instead of stopping at the first
+ * one, so they can be reported together in a single ValidationError.
+ * Nested documents ("Embedded") and typed arrays ("Array" with "of") are validated
+ * recursively. Their failures are reported by dotted paths, i.e: "author.name", "tags.2".
+ */
+
+const Schema = require('./schema');
+const { ValidatorError } = require('./errors');
+
+// Default messages of the validators. "{PATH}" and "{VALUE}" are replaced by the field's
+// name and value, and "{ARG}" by the validator's argument:
+const defaultMessages = {
+    'required': 'Path "{PATH}" is required.',
+    'type': 'Path "{PATH}" must be of type "{ARG}".',
+    'minlength': 'Path "{PATH}" is shorter than the minimum allowed length ({ARG}).',
+    'maxlength': 'Path "{PATH}" is longer than the maximum allowed length ({ARG}).',
+    'min': 'Path "{PATH}" ({VALUE}) is less than the minimum allowed value ({ARG}).',
+    'max': 'Path "{PATH}" ({VALUE}) is more than the maximum allowed value ({ARG}).',
+    'enum': '"{VALUE}" is not a valid enum value for path "{PATH}".',
+    'match': 'Path "{PATH}" is invalid ({VALUE}).',
+    'user defined': 'Validator failed for path "{PATH}" with value "{VALUE}".'
+};
+
+
+/**
+ * Checks the given "content" against the given "schema". Returns the processed content
+ * (with transforms and default values applied, and without fields that aren't in the
+ * schema) and the failures found: { content: <object>, errors: { <path>: ValidatorError } }.
+ * The content is valid if "errors" is empty.
+ * @param {object} content - A JSON with the data.
+ * @param {Schema} schema - The Schema object that sets the rules.
+ * @param {string} pathPrefix - Prepended to the paths of the errors (for nested documents), i.e: "author.".
+ */
+function validate_content(content, schema, pathPrefix = '') {
+    let newContent = {};
+    let errors = {};
+    const schemaDef = schema.definition;
+
+    for (let param in schemaDef) {
+        const result = validate_value(pathPrefix + param, content[param], schemaDef[param], content);
+        Object.assign(errors, result.errors);
+        if (Object.keys(result.errors).length === 0)
+            newContent[param] = result.value;
+    }
+
+    return { content: newContent, errors: errors };
+}
+
+/**
+ * Checks a single "value" against the "rules" of its schema parameter. Returns the processed
+ * value and the failures found: { value: <any>, errors: { <path>: ValidatorError } }.
+ * @param {string} path - The (dotted) path of the field, i.e: "title", "author.name", "tags.0".
+ * @param {any} value - The value of the field.
+ * @param {object} rules - The definition of the parameter in the schema.
+ * @param {object} content - The content that holds the field, which is "this" for custom validators.
+ */
+function validate_value(path, value, rules, content) {
+    let errors = {};
+
+    // Missing values (undefined, null, or an empty string for a required string):
+    if (typeof (value) === 'string')
+        value = apply_transforms(value, rules);
+    if (value === undefined || value === null || (value === '' && rules.required)) {
+        if (rules.required) {
+            errors[path] = new ValidatorError(path, 'required', format_message(defaultMessages['required'], path, value), value);
+            return { value: value, errors: errors };
+        }
+        // The default value of a nested document or a typed array is processed too, so 
+        // the defaults of the nested levels are filled:
+        const isNested = rules.type === 'Embedded' || (rules.type === 'Array' && rules.of);
+        if (!isNested || rules.default === null || rules.default === undefined)
+            return { value: rules.default, errors: errors };
+        value = rules.default;
+    }
+
+    // Dates are stored as strings (JSON), so a stored date is cast back to a Date:
+    if (rules.type === 'Date' && typeof (value) === 'string' && !isNaN(Date.parse(value)))
+        value = new Date(value);
+    // A populated reference is stored by its ID:
+    if (rules.type === 'ObjectId' && Schema.typeX(value) === 'object' && typeof (value._id) === 'string')
+        value = value._id;
+    // Type (a nested document is a JSON, and a reference is an ID string):
+    const expectedType = { 'Embedded': 'object', 'ObjectId': 'string' }[rules.type] || rules.type;
+    if (expectedType !== Schema.typeX(value)) {
+        errors[path] = new ValidatorError(path, 'type', format_message(defaultMessages['type'], path, value, expectedType), value);
+        return { value: value, errors: errors };
+    }
+
+    // Nested documents and the elements of typed arrays:
+    if (rules.type === 'Embedded') {
+        const result = validate_content(value, rules.schema, path + '.');
+        Object.assign(errors, result.errors);
+        value = result.content;
+    }
+    else if (rules.type === 'Array' && rules.of) {
+        value = value.map((element, i) => {
+            const result = validate_value(`${path}.${i}`, element, rules.of, content);
+            Object.assign(errors, result.errors);
+            return result.value;
+        });
+    }
+
+    // Validators:
+    const error = run_validators(path, value, rules, content);
+    if (error)
+        errors[path] = error;
+
+    return { value: value, errors: errors };
+}
+
+/**
+ * Applies the string transforms of a schema parameter ("trim", "lowercase", "uppercase")
+ * on the given string "value", and returns the result.
+ * @param {string} value - The value of the field.
+ * @param {object} rules - The definition of the parameter in the schema.
+ */
+function apply_transforms(value, rules) {
+    if (rules.trim)
+        value = value.trim();
+    if (rules.lowercase)
+        value = value.toLowerCase();
+    if (rules.uppercase)
+        value = value.toUpperCase();
+    return value;
+}
+
+/**
+ * Runs the validators of a schema parameter on the given "value", in the order: minlength,
+ * maxlength, min, max, enum, match, validate. Returns a ValidatorError for the first one
+ * that fails, or null if all of them pass.
+ * @param {string} path - The name of the field.
+ * @param {any} value - The value of the field (of the right type).
+ * @param {object} rules - The definition of the parameter in the schema.
+ * @param {object} content - The whole content, which is "this" for custom validators.
+ */
+function run_validators(path, value, rules, content) {
+    const checks = {
+        'minlength': (arg) => value.length >= arg,
+        'maxlength': (arg) => value.length <= arg,
+        'min': (arg) => value >= arg,
+        'max': (arg) => value <= arg,
+        'match': (arg) => { arg.lastIndex = 0; return arg.test(value); }
+    };
+    for (let kind in checks) {
+        if (rules[kind] === null || rules[kind] === undefined)
+            continue;
+        const [arg, message] = Array.isArray(rules[kind]) ? rules[kind] : [rules[kind], defaultMessages[kind]];
+        if (!checks[kind](arg))
+            return new ValidatorError(path, kind, format_message(message, path, value, arg), value);
+    }
+
+    if (rules.enum !== null && rules.enum !== undefined) {
+        const values = Array.isArray(rules.enum) ? rules.enum : rules.enum.values;
+        const message = Array.isArray(rules.enum) ? defaultMessages['enum'] : (rules.enum.message || defaultMessages['enum']);
+        if (!values.includes(value))
+            return new ValidatorError(path, 'enum', format_message(message, path, value, values.join(', ')), value);
+    }
+
+    if (rules.validate !== null && rules.validate !== undefined) {
+        const validators = Array.isArray(rules.validate) ? rules.validate : [rules.validate];
+        for (let validator of validators) {
+            const func = typeof (validator) === 'function' ? validator : validator.validator;
+            let message = (typeof (validator) === 'object' && validator.message) || defaultMessages['user defined'];
+            let valid;
+            try {
+                valid = func.call(content, value);
+            } catch (err) {
+                valid = false;
+                message = err.message;
+            }
+            if (!valid) {
+                if (typeof (message) === 'function')
+                    message = message({ path: path, value: value });
+                return new ValidatorError(path, 'user defined', format_message(message, path, value), value);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the given message "template" after replacing "{PATH}", "{VALUE}" and "{ARG}".
+ * @param {string} template - The message template.
+ * @param {string} path - The name of the field.
+ * @param {any} value - The value of the field.
+ * @param {any} arg - The validator's argument.
+ */
+function format_message(template, path, value, arg) {
+    const toStr = (x) => x instanceof Date ? x.toISOString() : String(x);
+    return template.replaceAll('{PATH}', path)
+        .replaceAll('{VALUE}', toStr(value))
+        .replaceAll('{ARG}', toStr(arg));
+}
+
+
+module.exports = {
+    validate_content
+};
@@ -16,9 +16,33 @@ router.get('/create', storyController.story_create_get);
 // Saves a new story or updates an existing one, and redirect to /stories:
 router.post('/', storyController.story_post);
 
+// Download all the stories as a file (?format=json, csv or md):
+router.get('/export', storyController.story_export);
+
+// The import page, with a form for uploading a file of stories:
+router.get('/import', storyController.story_import_get);
+
+// Import the stories in an uploaded file, and show a report of each record:
+router.post('/import', express.raw({ type: 'multipart/form-data', limit: '20mb' }), storyController.story_import_post);
+
+// The trash page, with the deleted stories:
+router.get('/trash', storyController.story_trash);
+
+// Restore a story from the trash and redirect to /stories/trash:
+router.post('/trash/:id/restore', storyController.story_restore);
+
+// Delete a story from the trash for good and redirect to /stories/trash:
+router.delete('/trash/:id', storyController.story_purge);
+
 // Edit a story page:
 router.get('/edit/:id', storyController.story_edit_get);
 
+// The history of a story, with the differences between its versions:
+router.get('/:id/history', storyController.story_history);
+
+// Revert a story to one of its revisions and redirect to its history:
+router.post('/:id/history/:revision/revert', storyController.story_revert);
+
 // Show a single story details page:
 router.get('/:id', storyController.story_details);
 
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mydb = require('../myDatabase/mydb');
+
+const Note = mydb.model('Note', new mydb.Schema({ title: { type: String, required: true } }, { softDelete: true }));
+let dataDir;
+
+// Calls "fn" after the given number of event-loop turns, so the concurrent operations 
+// interleave at different points of each other:
+const later = (turns, fn) => new Promise(resolve => {
+    const step = left => left === 0 ? resolve(fn()) : setImmediate(() => step(left - 1));
+    step(turns);
+});
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mydb-test-'));
+    await mydb.connect(dataDir);
+});
+
+after(() => {
+    mydb.disconnect();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a permanent delete keeps a document that is saved at the same time', async () => {
+    for (let i = 0; i < 24; i++) {
+        const doomed = Note.new_document({ title: 'doomed' });
+        await doomed.save();
+        const kept = Note.new_document({ title: 'kept' });
+        await Promise.all([Note.findByIdAndDelete(doomed._id, { permanent: true }), later(i % 6, () => kept.save())]);
+
+        assert.strictEqual((await Note.findById(doomed._id, { deleted: 'include' })).length, 0);
+        assert.strictEqual((await Note.findById(kept._id)).length, 1);
+    }
+});
+
+test('purge_deleted skips a document that is restored at the same time', async () => {
+    for (let i = 0; i < 24; i++) {
+        const note = Note.new_document({ title: 'note' });
+        await note.save();
+        await Note.findByIdAndDelete(note._id);
+        const [purged, restored] = await Promise.all([
+            Note.purge_deleted({ before: new Date(Date.now() + 1000) }),
+            later(i % 6, () => Note.restore(note._id))
+        ]);
+
+        // Either it's purged and there's nothing to restore, or it's restored and kept:
+        const found = await Note.findById(note._id, { deleted: 'include' });
+        if (restored.length > 0) {
+            assert.strictEqual(purged.length, 0);
+            assert.strictEqual(found.length, 1);
+        } else {
+            assert.strictEqual(purged.length, 1);
+            assert.strictEqual(found.length, 0);
+        }
+    }
+});
+
+test('a permanent delete with "deleted: only" deletes only documents in the trash', async () => {
+    const note = Note.new_document({ title: 'live' });
+    await note.save();
+    assert.strictEqual((await Note.findByIdAndDelete(note._id, { permanent: true, deleted: 'only' })).length, 0);
+    assert.strictEqual((await Note.findById(note._id)).length, 1);
+
+    await Note.findByIdAndDelete(note._id);
+    assert.strictEqual((await Note.findByIdAndDelete(note._id, { permanent: true, deleted: 'only' })).length, 1);
+    assert.strictEqual((await Note.findById(note._id, { deleted: 'include' })).length, 0);
+});
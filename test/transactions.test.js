@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mydb = require('../myDatabase/mydb');
+const DBHandler = require('../myDatabase/dbhandler');
+
+const Account = mydb.model('Account', new mydb.Schema({ name: { type: String, required: true }, balance: { type: Number } }));
+const Entry = mydb.model('Entry', new mydb.Schema({ message: { type: String } }));
+let dataDir;
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mydb-test-'));
+    await mydb.connect(dataDir);
+    await Account.new_document({ name: 'a', balance: 10 }).save();
+    await Account.new_document({ name: 'b', balance: 0 }).save();
+});
+
+after(() => {
+    mydb.disconnect();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const balances = async () => (await Account.find({}, null, { sort: { name: 1 } })).map(account => account.balance);
+
+test('withTransaction() runs the transaction again after a write conflict', async () => {
+    const session = await mydb.startSession();
+    let attempts = 0;
+    await session.withTransaction(async () => {
+        attempts++;
+        await Account.updateOne({ name: 'a' }, { $inc: { balance: -5 } }, { session });
+        await Account.updateOne({ name: 'b' }, { $inc: { balance: 5 } }, { session });
+        // A write outside of the transaction, before its first commit:
+        if (attempts === 1)
+            await Account.updateOne({ name: 'b' }, { $inc: { balance: 100 } });
+    });
+    session.endSession();
+
+    assert.strictEqual(attempts, 2);
+    assert.deepStrictEqual(await balances(), [5, 105]);
+});
+
+test('withTransaction() gives up after repeated write conflicts', async () => {
+    const session = await mydb.startSession();
+    let attempts = 0;
+    await assert.rejects(session.withTransaction(async () => {
+        attempts++;
+        await Account.updateOne({ name: 'a' }, { $inc: { balance: 1 } }, { session });
+        await Account.updateOne({ name: 'a' }, { $inc: { balance: 1000 } });
+    }), mydb.Error.WriteConflictError);
+    session.endSession();
+
+    assert.strictEqual(attempts, 3);
+    assert.deepStrictEqual(await balances(), [3005, 105]);
+});
+
+test('an interrupted commit is completed from its journal by the next connect', async () => {
+    // The commit is interrupted after its journal was written, on the write of the second collection:
+    const replace_locked = DBHandler.prototype.replace_locked;
+    let writes = 0;
+    DBHandler.prototype.replace_locked = function (docArray) {
+        if (++writes === 2)
+            return Promise.reject(new Error('Interrupted'));
+        return replace_locked.call(this, docArray);
+    };
+    const session = await mydb.startSession();
+    try {
+        await assert.rejects(session.withTransaction(async () => {
+            await Account.updateOne({ name: 'a' }, { $set: { balance: 0 } }, { session });
+            await Entry.new_document({ message: 'moved' }).save({ session });
+        }), /Interrupted/);
+    } finally {
+        DBHandler.prototype.replace_locked = replace_locked;
+        session.endSession();
+    }
+    assert.strictEqual(fs.readdirSync(dataDir).filter(fileName => fileName.startsWith('.mydb-journal-')).length, 1);
+
+    mydb.disconnect();
+    await mydb.connect(dataDir);
+    assert.deepStrictEqual(await balances(), [0, 105]);
+    assert.deepStrictEqual((await Entry.find({})).map(entry => entry.message), ['moved']);
+    assert.strictEqual(fs.readdirSync(dataDir).filter(fileName => fileName.startsWith('.mydb-journal-')).length, 0);
+});
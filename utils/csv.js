@@ -0,0 +1,76 @@
+/* CSV (RFC 4180) for the import and export of stories: Fields that contain a comma, a quote
+ * or a new line are quoted (with the quotes doubled), and the records end with CRLF. */
+
+/**
+ * Returns the given values as a single CSV record (ending with CRLF).
+ * @param {Array} values - The values of the fields. null and undefined are written as ''.
+ */
+function to_csv_row(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replaceAll('"', '""') + '"' : text;
+    }).join(',') + '\r\n';
+}
+
+/**
+ * Parses the given CSV text into its records: [{ line, fields: [<string>, ...] }, ...], where
+ * "line" is the line number the record starts at. Quoted fields may hold new lines. Empty
+ * lines are skipped. Throws an error if a quoted field isn't closed.
+ * @param {string} text - The CSV text.
+ */
+function parse_csv(text) {
+    if (text.startsWith('\uFEFF'))
+        text = text.slice(1);  // A byte order mark (i.e: from a spreadsheet).
+
+    let records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;  // Inside a quoted field.
+    let line = 1;
+    let recordLine = 1;
+    const end_record = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '')
+            records.push({ line: recordLine, fields: fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; ++i) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n')
+                    ++line;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n')
+                ++i;
+            end_record();
+            recordLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted)
+        throw new Error(`A quoted field that starts in line ${recordLine} isn't closed.`);
+    if (field !== '' || fields.length > 0)
+        end_record();
+    return records;
+}
+
+module.exports = {
+    to_csv_row,
+    parse_csv
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+/* Text diffs for the story history page. The diff is based on the longest common
+ * subsequence (LCS) of the two texts, split into words or into lines, and is returned
+ * as a list of parts: [{ type: 'equal'/'insert'/'delete', value: <string> }, ...]. */
+
+// Above this size of the LCS table (tokens x tokens), the texts are reported as entirely replaced:
+const maxTableSize = 4000000;
+
+
+/**
+ * Returns the edit script that turns the "oldTokens" into the "newTokens", as a list of
+ * single-token parts: [{ type: 'equal'/'insert'/'delete', value: <token> }, ...]. The
+ * deleted tokens of each change come before the inserted ones.
+ * @param {Array} oldTokens - The tokens (strings) of the old text.
+ * @param {Array} newTokens - The tokens (strings) of the new text.
+ */
+function diff_tokens(oldTokens, newTokens) {
+    // The common prefix and suffix don't need the LCS table:
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start])
+        ++start;
+    let oldEnd = oldTokens.length, newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+        --oldEnd;
+        --newEnd;
+    }
+
+    const equal = (tokens) => tokens.map(token => ({ type: 'equal', value: token }));
+    const oldMid = oldTokens.slice(start, oldEnd);
+    const newMid = newTokens.slice(start, newEnd);
+    let middle;
+    if ((oldMid.length + 1) * (newMid.length + 1) > maxTableSize) {
+        middle = [...oldMid.map(token => ({ type: 'delete', value: token })),
+            ...newMid.map(token => ({ type: 'insert', value: token }))];
+    } else {
+        middle = lcs_script(oldMid, newMid);
+    }
+    return [...equal(oldTokens.slice(0, start)), ...middle, ...equal(oldTokens.slice(oldEnd))];
+}
+
+/**
+ * Returns the edit script between two lists of tokens by their LCS table (check diff_tokens()).
+ * @param {Array} a - The old tokens.
+ * @param {Array} b - The new tokens.
+ */
+function lcs_script(a, b) {
+    // lengths[i * (b.length + 1) + j] is the length of the LCS of a[i..] and b[j..]:
+    const width = b.length + 1;
+    let lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; --i) {
+        for (let j = b.length - 1; j >= 0; --j) {
+            lengths[i * width + j] = a[i] === b[j] ? lengths[(i + 1) * width + j + 1] + 1 :
+                Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    let script = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            script.push({ type: 'equal', value: a[i] });
+            ++i;
+            ++j;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            script.push({ type: 'delete', value: a[i++] });
+        } else {
+            script.push({ type: 'insert', value: b[j++] });
+        }
+    }
+    while (i < a.length)
+        script.push({ type: 'delete', value: a[i++] });
+    while (j < b.length)
+        script.push({ type: 'insert', value: b[j++] });
+    return script;
+}
+
+/**
+ * Returns the word diff between two texts, with the consecutive parts of the same type
+ * joined together: [{ type: 'equal'/'insert'/'delete', value: <string> }, ...].
+ * The whitespace is kept, so joining the non-inserted values gives the old text, and
+ * joining the non-deleted ones gives the new text.
+ * @param {string} oldText - The old text.
+ * @param {string} newText - The new text.
+ */
+function diff_words(oldText, newText) {
+    const split = (text) => String(text || '').split(/(\s+)/).filter(token => token !== '');
+    let parts = [];
+    for (let part of diff_tokens(split(oldText), split(newText))) {
+        const last = parts[parts.length - 1];
+        if (last && last.type === part.type)
+            last.value += part.value;
+        else
+            parts.push({ ...part });
+    }
+    return parts;
+}
+
+/**
+ * Returns the line diff between two texts, with a part for each line:
+ * [{ type: 'equal'/'insert'/'delete', value: <line> }, ...].
+ * @param {string} oldText - The old text.
+ * @param {string} newText - The new text.
+ */
+function diff_lines(oldText, newText) {
+    const split = (text) => String(text || '').split(/\r?\n/);
+    return diff_tokens(split(oldText), split(newText));
+}
+
+module.exports = {
+    diff_words,
+    diff_lines
+};
\ No newline at end of file
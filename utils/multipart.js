@@ -0,0 +1,76 @@
+/* Parses the body of a "multipart/form-data" request: A form with a file input, whose body
+ * was read as a Buffer (i.e: by express.raw()). */
+
+/**
+ * Returns the fields and the files of the given form:
+ * { fields: { <name>: <value> }, files: { <name>: { filename, contentType, data: <Buffer> } } }.
+ * Throws an error if the body isn't a valid multipart form.
+ * @param {Buffer} body - The body of the request.
+ * @param {string} contentType - The "Content-Type" header of the request, with the boundary.
+ */
+function parse_multipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match || !Buffer.isBuffer(body))
+        throw new Error('Not a multipart form: The boundary is missing.');
+    const boundary = '--' + (match[1] || match[2]).trim();
+    const delimiter = Buffer.from('\r\n' + boundary);
+
+    let fields = {};
+    let files = {};
+    let pos = body.indexOf(boundary);
+    if (pos === -1)
+        throw new Error('Not a multipart form: The first boundary is missing.');
+    pos += boundary.length;
+    // Each part starts after a boundary, and the last boundary ends with "--":
+    while (body.toString('latin1', pos, pos + 2) !== '--') {
+        const headersEnd = body.indexOf('\r\n\r\n', pos);
+        const dataEnd = headersEnd === -1 ? -1 : body.indexOf(delimiter, headersEnd + 4);
+        if (dataEnd === -1)
+            throw new Error('Not a multipart form: A part is cut.');
+
+        const headers = parse_headers(body.toString('utf8', pos, headersEnd));
+        const disposition = headers['content-disposition'] || '';
+        const name = header_param(disposition, 'name');
+        const filename = header_param(disposition, 'filename');
+        const data = body.subarray(headersEnd + 4, dataEnd);
+        if (name !== null) {
+            if (filename !== null)
+                files[name] = { filename: filename, contentType: headers['content-type'] || null, data: data };
+            else
+                fields[name] = data.toString('utf8');
+        }
+        pos = dataEnd + delimiter.length;
+    }
+    return { fields: fields, files: files };
+}
+
+/**
+ * Returns the headers of a part, by their lower-case names: { 'content-type': ..., ... }.
+ * @param {string} text - The headers, a header per line.
+ */
+function parse_headers(text) {
+    let headers = {};
+    for (let line of text.split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0)
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Returns the value of a parameter of a header, i.e: "name" in 'form-data; name="file"', or
+ * null if it's missing.
+ * @param {string} header - The value of the header.
+ * @param {string} param - The name of the parameter.
+ */
+function header_param(header, param) {
+    const match = new RegExp(`(?:^|;)\\s*${param}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i').exec(header);
+    if (!match)
+        return null;
+    return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
+
+module.exports = {
+    parse_multipart
+};
\ No newline at end of file
@@ -0,0 +1,385 @@
+/* Import and export of stories, in three formats:
+ *   json: An array of stories: [{ _id, title, snippet, body, createdAt, updatedAt }, ...].
+ *   csv: A header record with the names of the fields (as in JSON), and then a story per record.
+ *   md: A Markdown file per story, with the fields in a front matter and the body after it:
+ *         ---
+ *         id: "0-1714482830004-392e0881d1bd"
+ *         title: "Yesterday"
+ *         snippet: "Can't remember."
+ *         ---
+ *
+ *         I said I can't remember.
+ *       The values can be quoted as in JSON, or not. The export zips the files together, and
+ *       the import reads a single .md file or a .zip of them.
+ * The export streams the stories from the database (those in the trash aren't exported).
+ * The import checks each record against the schema of the stories, and reports the problems
+ * of each one. A record without an ID (or with a new one) creates a story. A record with the
+ * ID of an existing story is a problem, unless "upsert" is on: Then it updates the story (and
+ * its previous version is kept in the history). The valid records are saved together, in a
+ * single transaction, and the others are skipped. A dry run only checks the records and
+ * reports what would be done. */
+
+const mydb = require('../myDatabase/mydb');
+const Story = require('../models/story');
+const { to_csv_row, parse_csv } = require('./csv');
+const { ZipWriter, is_zip, read_zip } = require('./zip');
+
+// The formats, by their names: The extension and the content type of an export:
+const formats = {
+    json: { extension: '.json', contentType: 'application/json; charset=utf-8' },
+    csv: { extension: '.csv', contentType: 'text/csv; charset=utf-8' },
+    md: { extension: '.zip', contentType: 'application/zip' }
+};
+// The format of an imported file, by its extension:
+const importExtensions = { '.json': 'json', '.csv': 'csv', '.md': 'md', '.markdown': 'md', '.zip': 'md' };
+// The exported fields of a story (the columns of a CSV):
+const fields = ['_id', 'title', 'snippet', 'body', 'createdAt', 'updatedAt'];
+// The fields in the front matter of a Markdown file, and the fields they stand for:
+const frontMatterFields = { id: '_id', title: 'title', snippet: 'snippet', createdAt: 'createdAt', updatedAt: 'updatedAt' };
+// The fields that an import sets (the others are kept by an updated story):
+const contentFields = ['title', 'snippet', 'body'];
+const maxFileNameLength = 60;
+
+
+/**
+ * Returns the name of a new export file in the given format, i.e: "stories-2026-10-19.csv".
+ * @param {string} format - 'json', 'csv' or 'md'.
+ */
+function export_file_name(format) {
+    check_format(format);
+    return `stories-${new Date().toISOString().slice(0, 10)}${formats[format].extension}`;
+}
+
+/**
+ * Returns the content type of an export in the given format, i.e: "text/csv; charset=utf-8".
+ * @param {string} format - 'json', 'csv' or 'md'.
+ */
+function export_content_type(format) {
+    check_format(format);
+    return formats[format].contentType;
+}
+
+/**
+ * Writes all the stories (but those in the trash) to "output", in the given format. The
+ * stories are streamed from the database one at a time (check Model.find().cursor()).
+ * Returns a Promise, which resolves with the number of exported stories.
+ * @param {string} format - 'json', 'csv' or 'md' (check the top of this file).
+ * @param {Writable} output - A stream, i.e: an "express" response or a file.
+ */
+async function export_stories(format, output) {
+    check_format(format);
+    // Write a chunk, and wait until the stream takes it (so a slow client slows the reading):
+    const write = (chunk) => new Promise((resolve, reject) => {
+        output.write(chunk, err => { err ? reject(err) : resolve(); });
+    });
+
+    let count = 0;
+    const stories = Story.find({}).cursor();
+    switch (format) {
+        case 'json':
+            await write('[');
+            for await (let story of stories)
+                await write((count++ === 0 ? '\n' : ',\n') + JSON.stringify(pick_fields(story)));
+            await write(count === 0 ? ']\n' : '\n]\n');
+            break;
+        case 'csv':
+            await write(to_csv_row(fields));
+            for await (let story of stories) {
+                await write(to_csv_row(fields.map(field => story[field])));
+                ++count;
+            }
+            break;
+        case 'md': {
+            const zip = new ZipWriter(write);
+            let names = new Set();
+            for await (let story of stories) {
+                await zip.add_file(markdown_file_name(story, names), Buffer.from(to_markdown(story), 'utf8'), new Date(story.updatedAt));
+                ++count;
+            }
+            await zip.finish();
+            break;
+        }
+    }
+    return count;
+}
+
+/**
+ * Imports stories from the given file (check the top of this file).
+ * Returns a Promise, which resolves with a report:
+ * { dryRun, upsert, total, created, updated, unchanged, failed,
+ *   rows: [{ source, id, title, action: 'create'/'update'/'unchanged' (null if it failed), errors: [...] }] }.
+ * Throws an error if the file can't be read at all (i.e: it's not a valid JSON).
+ * @param {Buffer} data - The content of the file.
+ * @param {object} options - Additional options:
+ * options.fileName: The name of the file, i.e: "stories.csv".
+ * options.format: 'json', 'csv' or 'md'. By default, by the extension of the file's name.
+ * options.dryRun: If true, only check the records and report what would be done.
+ * options.upsert: If true, a record with the ID of an existing story updates it.
+ */
+async function import_stories(data, options = {}) {
+    const format = options.format || import_format(options.fileName);
+    const records = read_records(format, data, options.fileName || 'the file');
+
+    // Check the records, and plan what to do with each one:
+    let rows = [];
+    let plan = [];  // [{ row, content }]
+    let ids = new Set();
+    for (let record of records) {
+        let row = { source: record.source, id: null, title: null, action: null, errors: record.errors };
+        rows.push(row);
+        if (row.errors.length > 0)
+            continue;
+        const { content, errors } = check_record(record.values);
+        row.id = content._id || null;
+        row.title = content.title || null;
+        if (errors.length > 0) {
+            row.errors = errors;
+            continue;
+        }
+
+        if (row.id !== null) {
+            if (ids.has(row.id)) {
+                row.errors.push('The ID appears in an earlier record of the file.');
+                continue;
+            }
+            ids.add(row.id);
+            const [existing = null] = await Story.findById(row.id, { deleted: 'include' });
+            if (existing !== null) {
+                if (existing.deletedAt)
+                    row.errors.push('The story with this ID is in the trash. Restore it first.');
+                else if (!options.upsert)
+                    row.errors.push('A story with this ID already exists (import with "upsert" to update it).');
+                else
+                    row.action = contentFields.every(field => existing[field] === content[field]) ? 'unchanged' : 'update';
+                if (row.errors.length > 0)
+                    continue;
+            }
+        }
+        if (row.action === null)
+            row.action = 'create';
+        plan.push({ row: row, content: content });
+    }
+
+    // Save the valid records together:
+    const changes = plan.filter(({ row }) => row.action !== 'unchanged');
+    if (!options.dryRun && changes.length > 0) {
+        const session = await mydb.startSession();
+        try {
+            await session.withTransaction(async () => {
+                for (let { row, content } of changes) {
+                    if (row.action === 'create')
+                        await Story.new_document(content).save({ session });
+                    else
+                        await Story.update_with_revision(row.id, pick(content, contentFields), { session });
+                }
+            });
+        } finally {
+            session.endSession();
+        }
+    }
+
+    const count = (action) => rows.filter(row => row.action === action).length;
+    return {
+        dryRun: options.dryRun === true,
+        upsert: options.upsert === true,
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: rows.filter(row => row.errors.length > 0).length,
+        rows: rows
+    };
+}
+
+/**
+ * Returns the import format of the given file by its extension ('json', 'csv' or 'md').
+ * Throws an error if it isn't supported.
+ * @param {string} fileName - The name of the file, i.e: "stories.csv".
+ */
+function import_format(fileName) {
+    const match = /\.[^.]+$/.exec(fileName || '');
+    const format = match && importExtensions[match[0].toLowerCase()];
+    if (!format)
+        throw new Error(`Can't tell the format of \"${fileName}\". Expecting a file of the types: ${Object.keys(importExtensions).join(', ')}.`);
+    return format;
+}
+
+/**
+ * Reads the records of the stories in the given file, in the given format.
+ * Returns [{ source: <where the record is, i.e: "line 3">, values: {...}, errors: [...] }, ...].
+ * Throws an error if the file can't be read at all.
+ * @param {string} format - 'json', 'csv' or 'md'.
+ * @param {Buffer} data - The content of the file.
+ * @param {string} fileName - The name of the file.
+ */
+function read_records(format, data, fileName) {
+    check_format(format);
+    const record = (source, values, error = null) => ({ source: source, values: values, errors: error ? [error] : [] });
+    switch (format) {
+        case 'json': {
+            let parsed;
+            try {
+                parsed = JSON.parse(data.toString('utf8'));
+            } catch (err) {
+                throw new Error(`${fileName} isn't a valid JSON: ${err.message}`);
+            }
+            if (!Array.isArray(parsed))
+                parsed = [parsed];
+            return parsed.map((values, i) => (values && typeof (values) === 'object' && !Array.isArray(values)) ?
+                record(`record ${i + 1}`, values) : record(`record ${i + 1}`, {}, 'Not a story (a JSON object).'));
+        }
+        case 'csv': {
+            let [header, ...csvRecords] = parse_csv(data.toString('utf8'));
+            const names = header ? header.fields.map(name => name.trim()) : [];
+            if (!names.some(name => fields.includes(name)))
+                throw new Error(`The first line of ${fileName} must be a header with the names of the fields: ${fields.join(',')}.`);
+            return csvRecords.map(({ line, fields: values }) => {
+                if (values.length !== names.length)
+                    return record(`line ${line}`, {}, `The record has ${values.length} fields, but the header has ${names.length}.`);
+                return record(`line ${line}`, Object.fromEntries(names.map((name, i) => [name, values[i]])));
+            });
+        }
+        case 'md': {
+            const files = is_zip(data) ? read_zip(data).filter(file => /\.(md|markdown)$/i.test(file.name) &&
+                !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')) : [{ name: fileName, data: data }];
+            return files.map(file => {
+                try {
+                    return record(file.name, parse_markdown(file.data.toString('utf8')));
+                } catch (err) {
+                    return record(file.name, {}, err.message);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Checks the values of a record against the schema of the stories.
+ * Returns { content: <the story's content, as it would be saved>, errors: [...] }.
+ * @param {object} values - The values of the record, by the names of the fields.
+ */
+function check_record(values) {
+    let content = {};
+    let errors = [];
+    for (let field of fields) {
+        let value = values[field];
+        if (value === undefined || value === null || (field !== 'body' && value === ''))
+            continue;
+        if (field === '_id')
+            value = String(value).trim();
+        if ((field === 'createdAt' || field === 'updatedAt') && isNaN(new Date(value)))
+            errors.push(`The \"${field}\" isn't a valid date: ${value}`);
+        content[field] = value;
+    }
+
+    try {
+        // Only to validate (and trim) the content. Nothing is saved:
+        const story = Story.new_document(content);
+        contentFields.forEach(field => { content[field] = story[field]; });
+    } catch (err) {
+        if (!(err instanceof mydb.Error.ValidationError))
+            throw err;
+        errors.push(...Object.values(err.errors).map(validatorError => validatorError.message));
+    }
+    return { content: content, errors: errors };
+}
+
+/**
+ * Returns the given story as a Markdown file (check the top of this file).
+ * @param {object} story - The story (JSON).
+ */
+function to_markdown(story) {
+    const frontMatter = Object.entries(frontMatterFields)
+        .filter(([key, field]) => story[field] !== undefined && story[field] !== null)
+        .map(([key, field]) => `${key}: ${JSON.stringify(story[field])}`);
+    return ['---', ...frontMatter, '---', '', story.body, ''].join('\n');
+}
+
+/**
+ * Returns the values of the story in the given Markdown file (check the top of this file).
+ * Throws an error if the front matter is missing or invalid.
+ * @param {string} text - The content of the file.
+ */
+function parse_markdown(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (lines[0].trim() !== '---')
+        throw new Error('The file must start with a front matter: A "---" line, the fields ("title: ...") and another "---" line.');
+    const end = lines.indexOf('---', 1);
+    if (end === -1)
+        throw new Error('The front matter isn\'t closed by a "---" line.');
+
+    let values = {};
+    for (let i = 1; i < end; ++i) {
+        if (lines[i].trim() === '')
+            continue;
+        const match = /^\s*([\w]+)\s*:\s*(.*)$/.exec(lines[i]);
+        if (!match)
+            throw new Error(`Line ${i + 1} of the front matter isn't a field ("name: value").`);
+        let value = match[2].trim();
+        if (value.startsWith('"')) {
+            try {
+                value = JSON.parse(value);
+            } catch (err) {
+                throw new Error(`The value in line ${i + 1} of the front matter isn't quoted properly.`);
+            }
+        }
+        if (Object.hasOwn(frontMatterFields, match[1]))
+            values[frontMatterFields[match[1]]] = value;
+    }
+    // The body is after an empty line:
+    const bodyLines = lines.slice(end + 1);
+    if (bodyLines.length > 0 && bodyLines[0].trim() === '')
+        bodyLines.shift();
+    values.body = bodyLines.join('\n');
+    return values;
+}
+
+/**
+ * Returns a new name for the Markdown file of the given story, made of its title, that isn't
+ * in "names" yet (and adds it there), i.e: "yesterday.md", "yesterday-2.md".
+ * @param {object} story - The story (JSON).
+ * @param {Set} names - The names that were already used.
+ */
+function markdown_file_name(story, names) {
+    const slug = String(story.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+        .slice(0, maxFileNameLength).replace(/^-+|-+$/g, '') || 'story';
+    let name = slug + '.md';
+    for (let i = 2; names.has(name); ++i)
+        name = `${slug}-${i}.md`;
+    names.add(name);
+    return name;
+}
+
+/**
+ * Returns an object with only the exported fields of the given story.
+ * @param {object} story - The story (JSON).
+ */
+function pick_fields(story) {
+    return pick(story, fields);
+}
+
+/**
+ * Returns an object with only the given keys of "obj" (those it has).
+ * @param {object} obj - An object.
+ * @param {Array} keys - The keys to keep.
+ */
+function pick(obj, keys) {
+    return Object.fromEntries(keys.filter(key => obj[key] !== undefined).map(key => [key, obj[key]]));
+}
+
+/**
+ * Throws an error if the given format isn't supported.
+ * @param {string} format - The name of the format.
+ */
+function check_format(format) {
+    if (!Object.hasOwn(formats, format))
+        throw new Error(`Unknown format \"${format}\". Expecting one of: ${Object.keys(formats).join(', ')}.`);
+}
+
+module.exports = {
+    formats,
+    export_file_name,
+    export_content_type,
+    export_stories,
+    import_stories
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+/* A minimal ZIP archive writer and reader, for the Markdown export and import of stories.
+ * The files are deflated. Only what's needed for that is supported: No encryption and no
+ * ZIP64 (so up to 65535 files, and less than 4GB in total). */
+
+const zlib = require('zlib');
+
+// The signatures of the records of an archive:
+const localHeaderSig = 0x04034b50;
+const centralHeaderSig = 0x02014b50;
+const endOfCentralDirSig = 0x06054b50;
+const endOfCentralDirSize = 22;
+const maxCommentLength = 0xffff;
+// The compression methods:
+const methodStored = 0;
+const methodDeflated = 8;
+const zipVersion = 20;  // The version of the format that's needed to extract the files (2.0).
+const utf8Flag = 0x0800;  // The file names are in UTF-8.
+const encryptedFlag = 0x0001;
+const maxEntries = 0xffff;
+// The most bytes that read_zip() extracts by default (in total), against "zip bombs":
+const defaultMaxSize = 64 * 1024 * 1024;
+
+// The table of the CRC-32 checksums of all the bytes:
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; ++k)
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+
+/**
+ * Writes a ZIP archive one file at a time through the given "write" function, so the whole
+ * archive is never held in memory. Call add_file() for each file, and finish() at the end.
+ */
+class ZipWriter {
+    #write;  // Writes a chunk (Buffer) of the archive, and returns a Promise.
+    #offset = 0;  // The number of bytes that were written so far.
+    #entries = [];  // The files that were written, for the central directory.
+
+    /**
+     * @param {function} write - Gets a chunk (Buffer) of the archive, writes it and returns a Promise.
+     */
+    constructor(write) {
+        this.#write = write;
+    }
+
+    /**
+     * Adds a file to the archive.
+     * Returns a Promise.
+     * @param {string} name - The name (path) of the file in the archive, i.e: "stories/today.md".
+     * @param {Buffer} data - The content of the file.
+     * @param {Date} date - The modification time of the file. By default, now.
+     */
+    async add_file(name, data, date = new Date()) {
+        if (this.#entries.length === maxEntries)
+            throw new Error(`Error in ZipWriter.add_file(): An archive can't have more than ${maxEntries} files.`);
+
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const entry = {
+            name: nameBuffer, crc: crc32(data), size: data.length, compressedSize: compressed.length,
+            offset: this.#offset, ...dos_date_time(date)
+        };
+
+        let header = Buffer.alloc(30);
+        header.writeUInt32LE(localHeaderSig, 0);
+        header.writeUInt16LE(zipVersion, 4);
+        header.writeUInt16LE(utf8Flag, 6);
+        header.writeUInt16LE(methodDeflated, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);  // No extra field.
+
+        const chunk = Buffer.concat([header, nameBuffer, compressed]);
+        await this.#write(chunk);
+        this.#offset += chunk.length;
+        this.#entries.push(entry);
+    }
+
+    /**
+     * Writes the central directory, which ends the archive. Nothing can be added after it.
+     * Returns a Promise.
+     */
+    async finish() {
+        let records = this.#entries.map(entry => {
+            let header = Buffer.alloc(46);
+            header.writeUInt32LE(centralHeaderSig, 0);
+            header.writeUInt16LE(zipVersion, 4);  // Made by.
+            header.writeUInt16LE(zipVersion, 6);  // Needed to extract.
+            header.writeUInt16LE(utf8Flag, 8);
+            header.writeUInt16LE(methodDeflated, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            // The extra field, the comment, the disk number and the attributes are all 0.
+            header.writeUInt32LE(entry.offset, 42);
+            return Buffer.concat([header, entry.name]);
+        });
+        const centralDir = Buffer.concat(records);
+
+        let end = Buffer.alloc(endOfCentralDirSize);
+        end.writeUInt32LE(endOfCentralDirSig, 0);
+        end.writeUInt16LE(this.#entries.length, 8);  // The files on this disk.
+        end.writeUInt16LE(this.#entries.length, 10);  // All the files.
+        end.writeUInt32LE(centralDir.length, 12);
+        end.writeUInt32LE(this.#offset, 16);
+        await this.#write(Buffer.concat([centralDir, end]));
+    }
+}
+
+/**
+ * Returns true if the given data starts like a ZIP archive.
+ * @param {Buffer} data - The content of a file.
+ */
+function is_zip(data) {
+    return data.length >= 4 && (data.readUInt32LE(0) === localHeaderSig || data.readUInt32LE(0) === endOfCentralDirSig);
+}
+
+/**
+ * Extracts the files of the given ZIP archive (the directories are skipped).
+ * Returns [{ name, data: <Buffer> }, ...], by their order in the archive.
+ * Throws an error if the archive isn't valid, isn't supported, or if its files are larger
+ * than "maxSize" in total.
+ * @param {Buffer} data - The archive.
+ * @param {number} maxSize - The most bytes to extract (in total).
+ */
+function read_zip(data, maxSize = defaultMaxSize) {
+    const invalid = (reason) => new Error('Not a valid ZIP archive: ' + reason);
+
+    // The end record is at the end of the archive, followed only by a comment:
+    let endPos = -1;
+    for (let pos = data.length - endOfCentralDirSize; pos >= Math.max(0, data.length - endOfCentralDirSize - maxCommentLength); --pos) {
+        if (data.readUInt32LE(pos) === endOfCentralDirSig) {
+            endPos = pos;
+            break;
+        }
+    }
+    if (endPos === -1)
+        throw invalid('The end of its central directory is missing.');
+
+    const count = data.readUInt16LE(endPos + 10);
+    let pos = data.readUInt32LE(endPos + 16);
+    let files = [];
+    let totalSize = 0;
+    for (let i = 0; i < count; ++i) {
+        if (pos + 46 > data.length || data.readUInt32LE(pos) !== centralHeaderSig)
+            throw invalid('Its central directory is broken.');
+        const flags = data.readUInt16LE(pos + 8);
+        const method = data.readUInt16LE(pos + 10);
+        const crc = data.readUInt32LE(pos + 16);
+        const compressedSize = data.readUInt32LE(pos + 20);
+        const size = data.readUInt32LE(pos + 24);
+        const nameLength = data.readUInt16LE(pos + 28);
+        const extraLength = data.readUInt16LE(pos + 30);
+        const commentLength = data.readUInt16LE(pos + 32);
+        const offset = data.readUInt32LE(pos + 42);
+        const name = data.toString('utf8', pos + 46, pos + 46 + nameLength);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/'))
+            continue;  // A directory.
+        if (flags & encryptedFlag)
+            throw invalid(`The file \"${name}\" is encrypted.`);
+        if (offset + 30 > data.length || data.readUInt32LE(offset) !== localHeaderSig)
+            throw invalid(`The header of the file \"${name}\" is missing.`);
+        const start = offset + 30 + data.readUInt16LE(offset + 26) + data.readUInt16LE(offset + 28);
+        const content = data.subarray(start, start + compressedSize);
+        if (content.length !== compressedSize)
+            throw invalid(`The file \"${name}\" is cut.`);
+
+        totalSize += size;
+        if (totalSize > maxSize)
+            throw new Error(`The ZIP archive is too large: Its files are larger than ${maxSize} bytes.`);
+        let fileData;
+        if (method === methodStored) {
+            fileData = Buffer.from(content);
+        } else if (method === methodDeflated) {
+            try {
+                fileData = zlib.inflateRawSync(content, { maxOutputLength: Math.max(size, 1) });
+            } catch (err) {
+                throw invalid(`The file \"${name}\" can't be extracted: ${err.message}`);
+            }
+        } else {
+            throw invalid(`The file \"${name}\" is compressed by an unsupported method (${method}).`);
+        }
+        if (fileData.length !== size || crc32(fileData) !== crc)
+            throw invalid(`The checksum of the file \"${name}\" doesn't match.`);
+        files.push({ name: name, data: fileData });
+    }
+    return files;
+}
+
+/**
+ * Returns the CRC-32 checksum of the given data.
+ * @param {Buffer} data - The data.
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; ++i)
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Returns the given date in the format of ZIP archives (MS-DOS, in the local time):
+ * { time, date }. Dates before 1980 (which the format can't hold) are written as 1980.
+ * @param {Date} date - The date.
+ */
+function dos_date_time(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+module.exports = {
+    ZipWriter,
+    is_zip,
+    read_zip
+};
\ No newline at end of file